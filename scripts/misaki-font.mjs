@@ -0,0 +1,87 @@
+/**
+ * Build src/fonts/misaki.js from the Misaki 8x8 BDF
+ *
+ *   npm run font:misaki -- path/to/misaki_gothic_2nd.bdf [out.js]
+ *
+ * Takes the JIS X 0208 files of the Misaki distribution (ENCODING is the
+ * JIS code) or a Unicode BDF (CHARSET_REGISTRY ISO10646). ASCII is left to
+ * the 5x7 font, as on the printer.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+
+const [bdfPath, outPath] = process.argv.slice(2);
+const OUT = outPath || new URL('../src/fonts/misaki.js', import.meta.url);
+if (!bdfPath) {
+  console.error('usage: npm run font:misaki -- <misaki .bdf> [out.js]');
+  process.exit(1);
+}
+
+const lines = readFileSync(bdfPath, 'latin1').split(/\r?\n/);
+const prop = (name) => {
+  const line = lines.find(l => l.startsWith(name + ' '));
+  return line ? line.slice(name.length + 1).trim() : null;
+};
+
+const registry = (prop('CHARSET_REGISTRY') || '').replace(/"/g, '').toUpperCase();
+const unicode = registry.startsWith('ISO10646');
+if (!unicode && !registry.startsWith('JISX0208')) {
+  console.error(`Unsupported CHARSET_REGISTRY ${registry || '(none)'}: expected JISX0208 or ISO10646`);
+  process.exit(1);
+}
+const [, fontH, fontX, fontY] = prop('FONTBOUNDINGBOX').split(/\s+/).map(Number);
+const eucjp = new TextDecoder('euc-jp');
+
+// JIS X 0208 code (0x2121-0x7E7E) to its character, via EUC-JP
+function jisChar(code) {
+  const ch = eucjp.decode(new Uint8Array([(code >> 8) | 0x80, (code & 0xFF) | 0x80]));
+  return ch === '�' ? null : ch;
+}
+
+const glyphs = [];
+for (let i = 0; i < lines.length; i++) {
+  if (!lines[i].startsWith('STARTCHAR')) continue;
+  let code = -1;
+  let bbx = null;
+  for (i++; !lines[i].startsWith('BITMAP'); i++) {
+    if (lines[i].startsWith('ENCODING ')) code = parseInt(lines[i].slice(9), 10);
+    if (lines[i].startsWith('BBX ')) bbx = lines[i].slice(4).trim().split(/\s+/).map(Number);
+  }
+  const bitmap = [];
+  for (i++; !lines[i].startsWith('ENDCHAR'); i++) bitmap.push(parseInt(lines[i].slice(0, 2), 16));
+
+  const ch = code < 0 ? null : unicode ? String.fromCodePoint(code) : jisChar(code);
+  if (!ch || ch.codePointAt(0) < 0x80) continue;
+
+  // Place the glyph's box in the 8x8 cell (bit 7 = left)
+  const [, h, xoff, yoff] = bbx;
+  const top = (fontH + fontY) - (yoff + h);
+  const rows = new Array(8).fill(0);
+  bitmap.forEach((byte, y) => {
+    if (top + y >= 0 && top + y < 8) rows[top + y] = (byte >> (xoff - fontX)) & 0xFF;
+  });
+  glyphs.push(ch + rows.map(b => b.toString(16).padStart(2, '0')).join(''));
+}
+
+const copyright = (prop('COPYRIGHT') || '').replace(/"/g, '');
+writeFileSync(OUT, `/**
+ * Misaki 8x8 glyphs (base font 2), registered by raster.js
+ *
+ * Generated by scripts/misaki-font.mjs from ${basename(bdfPath)}; do not edit.
+ * ${copyright || 'Misaki font by Num Kadoma (littlelimit.net)'}
+ */
+
+// Each glyph: the character, then its 8 rows as hex (bit 7 = left)
+const DATA = '${glyphs.join('')}';
+
+export const MISAKI_GLYPHS = {};
+for (let i = 0; i < DATA.length;) {
+  const ch = String.fromCodePoint(DATA.codePointAt(i));
+  i += ch.length;
+  const rows = [];
+  for (let y = 0; y < 8; y++, i += 2) rows.push(parseInt(DATA.substr(i, 2), 16));
+  MISAKI_GLYPHS[ch] = rows;
+}
+`);
+console.log(`${glyphs.length} glyphs → ${outPath || 'src/fonts/misaki.js'}`);
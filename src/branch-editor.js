@@ -0,0 +1,272 @@
+/**
+ * BranchEditor - Edit the variable assignments and outgoing edges of the
+ * current section
+ */
+
+import { EDGE_TYPES, OPS, OP_SYMBOLS, BUTTONS, FADER_MAX } from './flow.js';
+import { BTN, VAR_VALUE_MAX } from './sdk.js';
+
+export class BranchEditor {
+  constructor(options) {
+    this.container = typeof options.container === 'string'
+      ? document.getElementById(options.container)
+      : options.container;
+    this.onChange = options.onChange || (() => {});
+    this.model = null;
+    this.section = null;
+  }
+
+  render(model, section) {
+    this.model = model;
+    this.section = section;
+    const el = this.container;
+    el.innerHTML = '';
+
+    if (!section) {
+      el.innerHTML = '<p class="hint">No section selected</p>';
+      return;
+    }
+
+    this.renderAssignments(section.assignments || []);
+
+    const edges = section.edges || [];
+    edges.forEach((edge, i) => el.appendChild(this.renderEdge(edge, i, edges.length)));
+
+    if (edges.length === 0) {
+      const hint = document.createElement('p');
+      hint.className = 'hint';
+      hint.textContent = 'No branches: continues to the next section';
+      el.appendChild(hint);
+    }
+
+    const btnAdd = document.createElement('button');
+    btnAdd.className = 'branch-add';
+    btnAdd.textContent = '+ Add Branch';
+    btnAdd.addEventListener('click', () => {
+      this.commit([...edges, this.defaultEdge('button')]);
+    });
+    el.appendChild(btnAdd);
+  }
+
+  // "On enter" variable assignments
+  renderAssignments(assignments) {
+    const el = this.container;
+    const commit = (next) => this.onChange(this.section, { assignments: next });
+
+    assignments.forEach((a, i) => {
+      const row = document.createElement('div');
+      row.className = 'branch-line';
+      row.append('set');
+      row.appendChild(this.varSelect(a.var, name => {
+        commit(assignments.map((x, j) => (j === i ? { ...x, var: name } : x)));
+      }));
+      row.append('=');
+      const v = this.model.variables.find(x => x.name === a.var);
+      row.appendChild(this.numberInput(a.value, v ? v.min : 0, v ? v.max : VAR_VALUE_MAX, value => {
+        commit(assignments.map((x, j) => (j === i ? { ...x, value } : x)));
+      }));
+      row.appendChild(this.iconButton('×', 'Remove', false, () => {
+        commit(assignments.filter((_, j) => j !== i));
+      }));
+      el.appendChild(row);
+    });
+
+    if (this.model.variables.length > 0) {
+      const btnSet = document.createElement('button');
+      btnSet.className = 'branch-add';
+      btnSet.textContent = '+ Set Variable';
+      btnSet.addEventListener('click', () => {
+        const v = this.model.variables[0];
+        commit([...assignments, { var: v.name, value: v.initial }]);
+      });
+      el.appendChild(btnSet);
+    }
+  }
+
+  renderEdge(edge, index, count) {
+    const row = document.createElement('div');
+    row.className = 'branch-row';
+
+    const head = document.createElement('div');
+    head.className = 'branch-head';
+    const typeSelect = this.select(EDGE_TYPES, edge.type);
+    typeSelect.addEventListener('change', () => {
+      this.replaceEdge(index, this.defaultEdge(typeSelect.value, edge.target));
+    });
+    head.appendChild(typeSelect);
+    head.appendChild(this.iconButton('↑', 'Move up', index === 0, () => this.moveEdge(index, -1)));
+    head.appendChild(this.iconButton('↓', 'Move down', index === count - 1, () => this.moveEdge(index, 1)));
+    head.appendChild(this.iconButton('×', 'Remove', false, () => {
+      const edges = this.section.edges.filter((_, i) => i !== index);
+      this.commit(edges);
+    }));
+    row.appendChild(head);
+
+    const body = document.createElement('div');
+    body.className = 'branch-body';
+    const update = (changes) => this.replaceEdge(index, { ...edge, ...changes });
+
+    switch (edge.type) {
+      case 'button':
+        BUTTONS.forEach(name => {
+          const label = document.createElement('label');
+          label.className = 'branch-btn';
+          const cb = document.createElement('input');
+          cb.type = 'checkbox';
+          cb.checked = !!(edge.mask & BTN[name]);
+          cb.addEventListener('change', () => {
+            const mask = cb.checked ? (edge.mask | BTN[name]) : (edge.mask & ~BTN[name]);
+            update({ mask });
+          });
+          label.appendChild(cb);
+          label.append(name);
+          body.appendChild(label);
+        });
+        body.appendChild(this.targetSelect(edge.target, target => update({ target })));
+        break;
+
+      case 'fader':
+        body.append('fader');
+        body.appendChild(this.opSelect(edge.op, op => update({ op })));
+        body.appendChild(this.numberInput(edge.threshold, 0, FADER_MAX, threshold => update({ threshold })));
+        body.appendChild(this.targetSelect(edge.target, target => update({ target })));
+        break;
+
+      case 'var':
+        body.appendChild(this.varSelect(edge.var, name => update({ var: name })));
+        body.appendChild(this.opSelect(edge.op, op => update({ op })));
+        body.appendChild(this.numberInput(edge.value, 0, VAR_VALUE_MAX, value => update({ value })));
+        body.appendChild(this.targetSelect(edge.target, target => update({ target })));
+        break;
+
+      case 'random':
+        edge.targets.forEach((t, k) => {
+          const line = document.createElement('div');
+          line.className = 'branch-line';
+          line.appendChild(this.targetSelect(t.target, target => {
+            update({ targets: edge.targets.map((x, j) => (j === k ? { ...x, target } : x)) });
+          }));
+          line.appendChild(this.numberInput(t.weight, 1, 255, weight => {
+            update({ targets: edge.targets.map((x, j) => (j === k ? { ...x, weight } : x)) });
+          }));
+          line.appendChild(this.iconButton('×', 'Remove target', edge.targets.length === 1, () => {
+            update({ targets: edge.targets.filter((_, j) => j !== k) });
+          }));
+          body.appendChild(line);
+        });
+        body.appendChild(this.iconButton('+', 'Add target', false, () => {
+          update({ targets: [...edge.targets, { target: this.firstTarget(), weight: 1 }] });
+        }));
+        break;
+
+      case 'goto':
+        body.appendChild(this.targetSelect(edge.target, target => update({ target })));
+        break;
+
+      case 'end':
+        body.append('Stop the program here');
+        break;
+    }
+
+    row.appendChild(body);
+    return row;
+  }
+
+  defaultEdge(type, target = this.firstTarget()) {
+    switch (type) {
+      case 'button': return { type, mask: BTN.A, target };
+      case 'fader': return { type, op: 'GE', threshold: 2048, target };
+      case 'var': return { type, var: this.model.variables[0]?.name || '', op: 'EQ', value: 1, target };
+      case 'random': return { type, targets: [{ target, weight: 1 }] };
+      case 'goto': return { type, target };
+      default: return { type };
+    }
+  }
+
+  firstTarget() {
+    const other = this.model.sections.find(s => s !== this.section);
+    return (other || this.section).name;
+  }
+
+  replaceEdge(index, edge) {
+    this.commit(this.section.edges.map((e, i) => (i === index ? edge : e)));
+  }
+
+  moveEdge(index, delta) {
+    const edges = [...this.section.edges];
+    const [edge] = edges.splice(index, 1);
+    edges.splice(index + delta, 0, edge);
+    this.commit(edges);
+  }
+
+  commit(edges) {
+    this.onChange(this.section, { edges });
+  }
+
+  // ----- Controls -----
+
+  select(values, selected, labels = {}) {
+    const sel = document.createElement('select');
+    values.forEach(value => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = labels[value] || value;
+      opt.selected = value === selected;
+      sel.appendChild(opt);
+    });
+    return sel;
+  }
+
+  opSelect(op, onChange) {
+    const sel = this.select(OPS, op, OP_SYMBOLS);
+    sel.addEventListener('change', () => onChange(sel.value));
+    return sel;
+  }
+
+  targetSelect(target, onChange) {
+    const sel = this.nameSelect(this.model.sections.map(s => s.name), target, onChange);
+    sel.title = 'Target section';
+    return sel;
+  }
+
+  varSelect(name, onChange) {
+    const sel = this.nameSelect(this.model.variables.map(v => v.name), name, onChange);
+    sel.title = 'Variable';
+    return sel;
+  }
+
+  nameSelect(names, selected, onChange) {
+    const labels = {};
+    // Keep a dangling reference visible until the user picks another one
+    if (!names.includes(selected)) {
+      names = [...names, selected];
+      labels[selected] = selected ? `${selected} (missing)` : '(none)';
+    }
+    const sel = this.select(names, selected, labels);
+    sel.addEventListener('change', () => onChange(sel.value));
+    return sel;
+  }
+
+  numberInput(value, min, max, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.value = value;
+    input.addEventListener('change', () => {
+      const v = Math.max(min, Math.min(max, Math.round(parseFloat(input.value) || 0)));
+      onChange(v);
+    });
+    return input;
+  }
+
+  iconButton(text, title, disabled, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'branch-icon';
+    btn.textContent = text;
+    btn.title = title;
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+}
@@ -2,6 +2,10 @@
  * CodeGenerator - Generate ExScroller SDK code from model
  */
 
+import { lowerEdges, lowerAssignments, maskToNames } from './flow.js';
+import { PGP } from './sdk.js';
+import { fillTile } from './raster.js';
+
 export class CodeGenerator {
   static generate(model) {
     const lines = [];
@@ -10,43 +14,82 @@ export class CodeGenerator {
     lines.push(`// Generated by ExScroller Studio 2`);
     lines.push(`// ${new Date().toISOString()}`);
     lines.push(``);
-    lines.push(`const game = new Game({ title: '${model.title}' });`);
+    lines.push(`const game = new Game({ title: '${this.escapeString(model.title)}' });`);
     lines.push(``);
 
     // Sprites
     if (model.sprites.size > 0) {
       lines.push(`// Sprites`);
       model.sprites.forEach(sprite => {
+        const bytesPerRow = Math.ceil(sprite.width / 8);
+        if (!sprite.data) {
+          lines.push(`game.defineSprite(${sprite.id}, ${sprite.width}, ${sprite.height}, new Uint8Array(${bytesPerRow * sprite.height}));`);
+          return;
+        }
         lines.push(`game.defineSprite(${sprite.id}, ${sprite.width}, ${sprite.height}, new Uint8Array([`);
-        lines.push(`  // sprite data here`);
+        for (let row = 0; row < sprite.height; row++) {
+          const bytes = Array.from(sprite.data.slice(row * bytesPerRow, (row + 1) * bytesPerRow));
+          lines.push(`  ${bytes.map(b => '0x' + b.toString(16).padStart(2, '0')).join(', ')},`);
+        }
         lines.push(`]));`);
       });
       lines.push(``);
     }
 
+    // Variables: names stay in the code as constants
+    if (model.variables.length > 0) {
+      lines.push(`// Variables`);
+      model.variables.forEach(v => {
+        const opts = [`initial: ${v.initial}`, `min: ${v.min}`, `max: ${v.max}`];
+        if (v.description) opts.push(`description: '${this.escapeString(v.description)}'`);
+        lines.push(`const ${v.name} = game.defineVar('${v.name}', { ${opts.join(', ')} });`);
+      });
+      lines.push(``);
+    }
+
     // Sections
     model.sections.forEach(section => {
       lines.push(`// Section: ${section.name}`);
-      lines.push(`game.section('${section.name}', {`);
+      lines.push(`game.section('${this.escapeString(section.name)}', {`);
       lines.push(`  feedMode: '${section.feedMode}',`);
-      lines.push(`  speed: ${section.speed}`);
+      lines.push(`  speed: ${section.speed},`);
+      lines.push(`  maxLines: ${section.maxLines}`);
       lines.push(`})`);
 
+      // Chain entries: [code, trailing comment]
+      const chain = [];
+      lowerAssignments(section).forEach(op => chain.push(this.flowOpToCode(op)));
+
       // Objects
       section.objects.forEach(obj => {
         const code = this.objectToCode(obj);
-        if (code) {
-          lines.push(`  ${code}`);
+        if (code && code.startsWith('//')) {
+          code.split('\n').forEach(line => chain.push([null, line]));
+        } else if (code) {
+          chain.push([code]);
         }
       });
 
-      lines.push(`  .feed(20);`);
+      chain.push([`.feed(20)`]);
+
+      // Edges, lowered to jumps to section names
+      lowerEdges(model, section).forEach(op => chain.push(this.flowOpToCode(op)));
+
+      const last = chain.map(([code]) => !!code).lastIndexOf(true);
+      chain.forEach(([code, comment], i) => {
+        if (!code) {
+          lines.push(`  ${comment}`);
+          return;
+        }
+        const end = i === last ? ';' : '';
+        lines.push(`  ${code}${end}${comment ? `  ${comment}` : ''}`);
+      });
       lines.push(``);
     });
 
     // Flow
     if (model.sections.length > 0) {
-      const sectionNames = model.sections.map(s => `'${s.name}'`).join(', ');
+      const sectionNames = model.sections.map(s => `'${this.escapeString(s.name)}'`).join(', ');
       lines.push(`game.setFlow(${sectionNames});`);
       lines.push(``);
     }
@@ -58,31 +101,108 @@ export class CodeGenerator {
 
   static objectToCode(obj) {
     switch (obj.type) {
-      case 'text':
-        return `.text(${Math.round(obj.x)}, '${this.escapeString(obj.text)}', { size: ${this.pxToMm(obj.fontSize)} })`;
+      case 'text': {
+        const opts = [`size: ${this.pxToMm(obj.fontSize || 24)}`, `y: ${Math.round(obj.y)}`];
+        if (obj.width) opts.push(`width: ${Math.round(obj.width)}`);
+        if (obj.align && obj.align !== 'left') opts.push(`align: '${obj.align}'`);
+        if (obj.lineSpacing) opts.push(`lineSpacing: ${Math.round(obj.lineSpacing)}`);
+        return `.text(${Math.round(obj.x)}, '${this.escapeString(obj.text)}', { ${opts.join(', ')} })`;
+      }
 
       case 'rect':
-        return `.rect(${Math.round(obj.x)}, ${Math.round(obj.width)}, ${Math.round(obj.height)}, ${obj.fill ? 1 : 0})`;
+        // .rect() only prints solid black; halftone rects are comments like circles
+        if (obj.fill && fillTile(obj)) {
+          return `// rect ${obj.id} at (${Math.round(obj.x)}, ${Math.round(obj.y)}) ${Math.round(obj.width)}x${Math.round(obj.height)}${this.patternSuffix(obj)}`;
+        }
+        return `.rect(${Math.round(obj.x)}, ${Math.round(obj.width)}, ${Math.round(obj.height)}, ${obj.fill ? 1 : 0}, { y: ${Math.round(obj.y)} })`;
 
+      // Circles, lines, images and tables have no SDK call yet: shown as comments
+      // and kept as-is by CodeParser when the code is edited
       case 'circle':
-        // Circle needs to be drawn with canvas, represented as comment
-        return `// circle at (${Math.round(obj.x)}, ${Math.round(obj.y)}) r=${Math.round(obj.radius)}`;
+        return `// circle ${obj.id} at (${Math.round(obj.x)}, ${Math.round(obj.y)}) r=${Math.round(obj.radius)}${obj.fill ? this.patternSuffix(obj) : ''}`;
 
-      case 'line':
-        // Line needs custom drawing
-        return `// line from (${obj.points[0]}, ${obj.points[1]}) to (${obj.points[2]}, ${obj.points[3]})`;
+      case 'line': {
+        const points = [];
+        for (let i = 0; i + 1 < obj.points.length; i += 2) {
+          points.push(`(${Math.round(obj.points[i] + (obj.x || 0))}, ${Math.round(obj.points[i + 1] + (obj.y || 0))})`);
+        }
+        if (obj.closed) return `// polygon ${obj.id} through ${points.join(' ')}${obj.fill ? ' filled' + this.patternSuffix(obj) : ''}`;
+        if (points.length === 2) return `// line ${obj.id} from ${points[0]} to ${points[1]}`;
+        return `// polyline ${obj.id} through ${points.join(' ')}`;
+      }
 
       case 'sprite':
         return `.sprite(${obj.spriteId}, ${Math.round(obj.x)}, ${Math.round(obj.y)})`;
 
+      case 'qr':
+        return `.qr(${Math.round(obj.x)}, '${this.escapeString(String(obj.data))}', { ec: '${obj.ec || 'M'}', module: ${obj.module || 4} })`;
+
+      case 'barcode': {
+        const opts = [`symbology: '${obj.symbology || 'code128'}'`, `bar: ${obj.bar || 2}`, `height: ${obj.height || 60}`];
+        if (obj.caption === false) opts.push('caption: false');
+        return `.barcode(${Math.round(obj.x)}, '${this.escapeString(String(obj.data))}', { ${opts.join(', ')} })`;
+      }
+
       case 'image':
-        return `// image at (${Math.round(obj.x)}, ${Math.round(obj.y)}) ${obj.width}x${obj.height}`;
+        return `// image ${obj.id} at (${Math.round(obj.x)}, ${Math.round(obj.y)}) ${obj.width}x${obj.height}`;
+
+      case 'table':
+        return this.tableToComment(obj);
 
       default:
         return null;
     }
   }
 
+  // ' pattern NAME' for a halftone fill, '' for solid black
+  static patternSuffix(obj) {
+    return fillTile(obj) ? ` pattern ${obj.pattern}` : '';
+  }
+
+  // A table as comment lines: the cells drawn as a text grid
+  static tableToComment(obj) {
+    const cell = (row, c) => String(row[c] ?? '').replace(/\n/g, ' ');
+    const widths = obj.columns.map((_, c) => Math.max(1, ...obj.cells.map(row => cell(row, c).length)));
+    const lines = [
+      `// table ${obj.id} at (${Math.round(obj.x)}, ${Math.round(obj.y)}) columns ${obj.columns.map(Math.round).join('/')}, border ${obj.border || 'grid'}`,
+    ];
+    obj.cells.forEach(row => {
+      lines.push(`//   | ${widths.map((w, c) => cell(row, c).padEnd(w)).join(' | ')} |`);
+    });
+    return lines.join('\n');
+  }
+
+  static flowOpToCode(op) {
+    const opName = (value) => `PGP.OP.${Object.keys(PGP.OP).find(k => PGP.OP[k] === value)}`;
+    const label = (id) => `'${this.escapeString(id)}'`;
+    switch (op.type) {
+      case 'label':
+        return [`.label(${label(op.id)})`, op.wait ? '// wait for a button' : null];
+      case 'waitButton':
+        return [`.waitButton()`];
+      case 'jumpIfBtn':
+        return [`.jumpIfBtn(${this.maskToCode(op.buttonMask)}, ${label(op.labelId)})`];
+      case 'jumpIfFader':
+        return [`.jumpIfFader(${opName(op.op)}, ${op.threshold}, ${label(op.labelId)})`];
+      case 'setVar':
+        return [`.setVar(${op.varId}, ${op.value})`];
+      case 'jumpIfVar':
+        return [`.jumpIfVar(${op.varId}, ${opName(op.op)}, ${op.value}, ${label(op.labelId)})`];
+      case 'randomJump':
+        return [`.randomJump([${op.labelIds.map(label).join(', ')}])`];
+      case 'jump':
+        return [`.jump(${label(op.labelId)})`, op.wait ? '// no match: wait again' : null];
+      case 'stop':
+        return [`.stop()`];
+      default:
+        return [null, `// ${op.type}`];
+    }
+  }
+
+  static maskToCode(mask) {
+    return maskToNames(mask).map(name => `BTN.${name}`).join(' | ');
+  }
+
   static escapeString(str) {
     return str.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n');
   }
@@ -0,0 +1,889 @@
+/**
+ * CodeParser - Parse ExScroller SDK code back into a SceneModel
+ *
+ * Understands the subset CodeGenerator emits: `new Game({...})`,
+ * `game.defineSprite(...)`, `const NAME = game.defineVar(...)`,
+ * `game.section(...)` chains of `.setVar/.text/.rect/.sprite/.qr/.barcode/.feed`
+ * followed by the label/jump blocks that flow.js lowers edges to,
+ * `game.setFlow(...)` and `return game`.
+ * Anything else is reported as a ParseError with line and column.
+ */
+
+import { SceneModel } from './model.js';
+import {
+  SDKError, BTN, PGP, VAR_VALUE_MAX, TEXT_ALIGN, QR_EC, QR_MODULE_MAX, BARCODE_SYMBOLOGIES, BARCODE_BAR_MAX
+} from './sdk.js';
+import { liftEdges, isValidVarName } from './flow.js';
+import { fillTile } from './raster.js';
+
+export class ParseError extends SDKError {
+  constructor(message, context = {}) {
+    const where = context.line ? `Line ${context.line}, column ${context.column}: ` : '';
+    super('PARSE_ERROR', where + message, context);
+    this.name = 'ParseError';
+  }
+}
+
+// Object types that round-trip through code
+const CODE_TYPES = ['text', 'rect', 'sprite', 'qr', 'barcode'];
+
+// Halftone rects are emitted as comments, so code edits leave them alone
+function isCodeObject(obj) {
+  if (obj.type === 'rect' && obj.fill && fillTile(obj)) return false;
+  return CODE_TYPES.includes(obj.type);
+}
+
+// Section calls that CodeGenerator emits for edges (see flow.js)
+const FLOW_METHODS = ['label', 'waitButton', 'jumpIfBtn', 'jumpIfFader', 'jumpIfVar', 'randomJump', 'jump', 'stop'];
+
+const FEED_MODES = ['auto', 'elastic', 'precise'];
+const SECTION_FEED = 20;
+const DOTS_PER_MM = 8;
+
+export class CodeParser {
+  /**
+   * Parse code into a new SceneModel.
+   * When `previous` is given, objects are matched to it in order so their
+   * ids and code-less properties (rotation, circles, lines, images, tables) survive.
+   */
+  static parse(code, previous = null) {
+    const parser = new Parser(tokenize(code));
+    const program = parser.parseProgram();
+    return buildModel(program, previous);
+  }
+}
+
+// =====================================================
+// Tokenizer
+// =====================================================
+const PUNCTUATION = '(){}[],.;:=-|';
+const KEYWORDS = ['const', 'let', 'var', 'new', 'return', 'true', 'false'];
+
+function tokenize(code) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let col = 1;
+
+  const advance = (n = 1) => {
+    for (let k = 0; k < n; k++) {
+      if (code[i] === '\n') { line++; col = 1; } else { col++; }
+      i++;
+    }
+  };
+  const error = (message) => { throw new ParseError(message, { line, column: col }); };
+
+  while (i < code.length) {
+    const ch = code[i];
+
+    if (/\s/.test(ch)) { advance(); continue; }
+
+    if (ch === '/' && code[i + 1] === '/') {
+      while (i < code.length && code[i] !== '\n') advance();
+      continue;
+    }
+    if (ch === '/' && code[i + 1] === '*') {
+      const end = code.indexOf('*/', i + 2);
+      if (end < 0) error('Unterminated comment');
+      advance(end + 2 - i);
+      continue;
+    }
+
+    const start = { line, column: col };
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      let word = '';
+      while (i < code.length && /[\w$]/.test(code[i])) { word += code[i]; advance(); }
+      tokens.push({ type: KEYWORDS.includes(word) ? 'keyword' : 'ident', value: word, ...start });
+      continue;
+    }
+
+    if (/[0-9]/.test(ch)) {
+      let text = '';
+      if (ch === '0' && /[xX]/.test(code[i + 1])) {
+        text = '0x'; advance(2);
+        while (i < code.length && /[0-9a-fA-F]/.test(code[i])) { text += code[i]; advance(); }
+        if (text.length === 2) error('Malformed hex number');
+      } else {
+        while (i < code.length && /[0-9.]/.test(code[i])) { text += code[i]; advance(); }
+      }
+      const value = Number(text);
+      if (Number.isNaN(value)) throw new ParseError(`Malformed number '${text}'`, start);
+      tokens.push({ type: 'number', value, ...start });
+      continue;
+    }
+
+    if (ch === '\'' || ch === '"') {
+      const quote = ch;
+      let value = '';
+      advance();
+      while (code[i] !== quote) {
+        if (i >= code.length || code[i] === '\n') {
+          throw new ParseError('Unterminated string', start);
+        }
+        if (code[i] === '\\') {
+          advance();
+          const esc = code[i];
+          value += { n: '\n', t: '\t', r: '\r', '0': '\0' }[esc] ?? esc;
+        } else {
+          value += code[i];
+        }
+        advance();
+      }
+      advance();
+      tokens.push({ type: 'string', value, ...start });
+      continue;
+    }
+
+    if (PUNCTUATION.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, ...start });
+      advance();
+      continue;
+    }
+
+    error(`Unexpected character '${ch}'`);
+  }
+
+  tokens.push({ type: 'eof', value: null, line, column: col });
+  return tokens;
+}
+
+// =====================================================
+// Parser
+// =====================================================
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.gameVar = null;
+    this.varConsts = new Map();  // constant identifier → variable name
+    this.program = { title: null, sprites: [], variables: [], sections: [], flow: null };
+  }
+
+  peek(offset = 0) { return this.tokens[this.pos + offset]; }
+  next() { return this.tokens[this.pos++]; }
+
+  is(type, value) {
+    const tok = this.peek();
+    return tok.type === type && (value === undefined || tok.value === value);
+  }
+
+  accept(type, value) {
+    if (this.is(type, value)) return this.next();
+    return null;
+  }
+
+  expect(type, value, what) {
+    const tok = this.peek();
+    if (tok.type === type && (value === undefined || tok.value === value)) return this.next();
+    throw this.error(`Expected ${what || value || type}, found ${describe(tok)}`, tok);
+  }
+
+  error(message, tok = this.peek()) {
+    return new ParseError(message, { line: tok.line, column: tok.column });
+  }
+
+  parseProgram() {
+    while (!this.is('eof')) {
+      this.parseStatement();
+    }
+    if (!this.gameVar) {
+      throw new ParseError('Missing `const game = new Game(...)`', { line: 1, column: 1 });
+    }
+    return this.program;
+  }
+
+  parseStatement() {
+    if (this.accept('punct', ';')) return;
+
+    const tok = this.peek();
+    if (tok.type === 'keyword' && ['const', 'let', 'var'].includes(tok.value)) {
+      this.parseDeclaration();
+    } else if (this.accept('keyword', 'return')) {
+      const ident = this.expect('ident', undefined, 'identifier');
+      this.checkGameVar(ident);
+    } else if (tok.type === 'ident') {
+      this.parseGameCall();
+    } else {
+      throw this.error(`Unexpected ${describe(tok)}`);
+    }
+    this.accept('punct', ';');
+  }
+
+  parseDeclaration() {
+    this.next();
+    const name = this.expect('ident', undefined, 'variable name');
+    this.expect('punct', '=');
+    if (this.is('keyword', 'new')) {
+      this.parseGameDeclaration(name);
+      return;
+    }
+
+    // const HP = game.defineVar('HP', {...})
+    const ident = this.expect('ident', undefined, 'new Game(...) or game.defineVar(...)');
+    this.checkGameVar(ident);
+    this.expect('punct', '.');
+    const method = this.expect('ident', undefined, 'defineVar');
+    if (method.value !== 'defineVar') {
+      throw this.error(`Only game.defineVar() can be assigned to a constant`, method);
+    }
+    if (this.varConsts.has(name.value) || name.value === this.gameVar) {
+      throw this.error(`'${name.value}' is already declared`, name);
+    }
+    this.varConsts.set(name.value, this.parseDefineVar(method));
+  }
+
+  parseGameDeclaration(name) {
+    if (this.gameVar) throw this.error('Only one Game declaration is supported', name);
+    this.expect('keyword', 'new');
+    const cls = this.expect('ident', undefined, 'Game');
+    if (cls.value !== 'Game') throw this.error(`Unsupported constructor '${cls.value}'`, cls);
+    this.expect('punct', '(');
+    const opts = this.is('punct', ')') ? { value: {}, keys: {} } : this.parseObject();
+    this.expect('punct', ')');
+
+    const title = this.optionValue(opts, 'title', 'string');
+    this.checkKeys(opts, ['title']);
+    this.gameVar = name.value;
+    this.program.title = title ?? null;
+  }
+
+  parseGameCall() {
+    const ident = this.next();
+    this.checkGameVar(ident);
+    this.expect('punct', '.');
+    const method = this.expect('ident', undefined, 'method name');
+
+    switch (method.value) {
+      case 'section':
+        this.parseSection(method);
+        break;
+      case 'defineSprite':
+        this.parseDefineSprite(method);
+        break;
+      case 'defineVar':
+        this.parseDefineVar(method);
+        break;
+      case 'setFlow':
+        this.parseSetFlow(method);
+        break;
+      default:
+        throw this.error(`Unsupported method 'game.${method.value}()'`, method);
+    }
+  }
+
+  checkGameVar(ident) {
+    if (!this.gameVar) {
+      throw this.error(`'${ident.value}' used before \`const ${ident.value} = new Game(...)\``, ident);
+    }
+    if (ident.value !== this.gameVar) {
+      throw this.error(`Unknown identifier '${ident.value}'`, ident);
+    }
+  }
+
+  parseSection(method) {
+    const args = this.parseArgs(method, 1, 2);
+    const name = this.argValue(args[0], 'string', 'section name');
+    if (this.program.sections.some(s => s.name === name)) {
+      throw this.error(`Duplicate section '${name}'`, args[0].token);
+    }
+
+    const section = {
+      name, feedMode: 'auto', speed: 8000, maxLines: 600,
+      objects: [], assignments: [], flowOps: []
+    };
+    if (args[1]) {
+      const opts = this.argObject(args[1], 'section options');
+      const feedMode = this.optionValue(opts, 'feedMode', 'string');
+      if (feedMode !== undefined) {
+        if (!FEED_MODES.includes(feedMode)) {
+          throw this.error(`feedMode must be one of ${FEED_MODES.join(', ')}`, opts.keys.feedMode);
+        }
+        section.feedMode = feedMode;
+      }
+      section.speed = this.optionValue(opts, 'speed', 'number') ?? section.speed;
+      section.maxLines = this.optionValue(opts, 'maxLines', 'number') ?? section.maxLines;
+      this.checkKeys(opts, ['feedMode', 'speed', 'maxLines']);
+    }
+
+    let fed = false;
+    while (this.is('punct', '.')) {
+      this.next();
+      const call = this.expect('ident', undefined, 'method name');
+
+      if (FLOW_METHODS.includes(call.value)) {
+        if (!fed) throw this.error(`Branch calls like .${call.value}() must come after feed(${SECTION_FEED})`, call);
+        section.flowOps.push(this.parseFlowOp(call));
+        continue;
+      }
+      if (fed) throw this.error(`.${call.value}() must come before feed(${SECTION_FEED})`, call);
+
+      switch (call.value) {
+        case 'setVar': {
+          const a = this.parseArgs(call, 2, 2);
+          const variable = this.varRef(a[0]);
+          const value = this.argValue(a[1], 'number', 'value');
+          if (!Number.isInteger(value) || value < variable.min || value > variable.max) {
+            throw this.error(`${variable.name} must be an integer ${variable.min}-${variable.max}`, a[1].token);
+          }
+          section.assignments.push({ var: variable.name, value });
+          break;
+        }
+        case 'text': {
+          const a = this.parseArgs(call, 2, 3);
+          const obj = {
+            type: 'text',
+            x: this.argValue(a[0], 'number', 'x'),
+            y: 0,
+            text: this.argValue(a[1], 'string', 'text'),
+            fontSize: 16
+          };
+          if (a[2]) {
+            const opts = this.argObject(a[2], 'text options');
+            const size = this.optionValue(opts, 'size', 'number');
+            if (size !== undefined) {
+              obj.fontSize = Math.round(size * DOTS_PER_MM);
+              obj._sizeMm = size;
+            }
+            obj.y = this.optionValue(opts, 'y', 'number') ?? 0;
+            const width = this.optionValue(opts, 'width', 'number');
+            if (width !== undefined) obj.width = width;
+            const align = this.optionValue(opts, 'align', 'string');
+            if (align !== undefined) {
+              if (!TEXT_ALIGN.includes(align)) {
+                throw this.error(`Option 'align' must be one of ${TEXT_ALIGN.join(', ')}`, opts.keys.align.valueToken);
+              }
+              obj.align = align;
+            }
+            const lineSpacing = this.optionValue(opts, 'lineSpacing', 'number');
+            if (lineSpacing !== undefined) obj.lineSpacing = lineSpacing;
+            this.checkKeys(opts, ['size', 'y', 'width', 'align', 'lineSpacing']);
+          }
+          section.objects.push(obj);
+          break;
+        }
+        case 'rect': {
+          const a = this.parseArgs(call, 3, 5);
+          const obj = {
+            type: 'rect',
+            x: this.argValue(a[0], 'number', 'x'),
+            y: 0,
+            width: this.argValue(a[1], 'number', 'width'),
+            height: this.argValue(a[2], 'number', 'height'),
+            fill: true
+          };
+          if (a[3]) {
+            const fill = a[3].value;
+            if (typeof fill !== 'number' && typeof fill !== 'boolean') {
+              throw this.error('Expected fill as 0/1 or true/false', a[3].token);
+            }
+            obj.fill = !!fill;
+          }
+          if (a[4]) {
+            const opts = this.argObject(a[4], 'rect options');
+            obj.y = this.optionValue(opts, 'y', 'number') ?? 0;
+            this.checkKeys(opts, ['y']);
+          }
+          section.objects.push(obj);
+          break;
+        }
+        case 'sprite': {
+          const a = this.parseArgs(call, 2, 3);
+          section.objects.push({
+            type: 'sprite',
+            spriteId: this.argValue(a[0], 'number', 'sprite id'),
+            x: this.argValue(a[1], 'number', 'x'),
+            y: a[2] ? this.argValue(a[2], 'number', 'y') : 0
+          });
+          break;
+        }
+        case 'qr': {
+          // .qr() prints at the cursor: y is not in the code
+          const a = this.parseArgs(call, 2, 3);
+          const obj = {
+            type: 'qr',
+            x: this.argValue(a[0], 'number', 'x'),
+            data: this.argValue(a[1], 'string', 'data'),
+            ec: 'M',
+            module: 4
+          };
+          if (a[2]) {
+            const opts = this.argObject(a[2], 'qr options');
+            const ec = this.optionValue(opts, 'ec', 'string');
+            if (ec !== undefined) {
+              if (!QR_EC.includes(ec)) {
+                throw this.error(`Option 'ec' must be one of ${QR_EC.join(', ')}`, opts.keys.ec.valueToken);
+              }
+              obj.ec = ec;
+            }
+            const module = this.optionValue(opts, 'module', 'number');
+            if (module !== undefined) {
+              if (!Number.isInteger(module) || module < 1 || module > QR_MODULE_MAX) {
+                throw this.error(`Option 'module' must be an integer 1-${QR_MODULE_MAX}`, opts.keys.module.valueToken);
+              }
+              obj.module = module;
+            }
+            this.checkKeys(opts, ['ec', 'module']);
+          }
+          section.objects.push(obj);
+          break;
+        }
+        case 'barcode': {
+          // Like .qr(), printed at the cursor
+          const a = this.parseArgs(call, 2, 3);
+          const obj = {
+            type: 'barcode',
+            x: this.argValue(a[0], 'number', 'x'),
+            data: this.argValue(a[1], 'string', 'data'),
+            symbology: 'code128',
+            bar: 2,
+            height: 60,
+            caption: true
+          };
+          if (a[2]) {
+            const opts = this.argObject(a[2], 'barcode options');
+            const symbology = this.optionValue(opts, 'symbology', 'string');
+            if (symbology !== undefined) {
+              if (!BARCODE_SYMBOLOGIES.includes(symbology)) {
+                throw this.error(`Option 'symbology' must be one of ${BARCODE_SYMBOLOGIES.join(', ')}`, opts.keys.symbology.valueToken);
+              }
+              obj.symbology = symbology;
+            }
+            const bar = this.optionValue(opts, 'bar', 'number');
+            if (bar !== undefined) {
+              if (!Number.isInteger(bar) || bar < 1 || bar > BARCODE_BAR_MAX) {
+                throw this.error(`Option 'bar' must be an integer 1-${BARCODE_BAR_MAX}`, opts.keys.bar.valueToken);
+              }
+              obj.bar = bar;
+            }
+            const height = this.optionValue(opts, 'height', 'number');
+            if (height !== undefined) {
+              if (!Number.isInteger(height) || height < 1) {
+                throw this.error(`Option 'height' must be a positive integer`, opts.keys.height.valueToken);
+              }
+              obj.height = height;
+            }
+            obj.caption = this.optionValue(opts, 'caption', 'boolean') ?? true;
+            this.checkKeys(opts, ['symbology', 'bar', 'height', 'caption']);
+          }
+          section.objects.push(obj);
+          break;
+        }
+        case 'feed': {
+          const a = this.parseArgs(call, 1, 1);
+          const lines = this.argValue(a[0], 'number', 'line count');
+          if (lines !== SECTION_FEED) {
+            throw this.error(`Studio sections always end with feed(${SECTION_FEED})`, a[0].token);
+          }
+          fed = true;
+          break;
+        }
+        default:
+          throw this.error(`Unsupported section method '.${call.value}()'`, call);
+      }
+    }
+
+    this.program.sections.push(section);
+  }
+
+  parseFlowOp(call) {
+    const op = (fields) => ({ ...fields, token: call });
+    switch (call.value) {
+      case 'label': {
+        const a = this.parseArgs(call, 1, 1);
+        return op({ type: 'label', id: this.argValue(a[0], 'string', 'label name') });
+      }
+      case 'waitButton':
+        this.parseArgs(call, 0, 0);
+        return op({ type: 'waitButton' });
+      case 'jumpIfBtn': {
+        const a = this.parseArgs(call, 2, 2);
+        return op({
+          type: 'jumpIfBtn',
+          buttonMask: this.argValue(a[0], 'number', 'button mask'),
+          labelId: this.argValue(a[1], 'string', 'section name')
+        });
+      }
+      case 'jumpIfFader': {
+        const a = this.parseArgs(call, 3, 3);
+        return op({
+          type: 'jumpIfFader',
+          op: this.argValue(a[0], 'number', 'operator'),
+          threshold: this.argValue(a[1], 'number', 'threshold'),
+          labelId: this.argValue(a[2], 'string', 'section name')
+        });
+      }
+      case 'jumpIfVar': {
+        const a = this.parseArgs(call, 4, 4);
+        const value = this.argValue(a[2], 'number', 'value');
+        if (!Number.isInteger(value) || value < 0 || value > VAR_VALUE_MAX) {
+          throw this.error(`Compared value must be an integer 0-${VAR_VALUE_MAX}`, a[2].token);
+        }
+        return op({
+          type: 'jumpIfVar',
+          varId: this.varRef(a[0]).name,
+          op: this.argValue(a[1], 'number', 'operator'),
+          value,
+          labelId: this.argValue(a[3], 'string', 'section name')
+        });
+      }
+      case 'randomJump': {
+        const a = this.parseArgs(call, 1, 1);
+        const ids = a[0].value;
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+          throw this.error('Expected an array of section names', a[0].token);
+        }
+        return op({ type: 'randomJump', labelIds: ids });
+      }
+      case 'jump': {
+        const a = this.parseArgs(call, 1, 1);
+        return op({ type: 'jump', labelId: this.argValue(a[0], 'string', 'section name') });
+      }
+      case 'stop':
+        this.parseArgs(call, 0, 0);
+        return op({ type: 'stop' });
+    }
+    return null;
+  }
+
+  parseDefineSprite(method) {
+    const args = this.parseArgs(method, 4, 4);
+    const id = this.argValue(args[0], 'number', 'sprite id');
+    const width = this.argValue(args[1], 'number', 'width');
+    const height = this.argValue(args[2], 'number', 'height');
+    if (!Number.isInteger(id) || id < 0 || id > 255) throw this.error('Sprite id must be 0-255', args[0].token);
+    if (!Number.isInteger(width) || width < 1 || width > 255) throw this.error('Sprite width must be 1-255', args[1].token);
+    if (!Number.isInteger(height) || height < 1 || height > 255) throw this.error('Sprite height must be 1-255', args[2].token);
+
+    const data = args[3].value;
+    if (!(data instanceof Uint8Array)) {
+      throw this.error('Expected sprite data as new Uint8Array([...])', args[3].token);
+    }
+    const expected = Math.ceil(width / 8) * height;
+    if (data.length !== expected) {
+      throw this.error(`Sprite ${id} needs ${expected} bytes, found ${data.length}`, args[3].token);
+    }
+    if (this.program.sprites.some(s => s.id === id)) {
+      throw this.error(`Duplicate sprite id ${id}`, args[0].token);
+    }
+    this.program.sprites.push({ id, width, height, data });
+  }
+
+  parseDefineVar(method) {
+    const args = this.parseArgs(method, 1, 2);
+    const name = this.argValue(args[0], 'string', 'variable name');
+    if (!isValidVarName(name)) {
+      throw this.error(`'${name}' is not a valid variable name`, args[0].token);
+    }
+    if (this.program.variables.some(v => v.name === name)) {
+      throw this.error(`Duplicate variable '${name}'`, args[0].token);
+    }
+
+    const variable = { name, initial: 0, min: 0, max: VAR_VALUE_MAX, description: '' };
+    if (args[1]) {
+      const opts = this.argObject(args[1], 'variable options');
+      ['initial', 'min', 'max'].forEach(key => {
+        const value = this.optionValue(opts, key, 'number');
+        if (value === undefined) return;
+        if (!Number.isInteger(value) || value < 0 || value > VAR_VALUE_MAX) {
+          throw this.error(`Option '${key}' must be an integer 0-${VAR_VALUE_MAX}`, opts.keys[key].valueToken);
+        }
+        variable[key] = value;
+      });
+      variable.description = this.optionValue(opts, 'description', 'string') ?? '';
+      this.checkKeys(opts, ['initial', 'min', 'max', 'description']);
+    }
+    if (variable.min > variable.max) {
+      throw this.error(`Variable '${name}': min ${variable.min} is greater than max ${variable.max}`, args[0].token);
+    }
+    if (variable.initial < variable.min || variable.initial > variable.max) {
+      throw this.error(`Variable '${name}': initial ${variable.initial} is outside ${variable.min}-${variable.max}`, args[0].token);
+    }
+    this.program.variables.push(variable);
+    return name;
+  }
+
+  // A variable constant (or its name as a string) declared earlier
+  varRef(arg) {
+    const variable = typeof arg.value === 'string'
+      ? this.program.variables.find(v => v.name === arg.value) : null;
+    if (!variable) {
+      throw this.error('Expected a variable declared with game.defineVar()', arg.token);
+    }
+    return variable;
+  }
+
+  parseSetFlow(method) {
+    const args = this.parseArgs(method, 1, Infinity);
+    this.program.flow = args.map(arg => ({
+      name: this.argValue(arg, 'string', 'section name'),
+      token: arg.token
+    }));
+  }
+
+  // ----- Values -----
+
+  parseArgs(call, min, max) {
+    this.expect('punct', '(');
+    const args = [];
+    while (!this.is('punct', ')')) {
+      const token = this.peek();
+      args.push({ value: this.parseValue(), token });
+      if (!this.accept('punct', ',')) break;
+    }
+    this.expect('punct', ')', "')'");
+    if (args.length < min || args.length > max) {
+      const range = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min}-${max}`;
+      throw this.error(`${call.value}() takes ${range} arguments, got ${args.length}`, call);
+    }
+    return args;
+  }
+
+  // Values may be OR-ed together, e.g. BTN.A | BTN.B
+  parseValue() {
+    let value = this.parsePrimary();
+    while (this.is('punct', '|')) {
+      const tok = this.next();
+      const rhs = this.parsePrimary();
+      if (typeof value !== 'number' || typeof rhs !== 'number') {
+        throw this.error("'|' needs numbers on both sides", tok);
+      }
+      value |= rhs;
+    }
+    return value;
+  }
+
+  parsePrimary() {
+    const tok = this.peek();
+    if (tok.type === 'ident' && (tok.value === 'BTN' || tok.value === 'PGP')) {
+      return this.parseConstant();
+    }
+    if (tok.type === 'ident' && this.varConsts.has(tok.value)) {
+      this.next();
+      return this.varConsts.get(tok.value);
+    }
+    if (this.accept('punct', '-')) {
+      const num = this.expect('number', undefined, 'number');
+      return -num.value;
+    }
+    if (tok.type === 'number' || tok.type === 'string') return this.next().value;
+    if (this.accept('keyword', 'true')) return true;
+    if (this.accept('keyword', 'false')) return false;
+    if (this.is('punct', '{')) return this.parseObject();
+    if (this.is('punct', '[')) return this.parseArray();
+    if (this.accept('keyword', 'new')) {
+      const cls = this.expect('ident', undefined, 'Uint8Array');
+      if (cls.value !== 'Uint8Array') throw this.error(`Unsupported constructor '${cls.value}'`, cls);
+      this.expect('punct', '(');
+      const argTok = this.peek();
+      const arg = this.parseValue();
+      this.expect('punct', ')');
+      if (typeof arg === 'number') return new Uint8Array(arg);
+      if (!Array.isArray(arg) || !arg.every(b => Number.isInteger(b) && b >= 0 && b <= 255)) {
+        throw this.error('Uint8Array needs a length or an array of bytes 0-255', argTok);
+      }
+      return new Uint8Array(arg);
+    }
+    throw this.error(`Unexpected ${describe(tok)}`);
+  }
+
+  // BTN.<name> and PGP.OP.<name>
+  parseConstant() {
+    const root = this.next();
+    this.expect('punct', '.');
+    let table = root.value === 'BTN' ? BTN : null;
+    let path = root.value;
+    if (root.value === 'PGP') {
+      const sub = this.expect('ident', undefined, 'OP');
+      if (sub.value !== 'OP') throw this.error(`Unsupported constant 'PGP.${sub.value}'`, sub);
+      this.expect('punct', '.');
+      table = PGP.OP;
+      path = 'PGP.OP';
+    }
+    const name = this.expect('ident', undefined, 'constant name');
+    if (!(name.value in table)) throw this.error(`Unknown constant '${path}.${name.value}'`, name);
+    return table[name.value];
+  }
+
+  parseArray() {
+    this.expect('punct', '[');
+    const items = [];
+    while (!this.is('punct', ']')) {
+      items.push(this.parseValue());
+      if (!this.accept('punct', ',')) break;
+    }
+    this.expect('punct', ']', "']'");
+    return items;
+  }
+
+  // Objects keep the key tokens so option errors can point at them
+  parseObject() {
+    this.expect('punct', '{');
+    const value = {};
+    const keys = {};
+    while (!this.is('punct', '}')) {
+      const keyTok = this.peek();
+      if (keyTok.type !== 'ident' && keyTok.type !== 'string' && keyTok.type !== 'keyword') {
+        throw this.error(`Expected property name, found ${describe(keyTok)}`);
+      }
+      this.next();
+      this.expect('punct', ':');
+      const valueTok = this.peek();
+      value[keyTok.value] = this.parseValue();
+      keys[keyTok.value] = keyTok;
+      keys[keyTok.value].valueToken = valueTok;
+      if (!this.accept('punct', ',')) break;
+    }
+    this.expect('punct', '}', "'}'");
+    return { value, keys, isObject: true };
+  }
+
+  argValue(arg, type, what) {
+    if (typeof arg.value !== type) {
+      throw this.error(`Expected ${what} (${type})`, arg.token);
+    }
+    return arg.value;
+  }
+
+  argObject(arg, what) {
+    if (!arg.value || !arg.value.isObject) {
+      throw this.error(`Expected ${what} object`, arg.token);
+    }
+    return arg.value;
+  }
+
+  optionValue(opts, key, type) {
+    if (!(key in opts.value)) return undefined;
+    const value = opts.value[key];
+    if (typeof value !== type) {
+      throw this.error(`Option '${key}' must be a ${type}`, opts.keys[key].valueToken);
+    }
+    return value;
+  }
+
+  checkKeys(opts, allowed) {
+    Object.keys(opts.value).forEach(key => {
+      if (!allowed.includes(key)) {
+        throw this.error(`Unsupported option '${key}'`, opts.keys[key]);
+      }
+    });
+  }
+}
+
+// =====================================================
+// Model Building
+// =====================================================
+function buildModel(program, previous) {
+  const model = new SceneModel();
+  model.title = program.title ?? previous?.title ?? model.title;
+
+  program.sprites.forEach(s => model.addSprite(s.id, s.width, s.height, s.data));
+  model.variables = program.variables;
+
+  // Jumps target sections by name
+  const declared = program.sections.map(s => s.name);
+  program.sections.forEach(section => {
+    const lifted = liftEdges(section.name, section.flowOps, declared);
+    if (lifted.error) {
+      throw new ParseError(lifted.error, { line: lifted.op.token.line, column: lifted.op.token.column });
+    }
+    section.edges = lifted.edges;
+  });
+
+  // Order sections by setFlow when present
+  let sections = program.sections;
+  if (program.flow) {
+    const byName = new Map(sections.map(s => [s.name, s]));
+    program.flow.forEach(({ name, token }) => {
+      if (!byName.has(name)) {
+        throw new ParseError(`setFlow references unknown section '${name}'`,
+          { line: token.line, column: token.column });
+      }
+    });
+    const ordered = program.flow.map(f => byName.get(f.name));
+    sections = [...ordered, ...sections.filter(s => !ordered.includes(s))];
+  }
+
+  // Reserve ids used by the previous model so new objects never collide
+  if (previous) model._idCounter = previous._idCounter;
+
+  sections.forEach(parsed => {
+    const section = model.addSection(parsed.name, parsed);
+    const before = previous?.getSection(parsed.name)?.objects || [];
+    section.objects = mergeObjects(before, parsed.objects, model);
+  });
+
+  const currentName = previous?.currentSection?.name;
+  model.currentSection = model.getSection(currentName) || model.sections[0] || null;
+  return model;
+}
+
+/**
+ * Replace the code-expressible objects of `before` with `parsed`, matching
+ * each parsed object to the next unmatched previous object of the same type.
+ * Objects code cannot express (circles, lines, images, tables, halftone
+ * rects) keep their place.
+ */
+function mergeObjects(before, parsed, model) {
+  const prevCode = before.filter(isCodeObject);
+  const matchOf = new Map();
+  const merged = [];
+  let p = 0;
+  parsed.forEach(obj => {
+    let j = p;
+    while (j < prevCode.length && prevCode[j].type !== obj.type) j++;
+    if (j < prevCode.length) {
+      matchOf.set(prevCode[j], merged.length);
+      merged.push(mergeObject(prevCode[j], obj, model));
+      p = j + 1;
+    } else {
+      merged.push(mergeObject(null, obj, model));
+    }
+  });
+
+  const out = [];
+  let q = 0;
+  before.forEach(prev => {
+    if (!isCodeObject(prev)) {
+      out.push(prev);
+    } else if (matchOf.has(prev)) {
+      const i = matchOf.get(prev);
+      while (q <= i) out.push(merged[q++]);
+    }
+  });
+  while (q < merged.length) out.push(merged[q++]);
+  return out;
+}
+
+function mergeObject(prev, parsed, model) {
+  const { _sizeMm, ...props } = parsed;
+  if (!prev) {
+    const obj = { ...props, id: model.nextId() };
+    if (obj.type === 'sprite') fillSpriteSize(obj, model);
+    if (obj.type === 'qr' || obj.type === 'barcode') obj.y = 0;
+    return obj;
+  }
+
+  const obj = { ...prev, ...props, id: prev.id };
+  // Code only carries the size in 0.1mm; keep the exact pixel size if unchanged
+  if (obj.type === 'text' && _sizeMm !== undefined &&
+      Math.round((prev.fontSize || 24) / DOTS_PER_MM * 10) / 10 === _sizeMm) {
+    obj.fontSize = prev.fontSize;
+  }
+  if (obj.type === 'sprite' && obj.spriteId !== prev.spriteId) fillSpriteSize(obj, model);
+  return obj;
+}
+
+function fillSpriteSize(obj, model) {
+  const sprite = model.sprites.get(obj.spriteId);
+  obj.width = sprite ? sprite.width : 32;
+  obj.height = sprite ? sprite.height : 32;
+}
+
+function describe(tok) {
+  switch (tok.type) {
+    case 'eof': return 'end of code';
+    case 'string': return `string '${tok.value}'`;
+    default: return `'${tok.value}'`;
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * EmulatorPanel - Run the current model on the virtual printer
+ */
+
+import { SDKError, WIDTH, BTN } from './sdk.js';
+import { BUTTONS, FADER_MAX } from './flow.js';
+import { compileModel } from './printer.js';
+import { Emulator, EMU_STATUS } from './emulator.js';
+
+const STATUS_TEXT = {
+  [EMU_STATUS.READY]: 'Ready',
+  [EMU_STATUS.WAITING_BUTTON]: 'Waiting for a button',
+  [EMU_STATUS.WAITING_FADER]: 'Waiting for the fader',
+  [EMU_STATUS.STOPPED]: 'Stopped',
+  [EMU_STATUS.LIMIT]: 'Step limit reached (endless loop?)',
+  [EMU_STATUS.ERROR]: 'Error',
+};
+
+export class EmulatorPanel {
+  constructor(options) {
+    this.container = typeof options.container === 'string'
+      ? document.getElementById(options.container)
+      : options.container;
+    // Restart recompiles whatever the studio is editing now
+    this.getModel = options.getModel;
+    this.emulator = null;
+    this.symbols = { labels: {}, variables: {} };
+    this.build();
+  }
+
+  build() {
+    const el = this.container;
+    el.innerHTML = '';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'emu-toolbar';
+
+    this.btnRestart = document.createElement('button');
+    this.btnRestart.textContent = '↻ Restart';
+    this.btnRestart.title = 'Recompile the model and run it from the start';
+    this.btnRestart.addEventListener('click', () => this.start(this.getModel()));
+    toolbar.appendChild(this.btnRestart);
+
+    BUTTONS.forEach(name => {
+      const btn = document.createElement('button');
+      btn.className = 'emu-btn';
+      btn.textContent = name;
+      btn.addEventListener('click', () => this.input(emu => emu.press(BTN[name])));
+      toolbar.appendChild(btn);
+    });
+
+    const fader = document.createElement('input');
+    fader.type = 'range';
+    fader.min = 0;
+    fader.max = FADER_MAX;
+    fader.value = 0;
+    fader.title = 'Fader';
+    fader.addEventListener('input', () => this.input(emu => emu.setFader(parseInt(fader.value, 10))));
+    this.faderEl = fader;
+    toolbar.appendChild(fader);
+    el.appendChild(toolbar);
+
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'emu-status';
+    el.appendChild(this.statusEl);
+
+    this.varsEl = document.createElement('div');
+    this.varsEl.className = 'emu-vars';
+    el.appendChild(this.varsEl);
+
+    const paper = document.createElement('div');
+    paper.className = 'emu-paper';
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = WIDTH;
+    this.canvas.height = 1;
+    paper.appendChild(this.canvas);
+    el.appendChild(paper);
+  }
+
+  /**
+   * Compile the model and run it until it stops or waits for input
+   */
+  start(model) {
+    let game, bytes;
+    try {
+      game = compileModel(model);
+      bytes = game.compile();
+    } catch (err) {
+      if (!(err instanceof SDKError)) throw err;
+      this.emulator = null;
+      this.showStatus(err.message, 'error');
+      return;
+    }
+
+    this.symbols = game.symbols();
+    this.emulator = new Emulator({ fader: parseInt(this.faderEl.value, 10) }).load(bytes);
+    this.emulator.run();
+    this.update();
+  }
+
+  input(apply) {
+    if (!this.emulator) return;
+    apply(this.emulator);
+    this.emulator.run();
+    this.update();
+  }
+
+  update() {
+    const emu = this.emulator;
+    const kind = emu.status === EMU_STATUS.ERROR || emu.status === EMU_STATUS.LIMIT ? 'error' : 'ok';
+    this.showStatus(
+      `${STATUS_TEXT[emu.status]}${emu.error ? `: ${emu.error}` : ''} · ${emu.height} lines · ${emu.steps} steps`,
+      kind
+    );
+
+    this.varsEl.textContent = Object.entries(this.symbols.variables)
+      .map(([name, id]) => `${name} = ${emu.vars[id]}`)
+      .join('   ');
+
+    this.drawPaper();
+    this.container.scrollTop = this.container.scrollHeight;
+  }
+
+  drawPaper() {
+    const bitmap = this.emulator.toBitmap();
+    this.canvas.height = Math.max(1, bitmap.height);
+    const ctx = this.canvas.getContext('2d');
+    const img = ctx.createImageData(WIDTH, this.canvas.height);
+    for (let y = 0; y < bitmap.height; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        const v = bitmap.get(x, y) ? 0 : 245;
+        const i = (y * WIDTH + x) * 4;
+        img.data[i] = v;
+        img.data[i + 1] = v;
+        img.data[i + 2] = v;
+        img.data[i + 3] = 255;
+      }
+    }
+    ctx.putImageData(img, 0, 0);
+  }
+
+  showStatus(text, kind) {
+    this.statusEl.textContent = text;
+    this.statusEl.className = `emu-status ${kind}`;
+  }
+}
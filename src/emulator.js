@@ -0,0 +1,279 @@
+/**
+ * Emulator - Virtual ExScroller that runs the output of Game.compile()
+ *
+ * Pure JS, no DOM: runs headless (scripted inputs) as well as in the
+ * studio (press() / setFader() between run() calls).
+ *
+ *   const emu = new Emulator({ script: [{ button: BTN.A }] });
+ *   emu.load(game.compile());
+ *   emu.run();   // → 'stopped' | 'waiting-button' | 'waiting-fader' | ...
+ *
+ * Printing commands go to an SDK Paper (this.paper), the same one the
+ * studio preview prints on.
+ */
+
+import { PGP, Paper, WIDTH, BPL, BTN, VAR_COUNT, ValidationError } from './sdk.js';
+import { FADER_MAX } from './flow.js';
+import { Bitmap, fallbackGlyph } from './raster.js';
+
+// Status after run()
+export const EMU_STATUS = {
+  READY: 'ready',
+  WAITING_BUTTON: 'waiting-button',
+  WAITING_FADER: 'waiting-fader',
+  STOPPED: 'stopped',
+  LIMIT: 'limit',
+  ERROR: 'error',
+};
+
+export class Emulator {
+  /**
+   * options:
+   *   script   - inputs used whenever the program waits, in order:
+   *              { button: mask | 'A'..'R' } or { fader: 0-4095 }
+   *   random   - () => [0, 1), for RANDOM_JUMP (default Math.random)
+   *   fader    - initial fader value (default 0)
+   *   maxSteps - commands executed per run() before giving up (loops)
+   *   maxLines - paper length limit
+   */
+  constructor(options = {}) {
+    this.script = [...(options.script || [])];
+    this.random = options.random || Math.random;
+    this.maxSteps = options.maxSteps ?? 100000;
+    this.maxLines = options.maxLines ?? 20000;
+    this.initialFader = options.fader ?? 0;
+    this.commands = [];
+    this.reset();
+  }
+
+  reset() {
+    this.pc = 0;
+    this.paper = new Paper({ missingGlyph: fallbackGlyph });
+    this.vars = new Uint16Array(VAR_COUNT);
+    this.fader = this.initialFader;
+    this.buttons = 0;        // latched by WAIT_BUTTON
+    this.pending = [];       // presses not consumed yet
+    this.program = null;     // { start, end, labels } while inside PROGRAM_START..END
+    this.settings = { speed: null, heat: null, mode: 0, feedMode: 0, sync: null };
+    this.steps = 0;
+    this.status = EMU_STATUS.READY;
+    this.error = null;
+  }
+
+  /**
+   * Load a PGP stream. Framing or CRC errors are rejected up front.
+   */
+  load(bytes) {
+    const { commands, errors } = PGP.decode(bytes);
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `Invalid PGP stream:\n${errors.map(e => `@${e.offset}: ${e.message}`).join('\n')}`,
+        { errors }
+      );
+    }
+    this.commands = commands;
+    this.reset();
+    return this;
+  }
+
+  // ----- Inputs -----
+
+  press(button) {
+    this.pending.push(toMask(button));
+    return this;
+  }
+
+  setFader(value) {
+    this.fader = Math.max(0, Math.min(FADER_MAX, Math.round(value)));
+    return this;
+  }
+
+  // Pull scripted inputs until one satisfies `ready`
+  _feedScript(ready) {
+    while (!ready() && this.script.length > 0) {
+      const input = this.script.shift();
+      if (input.fader !== undefined) this.setFader(input.fader);
+      if (input.button !== undefined) this.press(input.button);
+    }
+    return ready();
+  }
+
+  // ----- Execution -----
+
+  /**
+   * Run until the stream ends, the program stops or waits for input
+   */
+  run() {
+    if (this.status === EMU_STATUS.STOPPED || this.status === EMU_STATUS.ERROR) return this.status;
+    this.status = EMU_STATUS.READY;
+    let budget = this.maxSteps;
+
+    while (this.status === EMU_STATUS.READY) {
+      if (this.pc >= this.commands.length) {
+        this.status = EMU_STATUS.STOPPED;
+        break;
+      }
+      if (budget-- <= 0 || this.paper.height > this.maxLines) {
+        this.status = EMU_STATUS.LIMIT;
+        break;
+      }
+      try {
+        this.step();
+      } catch (err) {
+        if (!(err instanceof EmulatorFault)) throw err;
+        this.status = EMU_STATUS.ERROR;
+        this.error = err.message;
+      }
+    }
+    return this.status;
+  }
+
+  /**
+   * Execute the command at pc (unless it has to wait)
+   */
+  step() {
+    const c = this.commands[this.pc];
+    const a = c.args;
+    const C = PGP.CMD;
+    let next = this.pc + 1;
+
+    switch (c.cmd) {
+      // ----- Printing -----
+      case C.SPRITE_DRAW:
+        if (!this.paper.sprites.has(a.id)) throw new EmulatorFault(`SPRITE_DRAW of undefined sprite ${a.id}`);
+        this.paper.paint(c);
+        break;
+      case C.RAW_LINE:
+      case C.RAW_LINES:
+      case C.RAW_LINE_RLE:
+      case C.FILL_LINE:
+      case C.FEED:
+      case C.TEXT:
+      case C.RECT:
+      case C.SPRITE_DEF:
+        this.paper.paint(c);
+        break;
+
+      // ----- Settings -----
+      case C.SET_SPEED: this.settings.speed = a.pps; break;
+      case C.SET_HEAT: this.settings.heat = a.us; break;
+      case C.SET_MODE: this.settings.mode = a.mode; break;
+      case C.SET_FEED_MODE: this.settings.feedMode = a.mode; break;
+      case C.SYNC: this.settings.sync = a.seq; break;
+      case C.POLL_INPUT: break;
+
+      case C.STOP:
+        this.status = EMU_STATUS.STOPPED;
+        break;
+
+      // ----- Program -----
+      case C.PROGRAM_START:
+        this.program = this._scanProgram(this.pc);
+        break;
+      case C.PROGRAM_END:
+        this.program = null;
+        break;
+      case C.LABEL:
+        break;
+      case C.JUMP:
+        next = this._label(a.labelId);
+        break;
+      case C.JUMP_IF_BTN:
+        if (this.buttons & (a.buttonMask || BTN.ANY)) next = this._label(a.labelId);
+        break;
+      case C.RANDOM_JUMP:
+        if (a.labelIds.length > 0) {
+          const pick = Math.min(a.labelIds.length - 1, Math.floor(this.random() * a.labelIds.length));
+          next = this._label(a.labelIds[pick]);
+        }
+        break;
+      case C.SET_VAR:
+        this.vars[a.varId] = a.value;
+        break;
+      case C.JUMP_IF_VAR:
+        if (compare(this.vars[a.varId], a.op, a.value)) next = this._label(a.labelId);
+        break;
+      case C.JUMP_IF_FADER:
+        if (compare(this.fader, a.op, a.threshold)) next = this._label(a.labelId);
+        break;
+
+      // ----- Waits (leave pc in place until the input arrives) -----
+      case C.WAIT_BUTTON:
+        if (!this._feedScript(() => this.pending.length > 0)) {
+          this.status = EMU_STATUS.WAITING_BUTTON;
+          return;
+        }
+        this.buttons = this.pending.shift();
+        break;
+      case C.WAIT_FADER:
+        if (!this._feedScript(() => compare(this.fader, a.op, a.threshold))) {
+          this.status = EMU_STATUS.WAITING_FADER;
+          return;
+        }
+        break;
+
+      default:
+        throw new EmulatorFault(`@${c.offset}: ${c.name} is not supported`);
+    }
+
+    this.steps++;
+    this.pc = next;
+  }
+
+  // Labels of the PROGRAM_START at `start`, up to its PROGRAM_END
+  _scanProgram(start) {
+    const labels = new Map();
+    let end = start + 1;
+    for (; end < this.commands.length; end++) {
+      const c = this.commands[end];
+      if (c.cmd === PGP.CMD.PROGRAM_END) break;
+      if (c.cmd === PGP.CMD.LABEL) labels.set(c.args.id, end);
+    }
+    return { start, end, labels };
+  }
+
+  _label(id) {
+    if (!this.program) {
+      throw new EmulatorFault(`@${this.commands[this.pc].offset}: jump outside PROGRAM_START..PROGRAM_END`);
+    }
+    if (!this.program.labels.has(id)) {
+      throw new EmulatorFault(`@${this.commands[this.pc].offset}: jump to undefined label ${id}`);
+    }
+    return this.program.labels.get(id);
+  }
+
+  // ----- Paper -----
+
+  get height() {
+    return this.paper.height;
+  }
+
+  /**
+   * Paper as a Bitmap (for drawing or comparing)
+   */
+  toBitmap() {
+    const bitmap = new Bitmap(WIDTH, this.paper.height);
+    this.paper.lines.forEach((row, y) => bitmap.data.set(row, y * BPL));
+    return bitmap;
+  }
+}
+
+// Problems in the program itself (bad jump, unknown sprite). run()
+// reports them through status/error instead of throwing.
+class EmulatorFault extends Error {}
+
+function toMask(button) {
+  return typeof button === 'string' ? BTN[button] : button;
+}
+
+function compare(a, op, b) {
+  switch (op) {
+    case PGP.OP.EQ: return a === b;
+    case PGP.OP.NE: return a !== b;
+    case PGP.OP.LT: return a < b;
+    case PGP.OP.LE: return a <= b;
+    case PGP.OP.GT: return a > b;
+    case PGP.OP.GE: return a >= b;
+    default: throw new EmulatorFault(`unknown comparison operator ${op}`);
+  }
+}
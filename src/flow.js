@@ -0,0 +1,255 @@
+/**
+ * Flow - Branching edges between sections and their lowering to SDK blocks
+ *
+ * Each section carries `edges`, evaluated in order after its content:
+ *   { type: 'button', mask, target }          wait for a button, jump on mask
+ *   { type: 'fader', op, threshold, target }  jump if fader (0-4095) matches
+ *   { type: 'var', var, op, value, target }   jump if named variable matches
+ *   { type: 'random', targets: [{ target, weight }] }
+ *   { type: 'goto', target }                  unconditional jump
+ *   { type: 'end' }                           stop the program here
+ * A section whose edges don't end in a jump falls through to the next one.
+ *
+ * `assignments: [{ var, value }]` set variables when the section starts.
+ * Variables are declared in model.variables and referenced by name.
+ */
+
+import { BTN, PGP, CompileError, FADER_MAX } from './sdk.js';
+
+export const EDGE_TYPES = ['button', 'fader', 'var', 'random', 'goto', 'end'];
+export const OPS = Object.keys(PGP.OP);
+export const OP_SYMBOLS = { EQ: '==', NE: '!=', LT: '<', LE: '<=', GT: '>', GE: '>=' };
+export const BUTTONS = ['A', 'B', 'X', 'Y', 'L', 'R'];
+export { FADER_MAX };
+
+// Variable names double as constants in generated code
+const VAR_NAME_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const RESERVED_NAMES = [
+  'game', 'Game', 'BTN', 'PGP', 'Uint8Array', 'const', 'let', 'var', 'new', 'return',
+  'true', 'false', 'null', 'undefined', 'function', 'if', 'else', 'for', 'while', 'do',
+  'class', 'this', 'typeof', 'in', 'of', 'delete', 'void', 'switch', 'case', 'default',
+  'break', 'continue', 'try', 'catch', 'finally', 'throw', 'import', 'export', 'await', 'yield'
+];
+
+export function isValidVarName(name) {
+  return typeof name === 'string' && VAR_NAME_PATTERN.test(name) && !RESERVED_NAMES.includes(name);
+}
+
+// Jumps target sections by name (Game.compile labels them implicitly).
+// Button edges share one WAIT_BUTTON loop per section under this label.
+export function waitLabel(name) {
+  return `${name}:wait`;
+}
+
+/**
+ * Section names an edge can lead to
+ */
+export function edgeTargets(edge) {
+  switch (edge.type) {
+    case 'random': return edge.targets.map(t => t.target);
+    case 'end': return [];
+    default: return [edge.target];
+  }
+}
+
+/**
+ * Short human-readable form, e.g. "A+B → east", "fader >= 2048 → fast"
+ */
+export function describeEdge(edge) {
+  switch (edge.type) {
+    case 'button': return `${maskToNames(edge.mask).join('+') || 'any'} → ${edge.target}`;
+    case 'fader': return `fader ${OP_SYMBOLS[edge.op]} ${edge.threshold} → ${edge.target}`;
+    case 'var': return `${edge.var} ${OP_SYMBOLS[edge.op]} ${edge.value} → ${edge.target}`;
+    case 'random': {
+      const total = edge.targets.reduce((s, t) => s + t.weight, 0);
+      return '🎲 ' + edge.targets
+        .map(t => `${t.target} ${Math.round(t.weight / total * 100)}%`).join(' / ');
+    }
+    case 'goto': return `→ ${edge.target}`;
+    case 'end': return '● end';
+    default: return edge.type;
+  }
+}
+
+export function maskToNames(mask) {
+  if ((mask & BTN.ANY) === BTN.ANY) return ['ANY'];
+  return BUTTONS.filter(b => mask & BTN[b]);
+}
+
+// =====================================================
+// Lowering: edges → label / jump blocks
+// =====================================================
+
+/**
+ * Lower a section's edges to SDK block descriptors (same fields as
+ * Section.blocks). `target` names are kept for readable code output.
+ */
+export function lowerEdges(model, section) {
+  const ops = [];
+  const edges = section.edges || [];
+  const label = (target) => {
+    if (!model.sections.some(s => s.name === target)) {
+      throw new CompileError(
+        `Section '${section.name}' branches to unknown section '${target}'`,
+        { section: section.name, target }
+      );
+    }
+    return target;
+  };
+
+  let waiting = false;
+  let terminated = false;
+  for (const edge of edges) {
+    switch (edge.type) {
+      case 'button':
+        if (!waiting) {
+          ops.push({ type: 'label', id: waitLabel(section.name), wait: true });
+          ops.push({ type: 'waitButton' });
+          waiting = true;
+        }
+        ops.push({ type: 'jumpIfBtn', buttonMask: edge.mask || BTN.ANY, labelId: label(edge.target), target: edge.target });
+        break;
+      case 'fader':
+        ops.push({ type: 'jumpIfFader', op: PGP.OP[edge.op], threshold: edge.threshold, labelId: label(edge.target), target: edge.target });
+        break;
+      case 'var':
+        ops.push({ type: 'jumpIfVar', varId: edge.var, op: PGP.OP[edge.op], value: edge.value, labelId: label(edge.target), target: edge.target });
+        break;
+      case 'random': {
+        const weights = reduceWeights(edge.targets.map(t => t.weight));
+        const total = weights.reduce((s, w) => s + w, 0);
+        if (total > 255) {
+          throw new CompileError(
+            `Section '${section.name}': random weights need ${total} slots (max 255)`,
+            { section: section.name, weights }
+          );
+        }
+        const labelIds = [];
+        const targets = [];
+        edge.targets.forEach((t, i) => {
+          for (let k = 0; k < weights[i]; k++) {
+            labelIds.push(label(t.target));
+            targets.push(t.target);
+          }
+        });
+        ops.push({ type: 'randomJump', labelIds, targets });
+        terminated = true;
+        break;
+      }
+      case 'goto':
+        ops.push({ type: 'jump', labelId: label(edge.target), target: edge.target });
+        terminated = true;
+        break;
+      case 'end':
+        ops.push({ type: 'stop' });
+        terminated = true;
+        break;
+    }
+    if (terminated) break;
+  }
+
+  // No button matched and nothing else to do: wait for the next press
+  if (waiting && !terminated) {
+    ops.push({ type: 'jump', labelId: waitLabel(section.name), target: section.name, wait: true });
+  }
+  return ops;
+}
+
+/**
+ * Lower a section's assignments to setVar blocks (emitted at its start)
+ */
+export function lowerAssignments(section) {
+  return (section.assignments || []).map(a => ({ type: 'setVar', varId: a.var, value: a.value }));
+}
+
+/**
+ * Append lowered ops to an SDK Section
+ */
+export function applyFlowOps(section, ops) {
+  ops.forEach(op => {
+    switch (op.type) {
+      case 'setVar': section.setVar(op.varId, op.value); break;
+      case 'label': section.label(op.id); break;
+      case 'waitButton': section.waitButton(); break;
+      case 'jumpIfBtn': section.jumpIfBtn(op.buttonMask, op.labelId); break;
+      case 'jumpIfFader': section.jumpIfFader(op.op, op.threshold, op.labelId); break;
+      case 'jumpIfVar': section.jumpIfVar(op.varId, op.op, op.value, op.labelId); break;
+      case 'randomJump': section.randomJump(op.labelIds); break;
+      case 'jump': section.jump(op.labelId); break;
+      case 'stop': section.stop(); break;
+    }
+  });
+}
+
+// =====================================================
+// Lifting: label / jump blocks → edges (for CodeParser)
+// =====================================================
+
+/**
+ * Rebuild edges from the ops of one section. Jump targets must be names
+ * in `sectionNames`.
+ * Returns { edges } or { error, op } for ops that don't map to an edge.
+ */
+export function liftEdges(sectionName, ops, sectionNames) {
+  const nameOf = (id) => (sectionNames.includes(id) ? id : null);
+  const ownWait = waitLabel(sectionName);
+  const edges = [];
+  const opName = (op) => Object.keys(PGP.OP).find(k => PGP.OP[k] === op);
+
+  for (let i = 0; i < ops.length; i++) {
+    const op = ops[i];
+    const target = op.labelId !== undefined ? nameOf(op.labelId) : null;
+    const unknown = (id) => ({ error: `Label ${JSON.stringify(id)} is not a section name`, op });
+
+    switch (op.type) {
+      case 'label':
+        if (op.id !== ownWait || ops[i + 1]?.type !== 'waitButton') {
+          return { error: `label() is only supported as '${ownWait}' before waitButton()`, op };
+        }
+        break;
+      case 'waitButton':
+        if (ops[i - 1]?.type !== 'label') return { error: 'waitButton() must follow its wait label', op };
+        break;
+      case 'jumpIfBtn':
+        if (!target) return unknown(op.labelId);
+        edges.push({ type: 'button', mask: op.buttonMask, target });
+        break;
+      case 'jumpIfFader':
+        if (!target) return unknown(op.labelId);
+        edges.push({ type: 'fader', op: opName(op.op), threshold: op.threshold, target });
+        break;
+      case 'jumpIfVar':
+        if (!target) return unknown(op.labelId);
+        edges.push({ type: 'var', var: op.varId, op: opName(op.op), value: op.value, target });
+        break;
+      case 'randomJump': {
+        const counts = new Map();
+        for (const id of op.labelIds) {
+          if (!nameOf(id)) return unknown(id);
+          counts.set(nameOf(id), (counts.get(nameOf(id)) || 0) + 1);
+        }
+        edges.push({ type: 'random', targets: [...counts].map(([t, weight]) => ({ target: t, weight })) });
+        break;
+      }
+      case 'jump':
+        if (op.labelId === ownWait) break;
+        if (!target) return unknown(op.labelId);
+        edges.push({ type: 'goto', target });
+        break;
+      case 'stop':
+        edges.push({ type: 'end' });
+        break;
+    }
+  }
+  return { edges };
+}
+
+// =====================================================
+// Helpers
+// =====================================================
+function reduceWeights(weights) {
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const ints = weights.map(w => Math.max(1, Math.round(w)));
+  const g = ints.reduce(gcd);
+  return ints.map(w => w / g);
+}
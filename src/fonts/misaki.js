@@ -0,0 +1,19 @@
+/**
+ * Misaki 8x8 glyphs (base font 2), registered by raster.js
+ *
+ * Generated by scripts/misaki-font.mjs; do not edit. Not generated yet:
+ * run `npm run font:misaki -- misaki_gothic_2nd.bdf` to fill DATA.
+ * Misaki font by Num Kadoma (littlelimit.net)
+ */
+
+// Each glyph: the character, then its 8 rows as hex (bit 7 = left)
+const DATA = '';
+
+export const MISAKI_GLYPHS = {};
+for (let i = 0; i < DATA.length;) {
+  const ch = String.fromCodePoint(DATA.codePointAt(i));
+  i += ch.length;
+  const rows = [];
+  for (let y = 0; y < 8; y++, i += 2) rows.push(parseInt(DATA.substr(i, 2), 16));
+  MISAKI_GLYPHS[ch] = rows;
+}
@@ -0,0 +1,160 @@
+/**
+ * Image import - Load a picture, fit it to the paper and dither it to rawLines
+ *
+ * Image objects keep their source (`src`, a data URL) and the settings below,
+ * so the printed rows can be re-rendered after a resize, crop or tone change.
+ */
+
+import { WIDTH, DITHER, ditherImage, adjustTone, imageToGrayscale, packToRows } from './sdk.js';
+
+export const DITHER_METHODS = [
+  { value: 'floyd-steinberg', label: 'Floyd-Steinberg' },
+  { value: 'atkinson', label: 'Atkinson' },
+  { value: 'bayer', label: 'Bayer (ordered)' },
+  { value: 'threshold', label: 'Threshold' },
+];
+
+export const IMAGE_DEFAULTS = {
+  brightness: 0,
+  contrast: 0,
+  gamma: 1,
+  dither: 'floyd-steinberg',
+};
+
+// Changing any of these re-renders rawLines
+export const IMAGE_RENDER_KEYS = [
+  'src', 'width', 'height', 'brightness', 'contrast', 'gamma', 'dither',
+  'cropX', 'cropY', 'cropWidth', 'cropHeight',
+];
+
+const IMAGE_TYPES = /^image\/(png|jpeg|gif|webp|bmp|svg\+xml)$/;
+
+// Decoded images by src
+const imageCache = new Map();
+
+export function isImageFile(file) {
+  return !!file && IMAGE_TYPES.test(file.type);
+}
+
+export function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+export function loadImage(src) {
+  if (!imageCache.has(src)) {
+    imageCache.set(src, new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => {
+        imageCache.delete(src);
+        reject(new Error('Could not decode the image'));
+      };
+      img.src = src;
+    }));
+  }
+  return imageCache.get(src);
+}
+
+/**
+ * Build an image object from a file: at most the paper width, aspect kept,
+ * left edge at `x` (centred when omitted)
+ */
+export async function importImageFile(file, { x, y = 0 } = {}) {
+  const src = await readImageFile(file);
+  const img = await loadImage(src);
+  const width = Math.min(img.naturalWidth, WIDTH);
+  const height = Math.max(1, Math.round(img.naturalHeight * width / img.naturalWidth));
+  const obj = {
+    type: 'image',
+    x: x === undefined ? Math.round((WIDTH - width) / 2) : Math.round(Math.min(x, WIDTH - width)),
+    y: Math.round(y),
+    width,
+    height,
+    src,
+    ...IMAGE_DEFAULTS,
+  };
+  obj.rawLines = renderImageRows(img, obj);
+  return obj;
+}
+
+/**
+ * Scale the (cropped) picture to obj.width x obj.height, apply the tone
+ * settings and dither it. Returns packed rows for Section.image().
+ */
+export function renderImageRows(img, obj) {
+  const width = Math.max(1, Math.min(Math.round(obj.width), WIDTH));
+  const height = Math.max(1, Math.round(obj.height));
+  const crop = cropRect(img, obj);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  // Transparent pixels print as paper
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(img, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+
+  const gray = imageToGrayscale(ctx.getImageData(0, 0, width, height), width, height);
+  adjustTone(gray, {
+    brightness: obj.brightness ?? IMAGE_DEFAULTS.brightness,
+    contrast: obj.contrast ?? IMAGE_DEFAULTS.contrast,
+    gamma: obj.gamma || IMAGE_DEFAULTS.gamma,
+  });
+  const method = DITHER[obj.dither] ? obj.dither : IMAGE_DEFAULTS.dither;
+  return packToRows(ditherImage(gray, width, height, method), width, height);
+}
+
+/**
+ * Re-render an object's rows from its src (null when it has none)
+ */
+export async function imageRows(obj) {
+  if (!obj.src) return null;
+  return renderImageRows(await loadImage(obj.src), obj);
+}
+
+/**
+ * Packed 1-bit rows to a canvas: ink opaque black, paper transparent
+ * (a grey box when there are no rows yet)
+ */
+export function rowsToCanvas(rows, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const ctx = canvas.getContext('2d');
+  if (!rows) {
+    ctx.fillStyle = '#ccc';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+  const img = ctx.createImageData(canvas.width, canvas.height);
+  for (let y = 0; y < Math.min(rows.length, canvas.height); y++) {
+    for (let x = 0; x < canvas.width; x++) {
+      const on = (rows[y][x >> 3] >> (7 - (x & 7))) & 1;
+      const i = (y * canvas.width + x) * 4;
+      img.data[i + 3] = on ? 255 : 0;
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
+
+// Crop in source pixels, clamped to the picture
+function cropRect(img, obj) {
+  const iw = img.naturalWidth;
+  const ih = img.naturalHeight;
+  const x = clamp(Math.round(obj.cropX || 0), 0, iw - 1);
+  const y = clamp(Math.round(obj.cropY || 0), 0, ih - 1);
+  const width = clamp(Math.round(obj.cropWidth || iw - x), 1, iw - x);
+  const height = clamp(Math.round(obj.cropHeight || ih - y), 1, ih - y);
+  return { x, y, width, height };
+}
+
+function clamp(v, min, max) {
+  return Math.min(max, Math.max(min, v));
+}
@@ -0,0 +1,90 @@
+/**
+ * InputMonitor - Live button lights and fader gauge for a connected printer
+ */
+
+import { BTN, FADER_MAX } from './sdk.js';
+import { BUTTONS } from './flow.js';
+
+export class InputMonitor {
+  constructor(options) {
+    this.container = typeof options.container === 'string'
+      ? document.getElementById(options.container)
+      : options.container;
+    this.printer = null;
+    this.unsubscribe = [];
+    this.build();
+    this.detach();
+  }
+
+  build() {
+    const el = this.container;
+    el.innerHTML = '';
+
+    const lights = document.createElement('div');
+    lights.className = 'input-lights';
+    this.lights = {};
+    BUTTONS.forEach(name => {
+      const light = document.createElement('span');
+      light.className = 'input-light';
+      light.textContent = name;
+      lights.appendChild(light);
+      this.lights[name] = light;
+    });
+    el.appendChild(lights);
+
+    const gauge = document.createElement('div');
+    gauge.className = 'input-gauge';
+    this.gaugeBar = document.createElement('div');
+    this.gaugeBar.className = 'input-gauge-bar';
+    gauge.appendChild(this.gaugeBar);
+    el.appendChild(gauge);
+
+    const row = document.createElement('div');
+    row.className = 'input-readout';
+    this.readout = document.createElement('span');
+    row.appendChild(this.readout);
+    this.btnPoll = document.createElement('button');
+    this.btnPoll.textContent = 'Poll';
+    this.btnPoll.title = 'Ask the device for its current input state';
+    this.btnPoll.addEventListener('click', () => {
+      this.printer?.pollInput().catch(err => console.error('Poll error:', err));
+    });
+    row.appendChild(this.btnPoll);
+    el.appendChild(row);
+  }
+
+  attach(printer) {
+    this.detach();
+    this.printer = printer;
+    this.unsubscribe = [
+      printer.on('buttondown', () => this.update()),
+      printer.on('buttonup', () => this.update()),
+      printer.on('fader', () => this.update()),
+      printer.on('sync', () => this.update()),
+    ];
+    this.btnPoll.disabled = false;
+    this.update();
+    printer.pollInput().catch(() => {});
+  }
+
+  detach() {
+    this.unsubscribe.forEach(off => off());
+    this.unsubscribe = [];
+    this.printer = null;
+    this.btnPoll.disabled = true;
+    this.update();
+  }
+
+  update() {
+    const input = this.printer ? this.printer.input : { buttons: 0, fader: null, sync: null };
+    BUTTONS.forEach(name => {
+      this.lights[name].classList.toggle('on', !!(input.buttons & BTN[name]));
+    });
+
+    const fader = input.fader;
+    this.gaugeBar.style.width = fader === null ? '0' : `${(fader / FADER_MAX) * 100}%`;
+    this.readout.textContent = !this.printer
+      ? 'Not connected'
+      : `Fader ${fader === null ? '–' : fader}` + (input.sync === null ? '' : ` · SYNC ${input.sync}`);
+  }
+}
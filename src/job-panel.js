@@ -0,0 +1,134 @@
+/**
+ * JobPanel - Print queue, progress of the current job and history
+ */
+
+import { JOB_STATE } from './print-jobs.js';
+
+const STATE_ICONS = {
+  [JOB_STATE.DONE]: '✓',
+  [JOB_STATE.CANCELLED]: '■',
+  [JOB_STATE.FAILED]: '✗',
+};
+
+export class JobPanel {
+  constructor(options) {
+    this.container = typeof options.container === 'string'
+      ? document.getElementById(options.container)
+      : options.container;
+    this.jobs = options.jobs;
+  }
+
+  render() {
+    const jobs = this.jobs;
+    const el = this.container;
+    el.innerHTML = '';
+
+    const controls = document.createElement('div');
+    controls.className = 'branch-line';
+    controls.appendChild(this.button(jobs.paused ? '▶ Resume' : '❚❚ Pause', false, () => {
+      if (jobs.paused) jobs.resume();
+      else jobs.pause();
+    }));
+    controls.appendChild(this.button('■ Cancel all', !jobs.current && jobs.queue.length === 0, () => jobs.cancelAll()));
+    el.appendChild(controls);
+
+    if (jobs.current) {
+      el.appendChild(this.renderCurrent(jobs.current, jobs.paused));
+    } else {
+      const hint = document.createElement('p');
+      hint.className = 'hint';
+      hint.textContent = jobs.paused ? 'Paused' : 'Idle';
+      el.appendChild(hint);
+    }
+
+    jobs.queue.forEach((job, i) => {
+      const row = this.jobRow(job, `${i + 1}.`);
+      row.appendChild(this.iconButton('×', 'Remove from queue', () => jobs.cancel(job.id)));
+      el.appendChild(row);
+    });
+
+    if (jobs.history.length > 0) {
+      const head = document.createElement('div');
+      head.className = 'job-history-head';
+      head.textContent = 'History';
+      head.appendChild(this.button('Clear', false, () => jobs.clearHistory()));
+      el.appendChild(head);
+      jobs.history.forEach(job => el.appendChild(this.historyRow(job)));
+    }
+  }
+
+  renderCurrent(job, paused) {
+    const box = document.createElement('div');
+    box.className = 'job-current';
+
+    const row = this.jobRow(job, paused ? '❚❚' : '▶');
+    row.appendChild(this.iconButton('×', 'Cancel (sends STOP)', () => this.jobs.cancel(job.id)));
+    box.appendChild(row);
+
+    const bar = document.createElement('div');
+    bar.className = 'input-gauge';
+    const fill = document.createElement('div');
+    fill.className = 'input-gauge-bar';
+    fill.style.width = `${(job.progress.bytes / Math.max(1, job.total.bytes)) * 100}%`;
+    bar.appendChild(fill);
+    box.appendChild(bar);
+
+    const p = job.progress;
+    const t = job.total;
+    const stats = document.createElement('div');
+    stats.className = 'job-stats';
+    stats.textContent = `${p.bytes}/${t.bytes} B · ${p.frames}/${t.frames} frames · ${p.lines}/${t.lines} lines` +
+      (p.retransmits ? ` · ${p.retransmits} resent` : '');
+    box.appendChild(stats);
+    return box;
+  }
+
+  jobRow(job, prefix) {
+    const row = document.createElement('div');
+    row.className = 'branch-line job-row';
+    const title = document.createElement('span');
+    title.className = 'job-title';
+    title.textContent = `${prefix} ${job.title}`;
+    title.title = `${job.total.bytes} bytes, ${job.total.frames} frames, ${job.total.lines} lines`;
+    row.appendChild(title);
+    return row;
+  }
+
+  historyRow(job) {
+    const row = this.jobRow(job, STATE_ICONS[job.state]);
+    row.classList.add(`job-${job.state}`);
+    const s = job.settings;
+    const time = job.finishedAt.toLocaleTimeString();
+    row.title = [
+      `${job.state} at ${time}`,
+      `${job.progress.bytes}/${job.total.bytes} bytes, ${job.progress.lines}/${job.total.lines} lines`,
+      s.speed ? `speed ${s.speed} pps` : '',
+      s.heat ? `heat ${s.heat} μs` : '',
+      s.transport ? `via ${s.transport}` : '',
+      job.error ? `error: ${job.error}` : '',
+    ].filter(Boolean).join('\n');
+    const when = document.createElement('span');
+    when.className = 'job-time';
+    when.textContent = time;
+    row.appendChild(when);
+    return row;
+  }
+
+  button(text, disabled, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'branch-add';
+    btn.textContent = text;
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  iconButton(text, title, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'branch-icon';
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Layout - Compile a section's absolutely positioned objects to scanlines
+ *
+ * Objects are grouped into horizontal bands by the rows they touch. A
+ * band holding a single object that the firmware can draw itself becomes
+ * a native command; anything else is rasterized and sent as raw lines.
+ * Empty rows between bands become FEED, so every object prints at the
+ * y it has in the VisualEditor.
+ */
+
+import { WIDTH } from './sdk.js';
+import { CodeGenerator } from './code-generator.js';
+import {
+  objectExtent, objectRotation, drawObject, createBand, textLayout, textSize, qrBitmap, qrModule,
+  barcodeBitmap, barcodeOptions, tableLayout, tableCellText, fillTile
+} from './raster.js';
+
+/**
+ * Lay out a section's objects from the top of the section.
+ * Returns ops:
+ *   { type: 'feed', lines }
+ *   { type: 'text', x, str, size, width, align, lineSpacing }
+ *                                       (size in mm; one TEXT per line)
+ *   { type: 'rect', x, w, h }           (filled)
+ *   { type: 'fill', patterns }          (FILL_LINE: one byte per row)
+ *   { type: 'sprite', id, x }
+ *   { type: 'qr', x, data, ec, module }
+ *   { type: 'barcode', x, data, symbology, bar, height, caption }
+ *   { type: 'image', rows }             (Uint8Array(BPL) per row)
+ */
+export function layoutSection(sectionDef, { sprites = new Map() } = {}) {
+  const ops = [];
+  let cursor = 0;
+
+  for (const band of buildBands(sectionDef.objects, sprites)) {
+    if (band.top > cursor) ops.push({ type: 'feed', lines: band.top - cursor });
+    ops.push(...compileBand(band, sprites));
+    cursor = band.bottom;
+  }
+
+  return mergeFeeds(ops);
+}
+
+/**
+ * Add layout ops to an SDK section
+ */
+export function applyLayout(section, ops) {
+  ops.forEach(op => {
+    switch (op.type) {
+      case 'feed': section.feed(op.lines); break;
+      case 'text':
+        section.text(op.x, op.str, { size: op.size, y: 0, width: op.width, align: op.align, lineSpacing: op.lineSpacing });
+        break;
+      case 'rect': section.rect(op.x, op.w, op.h, 1, { y: 0 }); break;
+      case 'fill':
+        // Runs of equal rows become one FILL_LINE each
+        for (let i = 0, n; i < op.patterns.length; i += n) {
+          n = 1;
+          while (i + n < op.patterns.length && op.patterns[i + n] === op.patterns[i]) n++;
+          section.fill(op.patterns[i], n);
+        }
+        break;
+      case 'sprite': section.sprite(op.id, op.x, 0); break;
+      case 'qr': section.qr(op.x, op.data, { ec: op.ec, module: op.module }); break;
+      case 'barcode': {
+        const { x, data, type, ...opts } = op;
+        section.barcode(x, data, opts);
+        break;
+      }
+      case 'image': section.image(op.rows); break;
+    }
+  });
+}
+
+// =====================================================
+// Bands
+// =====================================================
+
+// Objects whose row extents overlap, top to bottom (paint order kept)
+function buildBands(objects, sprites) {
+  const items = objects
+    .map(obj => {
+      const [top, bottom] = objectExtent(obj, sprites);
+      return { obj, top: Math.max(0, top), bottom };
+    })
+    .filter(item => item.bottom > item.top);
+
+  const bands = [];
+  [...items].sort((a, b) => a.top - b.top).forEach(item => {
+    const last = bands[bands.length - 1];
+    if (last && item.top < last.bottom) {
+      last.bottom = Math.max(last.bottom, item.bottom);
+      last.items.push(item);
+    } else {
+      bands.push({ top: item.top, bottom: item.bottom, items: [item] });
+    }
+  });
+
+  bands.forEach(band => band.items.sort((a, b) => items.indexOf(a) - items.indexOf(b)));
+  return bands;
+}
+
+function compileBand(band, sprites) {
+  if (band.items.length === 1 && band.items[0].obj.type === 'table') {
+    return tableOps(band.items[0], sprites);
+  }
+  if (band.items.length === 1) {
+    const native = nativeOp(band.items[0], sprites);
+    if (native) return [native];
+  }
+  return rasterizeBand(band, sprites);
+}
+
+/**
+ * Native command for an object, or null when it has to be rasterized.
+ *
+ * Text goes out as TEXT (Section.text() wraps it the same way as the
+ * editor) unless a line would leave the paper. Outlined rects are
+ * rasterized (the editor strokes 2px centered on the edge, RECT draws 1px
+ * inside), and so are halftone rects that don't span the line.
+ */
+function nativeOp({ obj, top, bottom }, sprites) {
+  // Native commands print upright only
+  if (objectRotation(obj)) return null;
+  switch (obj.type) {
+    case 'text': {
+      const x = Math.round(obj.x);
+      const layout = textLayout(obj);
+      if (x < 0 || layout.lines.some(line => x + line.x + line.width > WIDTH)) return null;
+      return {
+        type: 'text',
+        x,
+        str: String(obj.text),
+        size: CodeGenerator.pxToMm(obj.fontSize || 24),
+        width: layout.width,
+        align: obj.align || 'left',
+        lineSpacing: obj.lineSpacing || 0,
+      };
+    }
+    case 'rect': {
+      if (!obj.fill) return null;
+      const x1 = Math.max(0, Math.round(obj.x));
+      const x2 = Math.min(WIDTH, Math.round(obj.x + obj.width));
+      if (x2 <= x1) return null;
+      const tile = fillTile(obj);
+      if (!tile) return { type: 'rect', x: x1, w: x2 - x1, h: bottom - top };
+      // A halftone rect across the whole line is FILL_LINE rows
+      if (x1 > 0 || x2 < WIDTH) return null;
+      const patterns = [];
+      for (let y = top; y < bottom; y++) patterns.push(tile[y % 8]);
+      return { type: 'fill', patterns };
+    }
+    case 'sprite': {
+      const spr = sprites.get(obj.spriteId);
+      const x = Math.round(obj.x);
+      if (!spr || !spr.data || Math.round(obj.y) !== top) return null;
+      if (x < 0 || x + spr.width > WIDTH) return null;
+      return { type: 'sprite', id: obj.spriteId, x };
+    }
+    case 'qr': {
+      const x = Math.round(obj.x);
+      if (x < 0 || x + qrBitmap(obj).width > WIDTH) return null;
+      return { type: 'qr', x, data: String(obj.data), ec: obj.ec || 'M', module: qrModule(obj) };
+    }
+    case 'barcode': {
+      const x = Math.round(obj.x);
+      if (x < 0 || x + barcodeBitmap(obj).width > WIDTH) return null;
+      return { type: 'barcode', x, data: String(obj.data), ...barcodeOptions(obj) };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * A table alone in its band, row by row: rules become RECT, and a row
+ * with text in one cell only (and no column rules through it) becomes
+ * TEXT. Other rows, and rotated or clipped tables, are rasterized.
+ */
+function tableOps({ obj, top, bottom }, sprites) {
+  const x = Math.round(obj.x);
+  const layout = tableLayout(obj);
+  if (objectRotation(obj) || x < 0 || x + layout.width > WIDTH || Math.round(obj.y) !== top) {
+    return rasterizeBand({ top, bottom, items: [{ obj }] }, sprites);
+  }
+
+  const segments = [
+    ...layout.hRules.map(y => ({ y })),
+    ...layout.rows.map((row, r) => ({ y: row.y, row, r })),
+  ].sort((a, b) => a.y - b.y);
+  const ops = [];
+  segments.forEach(({ y, row, r }) => {
+    if (!row) {
+      ops.push({ type: 'rect', x, w: layout.width, h: layout.rule });
+      return;
+    }
+    const native = layout.vRules.length ? null : tableRowOps(obj, layout, r, x);
+    ops.push(...(native || rasterizeBand({ top: top + y, bottom: top + y + row.height, items: [{ obj }] }, sprites)));
+  });
+  return mergeFeeds(ops);
+}
+
+function tableRowOps(obj, layout, r, x) {
+  const row = layout.rows[r];
+  const filled = layout.cols
+    .map((col, c) => ({ col, cell: tableCellText(obj, r, c, layout) }))
+    .filter(({ cell }) => cell.text);
+  if (filled.length === 0) return [{ type: 'feed', lines: row.height }];
+  if (filled.length > 1) return null;
+
+  const { col, cell } = filled[0];
+  const height = textSize(cell).height;
+  const ops = [{ type: 'feed', lines: layout.padding }];
+  ops.push({
+    type: 'text',
+    x: x + col.x + layout.padding,
+    str: cell.text,
+    size: CodeGenerator.pxToMm(cell.fontSize),
+    width: cell.width,
+    align: 'left',
+    lineSpacing: 0,
+  });
+  ops.push({ type: 'feed', lines: row.height - layout.padding - height });
+  return ops.filter(op => op.type !== 'feed' || op.lines > 0);
+}
+
+// Draw the band and split it into image runs and blank-row feeds
+function rasterizeBand(band, sprites) {
+  const height = band.bottom - band.top;
+  const bitmap = createBand(height);
+  band.items.forEach(({ obj }) => drawObject(bitmap, obj, { offsetY: band.top, sprites }));
+
+  const ops = [];
+  let rows = [];
+  let blank = 0;
+  for (let y = 0; y < height; y++) {
+    if (bitmap.isRowBlank(y)) {
+      if (rows.length) { ops.push({ type: 'image', rows }); rows = []; }
+      blank++;
+    } else {
+      if (blank) { ops.push({ type: 'feed', lines: blank }); blank = 0; }
+      rows.push(bitmap.row(y).slice());
+    }
+  }
+  if (rows.length) ops.push({ type: 'image', rows });
+  if (blank) ops.push({ type: 'feed', lines: blank });
+  return ops;
+}
+
+function mergeFeeds(ops) {
+  const out = [];
+  ops.forEach(op => {
+    const last = out[out.length - 1];
+    if (op.type === 'feed' && last && last.type === 'feed') last.lines += op.lines;
+    else out.push(op);
+  });
+  return out;
+}
@@ -8,8 +8,31 @@ import Konva from 'konva';
 import { SceneModel } from './model.js';
 import { VisualEditor } from './visual-editor.js';
 import { CodeGenerator } from './code-generator.js';
+import { CodeParser, ParseError } from './code-parser.js';
 import { PreviewRenderer } from './preview.js';
+import { BranchEditor } from './branch-editor.js';
+import { VariableEditor } from './variable-editor.js';
+import { PgpInspector } from './pgp-inspector.js';
+import { EmulatorPanel } from './emulator-panel.js';
+import { InputMonitor } from './input-monitor.js';
+import { SpriteEditor } from './sprite-editor.js';
+import { PrintJobManager } from './print-jobs.js';
+import { JobPanel } from './job-panel.js';
+import { TemplateDialog } from './template-dialog.js';
+import { loadTemplate } from './templates/index.js';
+import {
+  DITHER_METHODS, IMAGE_DEFAULTS, IMAGE_RENDER_KEYS,
+  isImageFile, readImageFile, loadImage, importImageFile, imageRows, renderImageRows
+} from './image-import.js';
+import { describeEdge } from './flow.js';
+import {
+  UndoManager, AddObjectAction, RemoveObjectAction, UpdateObjectAction,
+  AddSectionAction, RemoveSectionAction, UpdateSectionAction, ReplaceSceneAction
+} from './undo-manager.js';
+import { serializeProject, loadProject, FILE_EXTENSION } from './project-file.js';
 import * as PrinterConnection from './printer.js';
+import { WIDTH, TEXT_ALIGN, QR_EC, QR_MODULE_MAX, BARCODE_SYMBOLOGIES, BARCODE_BAR_MAX } from './sdk.js';
+import { TABLE_BORDERS, FILL_PATTERNS, FILL_PATTERN_NAMES } from './raster.js';
 
 // =====================================================
 // App State
@@ -17,6 +40,16 @@ import * as PrinterConnection from './printer.js';
 const state = {
   model: new SceneModel(),
   visualEditor: null,
+  branchEditor: null,
+  variableEditor: null,
+  pgpInspector: null,
+  emulatorPanel: null,
+  inputMonitor: null,
+  spriteEditor: null,
+  jobs: null,
+  history: null,
+  fileHandle: null,
+  fileName: null,
   currentTab: 'visual',
   selectedObject: null,
 };
@@ -25,17 +58,28 @@ const state = {
 // Initialize
 // =====================================================
 document.addEventListener('DOMContentLoaded', () => {
+  initHistory();
   initVisualEditor();
+  initProjectFile();
   initTabs();
+  initCodeSync();
   initToolbox();
+  initImageDrop();
   initSections();
+  initVariables();
+  initSprites();
   initProperties();
   initPreview();
+  initInspector();
+  initEmulator();
   initConnection();
 
   // Load default scene
   state.model.addSection('main');
   updateSectionList();
+  state.branchEditor.render(state.model, state.model.currentSection);
+  state.variableEditor.render(state.model);
+  state.spriteEditor.render(state.model);
   updateCode();
 });
 
@@ -52,6 +96,9 @@ function initVisualEditor() {
       state.selectedObject = obj;
       updateProperties(obj);
     },
+    onModify: (obj, changes) => {
+      applyObjectChanges(obj, changes);
+    },
     onChange: () => {
       updateCode();
       updatePreview();
@@ -59,6 +106,281 @@ function initVisualEditor() {
   });
 }
 
+// =====================================================
+// Undo / Redo
+// =====================================================
+function initHistory() {
+  state.history = new UndoManager(state.model, {
+    limit: 200,
+    coalesceMs: 600,
+    onChange: onHistoryChange
+  });
+
+  document.getElementById('btnUndo').addEventListener('click', () => state.history.undo());
+  document.getElementById('btnRedo').addEventListener('click', () => state.history.redo());
+
+  document.addEventListener('keydown', (e) => {
+    // Leave form controls and editable text to their own keys and undo
+    const tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return;
+
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if (mod && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) state.history.redo();
+      else state.history.undo();
+    } else if (mod && key === 'y') {
+      e.preventDefault();
+      state.history.redo();
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && state.selectedObject) {
+      e.preventDefault();
+      deleteSelectedObject();
+    }
+  });
+
+  updateHistoryButtons();
+}
+
+function onHistoryChange(action, kind) {
+  updateHistoryButtons();
+  if (!action) return;
+
+  // Undo/redo jumps to the section the action touched
+  if (kind !== 'execute') {
+    const section = state.model.getSection(action.sectionName);
+    if (section) state.model.currentSection = section;
+  }
+
+  if (kind === 'execute' && action instanceof UpdateObjectAction) {
+    const found = state.model.findObject(action.objectId);
+    if (found) state.visualEditor.updateObject(found.obj);
+  } else if (kind === 'execute' && action instanceof AddObjectAction) {
+    state.visualEditor.addObject(action.object, false);
+    selectObject(action.object);
+  } else {
+    refreshEditor();
+  }
+
+  // Code edits already show their own text; regenerating would move the caret
+  if (!(kind === 'execute' && action.fromCode)) updateCode();
+  updatePreview();
+  updateInspector();
+}
+
+function updateHistoryButtons() {
+  const btnUndo = document.getElementById('btnUndo');
+  const btnRedo = document.getElementById('btnRedo');
+  btnUndo.disabled = !state.history.canUndo;
+  btnRedo.disabled = !state.history.canRedo;
+  btnUndo.title = state.history.canUndo
+    ? `Undo ${state.history.undoStack[state.history.undoStack.length - 1].label}` : 'Undo';
+  btnRedo.title = state.history.canRedo
+    ? `Redo ${state.history.redoStack[state.history.redoStack.length - 1].label}` : 'Redo';
+}
+
+/**
+ * Rebuild section list, canvas and properties from the model
+ */
+function refreshEditor() {
+  const section = state.model.currentSection;
+  updateSectionList();
+  state.branchEditor.render(state.model, section);
+  state.variableEditor.render(state.model);
+  state.spriteEditor.render(state.model);
+  state.visualEditor.loadSection(section);
+
+  // Re-select by id: undo/redo and scene replacements rebuild the objects
+  const id = state.selectedObject?.id;
+  const selected = section && id ? section.objects.find(o => o.id === id) || null : null;
+  selectObject(selected);
+}
+
+function selectObject(obj) {
+  state.selectedObject = obj;
+  state.visualEditor.selectObject(obj ? obj.id : null);
+  updateProperties(obj);
+}
+
+// Image re-dithers in flight, by object id: the changes made since the
+// last one was applied and a token for the newest render
+const imageRenders = new Map();
+
+function applyObjectChanges(target, changes) {
+  // Edit the object now in the model, even if the caller held an older copy
+  const found = state.model.findObject(target.id);
+  if (!found) return;
+  const obj = found.obj;
+
+  if (obj.type === 'image' && Object.keys(changes).some(key => IMAGE_RENDER_KEYS.includes(key))) {
+    // Re-dither first so the edit and its rows undo as one step. Edits made
+    // meanwhile join the pending ones; only the newest render is applied.
+    if (changes.width > WIDTH) changes = { ...changes, width: WIDTH };
+    const pending = { ...imageRenders.get(obj.id)?.changes, ...changes };
+    const token = {};
+    imageRenders.set(obj.id, { changes: pending, token });
+    imageRows({ ...obj, ...pending }).then(rawLines => {
+      if (imageRenders.get(obj.id)?.token !== token) return;
+      imageRenders.delete(obj.id);
+      const current = state.model.findObject(obj.id);
+      if (!current) return;
+      const update = rawLines ? { ...pending, rawLines } : pending;
+      state.history.execute(new UpdateObjectAction(current.section.name, current.obj, update));
+      if (state.selectedObject?.id === obj.id) updateProperties(state.model.findObject(obj.id)?.obj || null);
+    }).catch(err => {
+      if (imageRenders.get(obj.id)?.token !== token) return;
+      imageRenders.delete(obj.id);
+      console.error('Image error:', err);
+      alert('Image update failed: ' + err.message);
+    });
+    return;
+  }
+
+  state.history.execute(new UpdateObjectAction(found.section.name, obj, changes));
+}
+
+function deleteSelectedObject() {
+  const found = state.selectedObject && state.model.findObject(state.selectedObject.id);
+  if (!found) return;
+  state.selectedObject = null;
+  state.history.execute(new RemoveObjectAction(found.section.name, found.obj));
+}
+
+// =====================================================
+// Project File (New / Open / Save / Save As)
+// =====================================================
+const FILE_TYPES = [{
+  description: 'ExScroller project',
+  accept: { 'application/json': [FILE_EXTENSION] }
+}];
+
+function initProjectFile() {
+  const templates = new TemplateDialog({ dialog: 'templateDialog', onPick: newProject });
+  document.getElementById('btnNew').addEventListener('click', () => templates.open());
+  document.getElementById('btnOpen').addEventListener('click', openProject);
+  document.getElementById('btnSave').addEventListener('click', () => saveProject(false));
+  document.getElementById('btnSaveAs').addEventListener('click', () => saveProject(true));
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === 's') {
+      e.preventDefault();
+      saveProject(e.shiftKey);
+    } else if (key === 'o') {
+      e.preventDefault();
+      openProject();
+    }
+  });
+}
+
+function newProject(template) {
+  if (state.history.canUndo && !confirm('Start a new project? Unsaved changes will be lost.')) return;
+  try {
+    loadTemplate(state.model, template);
+  } catch (err) {
+    console.error('Template error:', err);
+    alert(`Template "${template.name}" is broken:\n${err.message}`);
+    return;
+  }
+
+  state.fileHandle = null;
+  state.fileName = null;
+  state.selectedObject = null;
+  state.history.clear();
+  refreshEditor();
+  updateCode();
+  updatePreview();
+  updateInspector();
+  updateTitle();
+}
+
+async function openProject() {
+  let file;
+  let handle = null;
+  try {
+    if (window.showOpenFilePicker) {
+      [handle] = await window.showOpenFilePicker({ types: FILE_TYPES });
+      file = await handle.getFile();
+    } else {
+      file = await pickFileWithInput(FILE_EXTENSION);
+    }
+  } catch (err) {
+    if (err.name !== 'AbortError') console.error('Open error:', err);
+    return;
+  }
+  if (!file) return;
+
+  try {
+    loadProject(state.model, await file.text());
+  } catch (err) {
+    console.error('Open error:', err);
+    alert(`Could not open ${file.name}:\n${err.message}`);
+    return;
+  }
+
+  // Only now: Save must never write over a file that failed to open
+  state.fileHandle = handle;
+  state.fileName = file.name;
+  state.selectedObject = null;
+  state.history.clear();
+  refreshEditor();
+  updateCode();
+  updatePreview();
+  updateInspector();
+  updateTitle();
+}
+
+async function saveProject(saveAs) {
+  const text = serializeProject(state.model);
+  const suggestedName = state.fileName || `${state.model.title}${FILE_EXTENSION}`;
+
+  try {
+    if (window.showSaveFilePicker) {
+      if (saveAs || !state.fileHandle) {
+        state.fileHandle = await window.showSaveFilePicker({ suggestedName, types: FILE_TYPES });
+      }
+      const writable = await state.fileHandle.createWritable();
+      await writable.write(text);
+      await writable.close();
+      state.fileName = state.fileHandle.name;
+    } else {
+      // No File System Access API: fall back to a download
+      const blob = new Blob([text], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = suggestedName;
+      a.click();
+      URL.revokeObjectURL(url);
+      state.fileName = suggestedName;
+    }
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error('Save error:', err);
+      alert('Save failed: ' + err.message);
+    }
+    return;
+  }
+  updateTitle();
+}
+
+function pickFileWithInput(accept) {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => resolve(input.files[0] || null));
+    input.click();
+  });
+}
+
+function updateTitle() {
+  document.title = state.fileName
+    ? `${state.fileName} - ExScroller Game Studio 2`
+    : 'ExScroller Game Studio 2';
+}
+
 // =====================================================
 // Tab Switching
 // =====================================================
@@ -66,6 +388,9 @@ function initTabs() {
   const tabs = document.querySelectorAll('.tab');
   const visualPane = document.getElementById('visualEditor');
   const codePane = document.getElementById('codeEditor');
+  const pgpPane = document.getElementById('pgpInspector');
+  const emuPane = document.getElementById('emulatorPane');
+  const spritePane = document.getElementById('spritePane');
   const content = document.querySelector('.editor-content');
 
   tabs.forEach(tab => {
@@ -79,6 +404,9 @@ function initTabs() {
       content.classList.remove('split');
       visualPane.classList.add('hidden');
       codePane.classList.add('hidden');
+      pgpPane.classList.add('hidden');
+      emuPane.classList.add('hidden');
+      spritePane.classList.add('hidden');
 
       if (mode === 'visual') {
         visualPane.classList.remove('hidden');
@@ -88,6 +416,14 @@ function initTabs() {
         content.classList.add('split');
         visualPane.classList.remove('hidden');
         codePane.classList.remove('hidden');
+      } else if (mode === 'pgp') {
+        pgpPane.classList.remove('hidden');
+        updateInspector();
+      } else if (mode === 'emulator') {
+        emuPane.classList.remove('hidden');
+        state.emulatorPanel.start(state.model);
+      } else if (mode === 'sprites') {
+        spritePane.classList.remove('hidden');
       }
     });
   });
@@ -123,22 +459,107 @@ function addObject(type) {
     case 'line':
       obj = { type: 'line', points: [50, 50, 200, 150], strokeWidth: 2 };
       break;
+    case 'polygon':
+      obj = { type: 'line', x: 288, y: 110, points: [0, -60, 60, 40, -60, 40], strokeWidth: 2, closed: true, fill: true };
+      break;
     case 'image':
-      // TODO: Image picker
-      obj = { type: 'image', x: 50, y: 50, width: 100, height: 100, src: '' };
+      pickImage().then(file => file && addImageFile(file));
+      return;
+    case 'sprite': {
+      // Places the sprite open in the sprite editor
+      const sprite = state.model.sprites.get(state.spriteEditor.selectedId);
+      if (!sprite) {
+        document.querySelector('.tab[data-tab="sprites"]').click();
+        return;
+      }
+      obj = { type: 'sprite', x: 100, y: 100, spriteId: sprite.id, width: sprite.width, height: sprite.height };
+      break;
+    }
+    case 'qr':
+      obj = { type: 'qr', x: 200, y: 50, data: 'https://example.com', ec: 'M', module: 4 };
       break;
-    case 'sprite':
-      obj = { type: 'sprite', x: 100, y: 100, spriteId: 1, width: 32, height: 32 };
+    case 'barcode':
+      obj = { type: 'barcode', x: 150, y: 50, symbology: 'code128', data: 'CARD-0001', bar: 2, height: 60, caption: true };
+      break;
+    case 'table':
+      obj = {
+        type: 'table', x: 100, y: 50, columns: [200, 120],
+        cells: [['Name', ''], ['HP', '10'], ['STR', '8']],
+        border: 'grid', borderWidth: 1, padding: 4, fontSize: 16
+      };
       break;
     default:
       return;
   }
 
   obj.id = state.model.nextId();
-  section.objects.push(obj);
-  state.visualEditor.addObject(obj);
-  updateCode();
-  updatePreview();
+  state.history.execute(new AddObjectAction(section.name, obj));
+}
+
+// =====================================================
+// Image Import
+// =====================================================
+function initImageDrop() {
+  const container = document.getElementById('canvasContainer');
+  container.addEventListener('dragover', (e) => {
+    if (![...e.dataTransfer.items].some(item => item.kind === 'file')) return;
+    e.preventDefault();
+    container.classList.add('drop-target');
+  });
+  container.addEventListener('dragleave', () => container.classList.remove('drop-target'));
+  container.addEventListener('drop', (e) => {
+    container.classList.remove('drop-target');
+    const file = [...e.dataTransfer.files].find(isImageFile);
+    if (!file) return;
+    e.preventDefault();
+    // Drop point is the image's top-left corner
+    const rect = document.getElementById('receiptCanvas').getBoundingClientRect();
+    addImageFile(file, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+  });
+}
+
+function pickImage() {
+  return pickFileWithInput('image/*').then(file => {
+    if (file && !isImageFile(file)) {
+      alert(`${file.name} is not a supported image`);
+      return null;
+    }
+    return file;
+  });
+}
+
+async function addImageFile(file, position) {
+  const section = state.model.currentSection;
+  if (!section) return;
+
+  let obj;
+  try {
+    obj = await importImageFile(file, position);
+  } catch (err) {
+    console.error('Image import error:', err);
+    alert(`Could not import ${file.name}:\n${err.message}`);
+    return;
+  }
+  obj.id = state.model.nextId();
+  state.history.execute(new AddObjectAction(section.name, obj));
+}
+
+// Swap the picture, keeping width, position and tone settings
+async function replaceImage(obj) {
+  const file = await pickImage();
+  if (!file) return;
+  try {
+    const src = await readImageFile(file);
+    const img = await loadImage(src);
+    applyObjectChanges(obj, {
+      src,
+      height: Math.max(1, Math.round(img.naturalHeight * obj.width / img.naturalWidth)),
+      cropX: 0, cropY: 0, cropWidth: 0, cropHeight: 0
+    });
+  } catch (err) {
+    console.error('Image import error:', err);
+    alert(`Could not import ${file.name}:\n${err.message}`);
+  }
 }
 
 // =====================================================
@@ -147,9 +568,18 @@ function addObject(type) {
 function initSections() {
   document.getElementById('btnAddSection').addEventListener('click', () => {
     const name = prompt('Section name:', `section${state.model.sections.length + 1}`);
-    if (name) {
-      state.model.addSection(name);
-      updateSectionList();
+    if (!name) return;
+    if (state.model.getSection(name)) {
+      alert(`Section '${name}' already exists`);
+      return;
+    }
+    state.history.execute(new AddSectionAction(name));
+  });
+
+  state.branchEditor = new BranchEditor({
+    container: 'branchPanel',
+    onChange: (section, changes) => {
+      state.history.execute(new UpdateSectionAction(section, changes));
     }
   });
 }
@@ -161,16 +591,84 @@ function updateSectionList() {
   state.model.sections.forEach((section, i) => {
     const div = document.createElement('div');
     div.className = 'section-item' + (section === state.model.currentSection ? ' active' : '');
-    div.textContent = section.name;
+    const label = document.createElement('span');
+    label.className = 'section-name';
+    label.textContent = section.name;
+    div.appendChild(label);
     div.addEventListener('click', () => {
       state.model.currentSection = section;
-      updateSectionList();
-      state.visualEditor.loadSection(section);
+      state.selectedObject = null;
+      refreshEditor();
     });
+
+    if (state.model.sections.length > 1) {
+      const btnRemove = document.createElement('button');
+      btnRemove.className = 'section-remove';
+      btnRemove.textContent = '×';
+      btnRemove.title = `Delete section ${section.name}`;
+      btnRemove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        state.history.execute(new RemoveSectionAction(section.name));
+      });
+      div.appendChild(btnRemove);
+    }
+
+    // Where this section can go next
+    const flow = document.createElement('div');
+    flow.className = 'section-flow';
+    flow.textContent = sectionFlowSummary(section, i);
+    div.appendChild(flow);
+
     list.appendChild(div);
   });
 }
 
+function sectionFlowSummary(section, index) {
+  const edges = section.edges || [];
+  const parts = edges.map(describeEdge);
+  const terminal = edges.some(e => e.type === 'goto' || e.type === 'random' || e.type === 'end');
+  if (!terminal) {
+    const next = state.model.sections[index + 1];
+    parts.push(next ? `↓ ${next.name}` : '● end');
+  }
+  return parts.join(', ');
+}
+
+// =====================================================
+// Variables
+// =====================================================
+function initVariables() {
+  state.variableEditor = new VariableEditor({
+    container: 'variableList',
+    onChange: (variables, renamed) => {
+      // Renames touch edges and assignments too, so swap the whole scene
+      const next = new SceneModel();
+      next.fromJSON(state.model.toJSON());
+      next.currentSection = next.getSection(state.model.currentSection?.name) || null;
+      if (renamed) next.renameVariable(renamed.from, renamed.to);
+      next.variables = variables;
+      state.history.execute(new ReplaceSceneAction(state.model, next, 'Edit variables'));
+    }
+  });
+}
+
+// =====================================================
+// Sprites
+// =====================================================
+function initSprites() {
+  state.spriteEditor = new SpriteEditor({
+    container: 'spritePane',
+    pickImage: () => pickImage().then(file => file && readImageFile(file)),
+    onChange: (sprites) => {
+      const next = new SceneModel();
+      next.fromJSON(state.model.toJSON());
+      next.currentSection = next.getSection(state.model.currentSection?.name) || null;
+      next.setSprites(sprites);
+      state.history.execute(new ReplaceSceneAction(state.model, next, 'Edit sprites'));
+    }
+  });
+}
+
 // =====================================================
 // Properties Panel
 // =====================================================
@@ -195,20 +693,82 @@ function updateProperties(obj) {
   // Type-specific
   switch (obj.type) {
     case 'text':
-      html += propRow('text', obj.text, 'text');
+      html += propTextarea('text', obj.text);
       html += propRow('fontSize', obj.fontSize, 'number');
+      // Box width in dots; 0 wraps at the paper edge
+      html += propRow('width', obj.width || 0, 'number');
+      html += propSelect('align', obj.align || 'left', TEXT_ALIGN.map(a => ({ value: a, label: a })));
+      html += propRow('lineSpacing', obj.lineSpacing || 0, 'number');
       break;
     case 'rect':
       html += propRow('width', obj.width, 'number');
       html += propRow('height', obj.height, 'number');
       html += propRow('fill', obj.fill, 'checkbox');
+      html += propPattern(obj, obj.fill);
       break;
     case 'circle':
       html += propRow('radius', obj.radius, 'number');
       html += propRow('fill', obj.fill, 'checkbox');
+      html += propPattern(obj, obj.fill);
       break;
     case 'line':
+      // Drag the handles to move points; double-click adds or removes one
       html += propRow('strokeWidth', obj.strokeWidth, 'number');
+      html += propRow('closed', obj.closed, 'checkbox');
+      html += propRow('fill', obj.fill, 'checkbox', obj.closed ? {} : { disabled: '' });
+      html += propPattern(obj, obj.closed && obj.fill);
+      break;
+    case 'sprite': {
+      const options = [...state.model.sprites.values()]
+        .sort((a, b) => a.id - b.id)
+        .map(s => ({ value: String(s.id), label: `#${s.id} (${s.width}×${s.height})` }));
+      if (!state.model.sprites.has(obj.spriteId)) {
+        options.unshift({ value: String(obj.spriteId), label: `#${obj.spriteId} (undefined)` });
+      }
+      html += propSelect('spriteId', String(obj.spriteId), options);
+      break;
+    }
+    case 'qr':
+      html += propTextarea('data', obj.data);
+      html += propSelect('ec', obj.ec || 'M', QR_EC.map(ec => ({ value: ec, label: ec })));
+      // Dots per module
+      html += propRow('module', obj.module || 4, 'number', { min: 1, max: QR_MODULE_MAX, step: 1 });
+      break;
+    case 'table':
+      // Cells are edited on the canvas (double-click)
+      html += propRow('rows', obj.cells.length, 'number', { min: 1, step: 1 });
+      html += propRow('columns', obj.columns.join(', '), 'text');
+      html += propSelect('border', obj.border || 'grid', TABLE_BORDERS.map(b => ({ value: b, label: b })));
+      html += propRow('borderWidth', obj.borderWidth || 1, 'number', { min: 1, step: 1 });
+      html += propRow('padding', obj.padding ?? 4, 'number', { min: 0, step: 1 });
+      html += propRow('fontSize', obj.fontSize || 16, 'number');
+      break;
+    case 'barcode':
+      html += propTextarea('data', obj.data);
+      html += propSelect('symbology', obj.symbology || 'code128', BARCODE_SYMBOLOGIES.map(s => ({ value: s, label: s })));
+      // Dots per narrow bar; height of the bars in dots
+      html += propRow('bar', obj.bar || 2, 'number', { min: 1, max: BARCODE_BAR_MAX, step: 1 });
+      html += propRow('height', obj.height || 60, 'number', { min: 1, step: 1 });
+      html += propRow('caption', obj.caption !== false, 'checkbox');
+      break;
+    case 'image':
+      html += propRow('width', obj.width, 'number');
+      html += propRow('height', obj.height, 'number');
+      html += propSelect('dither', obj.dither || IMAGE_DEFAULTS.dither, DITHER_METHODS);
+      html += propRow('brightness', obj.brightness ?? IMAGE_DEFAULTS.brightness, 'range', { min: -100, max: 100, step: 1 });
+      html += propRow('contrast', obj.contrast ?? IMAGE_DEFAULTS.contrast, 'range', { min: -100, max: 100, step: 1 });
+      html += propRow('gamma', obj.gamma ?? IMAGE_DEFAULTS.gamma, 'range', { min: 0.2, max: 3, step: 0.05 });
+      // Crop in source pixels; 0 width/height runs to the picture's edge
+      html += propRow('cropX', obj.cropX || 0, 'number');
+      html += propRow('cropY', obj.cropY || 0, 'number');
+      html += propRow('cropWidth', obj.cropWidth || 0, 'number');
+      html += propRow('cropHeight', obj.cropHeight || 0, 'number');
+      html += `
+        <div class="prop-row">
+          <button class="branch-add" data-action="replace">Replace image…</button>
+          <button class="branch-add" data-action="fit" ${obj.src ? '' : 'disabled'}>Fit width</button>
+        </div>
+      `;
       break;
   }
 
@@ -218,28 +778,157 @@ function updateProperties(obj) {
   panel.innerHTML = html;
 
   // Bind events
-  panel.querySelectorAll('input').forEach(input => {
+  panel.querySelectorAll('input, select, textarea').forEach(input => {
     input.addEventListener('change', () => {
       const prop = input.dataset.prop;
       let value = input.type === 'checkbox' ? input.checked :
-                  input.type === 'number' ? parseFloat(input.value) : input.value;
-      obj[prop] = value;
-      state.visualEditor.updateObject(obj);
-      updateCode();
-      updatePreview();
+                  input.type === 'number' || input.type === 'range' ? parseFloat(input.value) : input.value;
+      if (typeof value === 'number' && !Number.isFinite(value)) {
+        // Cleared or invalid number: put the current value back
+        updateProperties(obj);
+        return;
+      }
+      if (prop === 'spriteId') {
+        // Sprites print at their defined size
+        const sprite = state.model.sprites.get(parseInt(value, 10));
+        applyObjectChanges(obj, { spriteId: sprite.id, width: sprite.width, height: sprite.height });
+        return;
+      }
+      if (obj.type === 'qr' && ['x', 'y', 'module'].includes(prop)) {
+        // QR modules snap to whole dots
+        value = prop === 'module' ? Math.min(QR_MODULE_MAX, Math.max(1, Math.round(value))) : Math.round(value);
+      }
+      if (obj.type === 'table' && prop === 'rows') {
+        // Drop or add rows at the bottom
+        const rows = Math.max(1, Math.round(value) || 1);
+        const cells = obj.cells.slice(0, rows).map(row => [...row]);
+        while (cells.length < rows) cells.push(obj.columns.map(() => ''));
+        applyObjectChanges(obj, { cells });
+        return;
+      }
+      if (obj.type === 'table' && prop === 'columns') {
+        // Column widths in dots, comma-separated; cells follow the count
+        const columns = String(value).split(',').map(w => Math.round(parseFloat(w))).filter(w => w > 0);
+        if (columns.length === 0) {
+          updateProperties(obj);
+          return;
+        }
+        const cells = obj.cells.map(row => columns.map((_, c) => row[c] ?? ''));
+        applyObjectChanges(obj, { columns, cells });
+        return;
+      }
+      if (prop === 'pattern' && value === 'custom' && !obj.patternTile) {
+        // Start the custom tile from the pattern it replaces
+        const tile = FILL_PATTERNS[obj.pattern || 'solid'];
+        applyObjectChanges(obj, { pattern: value, patternTile: [...tile] });
+        return;
+      }
+      if (obj.type === 'barcode' && ['x', 'y', 'bar', 'height'].includes(prop)) {
+        value = prop === 'bar' ? Math.min(BARCODE_BAR_MAX, Math.max(1, Math.round(value)))
+          : prop === 'height' ? Math.max(1, Math.round(value)) : Math.round(value);
+      }
+      applyObjectChanges(obj, { [prop]: value });
     });
   });
+
+  if (obj.type === 'image') bindImageProperties(panel, obj);
+
+  // Custom tile: each cell toggles one dot
+  panel.querySelectorAll('.pattern-tile span').forEach(cell => {
+    cell.addEventListener('click', () => {
+      const y = parseInt(cell.dataset.y, 10);
+      const patternTile = [...obj.patternTile];
+      patternTile[y] ^= 0x80 >> parseInt(cell.dataset.x, 10);
+      applyObjectChanges(obj, { patternTile });
+    });
+  });
+}
+
+// Halftone pattern for filled shapes, with the 8x8 grid for 'custom'
+function propPattern(obj, filled) {
+  const pattern = obj.pattern || 'solid';
+  let html = propSelect('pattern', pattern, FILL_PATTERN_NAMES.map(p => ({ value: p, label: p })))
+    .replace('<select', filled ? '<select' : '<select disabled');
+  if (pattern !== 'custom' || !obj.patternTile) return html;
+
+  let cells = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const on = (obj.patternTile[y] >> (7 - x)) & 1;
+      cells += `<span class="${on ? 'on' : ''}" data-x="${x}" data-y="${y}"></span>`;
+    }
+  }
+  html += `
+    <div class="prop-row">
+      <label>tile</label>
+      <div class="pattern-tile">${cells}</div>
+    </div>
+  `;
+  return html;
 }
 
-function propRow(label, value, type) {
-  const inputType = type === 'checkbox' ? 'checkbox' : (type === 'number' ? 'number' : 'text');
+function bindImageProperties(panel, obj) {
+  panel.querySelector('[data-action="replace"]').addEventListener('click', () => replaceImage(obj));
+  panel.querySelector('[data-action="fit"]').addEventListener('click', async () => {
+    const img = await loadImage(obj.src);
+    const cropWidth = obj.cropWidth || img.naturalWidth - (obj.cropX || 0);
+    const cropHeight = obj.cropHeight || img.naturalHeight - (obj.cropY || 0);
+    applyObjectChanges(obj, {
+      x: 0,
+      width: WIDTH,
+      height: Math.max(1, Math.round(cropHeight * WIDTH / cropWidth))
+    });
+  });
+
+  // Sliders re-dither live on the canvas; the model changes on release
+  if (!obj.src) return;
+  let frame = null;
+  panel.querySelectorAll('input[type="range"]').forEach(input => {
+    input.addEventListener('input', () => {
+      input.title = input.value;
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(async () => {
+        const preview = { ...obj, [input.dataset.prop]: parseFloat(input.value) };
+        const rows = renderImageRows(await loadImage(obj.src), preview);
+        state.visualEditor.previewImage(obj.id, rows, obj.width, obj.height);
+      });
+    });
+  });
+}
+
+function propRow(label, value, type, attrs = {}) {
+  const inputType = ['checkbox', 'number', 'range'].includes(type) ? type : 'text';
   const checked = type === 'checkbox' && value ? 'checked' : '';
   const val = type === 'checkbox' ? '' : `value="${value}"`;
+  const extra = Object.entries(attrs).map(([k, v]) => `${k}="${v}"`).join(' ');
 
   return `
     <div class="prop-row">
       <label>${label}</label>
-      <input type="${inputType}" data-prop="${label}" ${val} ${checked}>
+      <input type="${inputType}" data-prop="${label}" ${val} ${checked} ${extra}>
+    </div>
+  `;
+}
+
+function propTextarea(label, value) {
+  const text = String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  return `
+    <div class="prop-row">
+      <label>${label}</label>
+      <textarea data-prop="${label}" rows="3">${text}</textarea>
+    </div>
+  `;
+}
+
+function propSelect(label, value, options) {
+  const items = options.map(o =>
+    `<option value="${o.value}" ${o.value === value ? 'selected' : ''}>${o.label}</option>`
+  ).join('');
+
+  return `
+    <div class="prop-row">
+      <label>${label}</label>
+      <select data-prop="${label}">${items}</select>
     </div>
   `;
 }
@@ -250,6 +939,44 @@ function propRow(label, value, type) {
 function updateCode() {
   const code = CodeGenerator.generate(state.model);
   document.getElementById('codeArea').value = code;
+  setCodeStatus('', '');
+}
+
+// =====================================================
+// Code → Model Sync
+// =====================================================
+let codeSyncTimer = null;
+
+function initCodeSync() {
+  const codeArea = document.getElementById('codeArea');
+  codeArea.addEventListener('input', () => {
+    clearTimeout(codeSyncTimer);
+    codeSyncTimer = setTimeout(applyCode, 400);
+  });
+}
+
+function applyCode() {
+  const code = document.getElementById('codeArea').value;
+
+  // Runs from a timer: every failure goes to the status line, never uncaught.
+  // ParseError messages already carry the line and column.
+  try {
+    const parsed = CodeParser.parse(code, state.model);
+    const action = new ReplaceSceneAction(state.model, parsed, 'Edit code');
+    action.fromCode = true;
+    state.history.execute(action);
+  } catch (err) {
+    if (!(err instanceof ParseError)) console.error('Code sync error:', err);
+    setCodeStatus(err.message, 'error');
+    return;
+  }
+  setCodeStatus('Synced with visual editor', 'ok');
+}
+
+function setCodeStatus(message, kind) {
+  const statusEl = document.getElementById('codeStatus');
+  statusEl.textContent = message;
+  statusEl.className = 'code-status' + (kind ? ` ${kind}` : '');
 }
 
 // =====================================================
@@ -268,6 +995,30 @@ function updatePreview() {
   }
 }
 
+// =====================================================
+// PGP Inspector
+// =====================================================
+function initInspector() {
+  state.pgpInspector = new PgpInspector({ container: 'pgpCommands' });
+  document.getElementById('btnInspectRefresh').addEventListener('click', updateInspector);
+}
+
+// Compiling is not free, so only while the PGP tab is open
+function updateInspector() {
+  if (state.currentTab === 'pgp') {
+    state.pgpInspector.render(state.model);
+  }
+}
+
+// =====================================================
+// Emulator
+// =====================================================
+// Runs from the start when its tab is opened or on Restart; edits made
+// meanwhile don't interrupt a run in progress
+function initEmulator() {
+  state.emulatorPanel = new EmulatorPanel({ container: 'emulatorPane', getModel: () => state.model });
+}
+
 // =====================================================
 // Printer Connection
 // =====================================================
@@ -276,6 +1027,21 @@ function initConnection() {
   const btnPrint = document.getElementById('btnPrint');
   const btnTest = document.getElementById('btnTest');
   const statusEl = document.getElementById('status');
+  const transportSelect = document.getElementById('transportSelect');
+  const bridgeRow = document.getElementById('bridgeRow');
+
+  state.inputMonitor = new InputMonitor({ container: 'inputMonitor' });
+
+  state.jobs = new PrintJobManager({
+    getPrinter: () => (PrinterConnection.isConnected() ? PrinterConnection.getPrinter() : null),
+    onChange: () => jobPanel.render(),
+  });
+  const jobPanel = new JobPanel({ container: 'jobPanel', jobs: state.jobs });
+  jobPanel.render();
+
+  transportSelect.addEventListener('change', () => {
+    bridgeRow.classList.toggle('hidden', transportSelect.value !== 'websocket');
+  });
 
   // Connect button
   btnConnect.addEventListener('click', async () => {
@@ -294,7 +1060,13 @@ function initConnection() {
         statusEl.textContent = 'Connecting...';
         statusEl.className = 'status connecting';
 
-        await PrinterConnection.connect();
+        await PrinterConnection.connect(createTransport(transportSelect.value));
+        // A dropped link fails the job in flight; queued jobs wait for a reconnect
+        PrinterConnection.getPrinter().on('disconnect', ({ error }) => {
+          updateConnectionUI(false);
+          statusEl.textContent = error.message;
+          statusEl.className = 'status error';
+        });
         updateConnectionUI(true);
       } catch (err) {
         console.error('Connect error:', err);
@@ -313,19 +1085,28 @@ function initConnection() {
       return;
     }
 
+    // Compile once, queue every copy
+    let bytes;
     try {
-      btnPrint.disabled = true;
-      btnPrint.textContent = 'Printing...';
-
-      await PrinterConnection.printModel(state.model);
-
-      btnPrint.textContent = 'Print';
+      bytes = PrinterConnection.compileModel(state.model).compile();
     } catch (err) {
       console.error('Print error:', err);
       alert('Print failed: ' + err.message);
-    } finally {
-      btnPrint.disabled = false;
-      btnPrint.textContent = 'Print';
+      return;
+    }
+
+    const copies = Math.max(1, parseInt(document.getElementById('printCopies').value, 10) || 1);
+    const settings = {
+      speed: parseInt(document.getElementById('speedSlider').value, 10),
+      heat: parseInt(document.getElementById('heatSlider').value, 10),
+      transport: PrinterConnection.getPrinter().transport.name,
+    };
+    for (let i = 1; i <= copies; i++) {
+      state.jobs.enqueue({
+        title: copies > 1 ? `${state.model.title} (${i}/${copies})` : state.model.title,
+        bytes,
+        settings: { ...settings, copy: i, copies },
+      });
     }
   });
 
@@ -382,12 +1163,28 @@ function initConnection() {
   }
 }
 
+function createTransport(kind) {
+  if (kind === 'websocket') {
+    return new PrinterConnection.WebSocketTransport({ url: document.getElementById('bridgeUrl').value.trim() });
+  }
+  return new PrinterConnection.WebSerialTransport();
+}
+
 function updateConnectionUI(connected) {
   const btnConnect = document.getElementById('btnConnect');
   const btnPrint = document.getElementById('btnPrint');
   const btnTest = document.getElementById('btnTest');
   const statusEl = document.getElementById('status');
 
+  // The link can only be changed while disconnected
+  document.getElementById('transportSelect').disabled = connected;
+  document.getElementById('bridgeUrl').disabled = connected;
+
+  if (connected) state.inputMonitor.attach(PrinterConnection.getPrinter());
+  else state.inputMonitor.detach();
+  // Jobs queued while offline start once connected
+  if (connected) state.jobs.kick();
+
   if (connected) {
     btnConnect.textContent = 'Disconnect';
     btnConnect.classList.add('connected');
@@ -8,6 +8,7 @@ export class SceneModel {
     this.sections = [];
     this.currentSection = null;
     this.sprites = new Map();
+    this.variables = [];
     this._idCounter = 0;
   }
 
@@ -21,7 +22,9 @@ export class SceneModel {
       objects: [],
       feedMode: options.feedMode || 'auto',
       speed: options.speed || 8000,
-      maxLines: options.maxLines || 600
+      maxLines: options.maxLines || 600,
+      edges: options.edges || [],
+      assignments: options.assignments || []
     };
     this.sections.push(section);
     this.currentSection = section;
@@ -38,14 +41,77 @@ export class SceneModel {
     }
   }
 
+  insertSection(section, index = this.sections.length) {
+    this.sections.splice(index, 0, section);
+    this.currentSection = section;
+    return section;
+  }
+
   getSection(name) {
     return this.sections.find(s => s.name === name);
   }
 
+  addObject(sectionName, obj, index) {
+    const section = this.getSection(sectionName);
+    if (!section) return null;
+    if (!obj.id) obj.id = this.nextId();
+    const at = index === undefined ? section.objects.length : index;
+    section.objects.splice(at, 0, obj);
+    return obj;
+  }
+
+  removeObject(sectionName, objId) {
+    const section = this.getSection(sectionName);
+    if (!section) return null;
+    const idx = section.objects.findIndex(o => o.id === objId);
+    if (idx < 0) return null;
+    const [obj] = section.objects.splice(idx, 1);
+    return { obj, index: idx };
+  }
+
+  findObject(objId) {
+    for (const section of this.sections) {
+      const obj = section.objects.find(o => o.id === objId);
+      if (obj) return { section, obj };
+    }
+    return null;
+  }
+
   addSprite(id, width, height, data) {
     this.sprites.set(id, { id, width, height, data });
   }
 
+  /**
+   * Replace all sprites; placed sprite objects take their sprite's size
+   */
+  setSprites(sprites) {
+    this.sprites = new Map(sprites.map(s => [s.id, s]));
+    this.sections.forEach(section => section.objects.forEach(obj => {
+      const sprite = obj.type === 'sprite' && this.sprites.get(obj.spriteId);
+      if (sprite) {
+        obj.width = sprite.width;
+        obj.height = sprite.height;
+      }
+    }));
+  }
+
+  getVariable(name) {
+    return this.variables.find(v => v.name === name);
+  }
+
+  /**
+   * Rename a variable and every edge / assignment that refers to it
+   */
+  renameVariable(oldName, newName) {
+    const variable = this.getVariable(oldName);
+    if (variable) variable.name = newName;
+    const rename = (item) => (item.var === oldName ? { ...item, var: newName } : item);
+    this.sections.forEach(section => {
+      section.edges = section.edges.map(rename);
+      section.assignments = section.assignments.map(rename);
+    });
+  }
+
   toJSON() {
     return {
       title: this.title,
@@ -54,18 +120,36 @@ export class SceneModel {
         feedMode: s.feedMode,
         speed: s.speed,
         maxLines: s.maxLines,
+        edges: s.edges,
+        assignments: s.assignments,
         objects: s.objects
       })),
-      sprites: Array.from(this.sprites.values())
+      sprites: Array.from(this.sprites.values()),
+      variables: this.variables
     };
   }
 
   fromJSON(json) {
     this.title = json.title || 'Untitled Game';
-    this.sections = json.sections || [];
+    this.sections = (json.sections || []).map(s => ({
+      name: s.name,
+      objects: s.objects || [],
+      feedMode: s.feedMode || 'auto',
+      speed: s.speed || 8000,
+      maxLines: s.maxLines || 600,
+      edges: s.edges || [],
+      assignments: s.assignments || []
+    }));
     this.currentSection = this.sections[0] || null;
     this.sprites.clear();
     (json.sprites || []).forEach(s => this.sprites.set(s.id, s));
+    this.variables = (json.variables || []).map(v => ({
+      name: v.name,
+      initial: v.initial ?? 0,
+      min: v.min ?? 0,
+      max: v.max ?? 65535,
+      description: v.description || ''
+    }));
 
     // Regenerate IDs
     this._idCounter = 0;
@@ -0,0 +1,116 @@
+/**
+ * PgpInspector - List the PGP commands the current model compiles to
+ */
+
+import { PGP, SDKError } from './sdk.js';
+import { compileModel } from './printer.js';
+
+// Hex shown per row before truncating (the full frame is in the tooltip)
+const HEX_PREVIEW_BYTES = 16;
+
+export class PgpInspector {
+  constructor(options) {
+    this.container = typeof options.container === 'string'
+      ? document.getElementById(options.container)
+      : options.container;
+  }
+
+  render(model) {
+    const el = this.container;
+    el.innerHTML = '';
+
+    let game, compiled;
+    try {
+      game = compileModel(model);
+      compiled = game.compileWithSourceMap();
+    } catch (err) {
+      if (!(err instanceof SDKError)) throw err;
+      el.appendChild(this.message(err.message, 'error'));
+      return;
+    }
+
+    const { bytes, sections } = compiled;
+    const { commands, errors } = PGP.decode(bytes);
+    const names = this.symbolNames(game.symbols());
+
+    el.appendChild(this.message(
+      `${commands.length} commands, ${bytes.length} bytes` +
+      (errors.length ? `, ${errors.length} error(s)` : ''),
+      errors.length ? 'error' : 'ok'
+    ));
+    errors.forEach(e => el.appendChild(this.message(`@${e.offset}: ${e.message}`, 'error')));
+
+    const table = document.createElement('table');
+    table.className = 'pgp-table';
+    table.innerHTML = '<thead><tr><th>#</th><th>Offset</th><th>Section</th>' +
+      '<th>Command</th><th>Arguments</th><th>Size</th><th>Hex</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+
+    let lastSection = null;
+    commands.forEach((c, i) => {
+      const section = this.sectionAt(sections, c.offset);
+      const tr = document.createElement('tr');
+      if (!c.crcOk || !c.args) tr.className = 'bad';
+      if (section !== lastSection) tr.classList.add('section-start');
+      lastSection = section;
+
+      const frame = bytes.subarray(c.offset, c.offset + c.size);
+      const hex = toHex(frame.subarray(0, HEX_PREVIEW_BYTES)) + (c.size > HEX_PREVIEW_BYTES ? ' …' : '');
+      [i, c.offset, section, c.name, this.formatArgs(c, names), c.size, hex].forEach((value, col) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        if (col === 6) td.title = toHex(frame);
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+
+    table.appendChild(tbody);
+    el.appendChild(table);
+  }
+
+  // Commands before the first section are the program header, after the
+  // last one the trailer
+  sectionAt(sections, offset) {
+    const span = sections.find(s => offset >= s.start && offset < s.end);
+    if (span) return span.id;
+    return sections.length && offset >= sections[sections.length - 1].end ? '(end)' : '(header)';
+  }
+
+  symbolNames(symbols) {
+    const invert = (obj) => new Map(Object.entries(obj).map(([name, id]) => [id, name]));
+    return { labels: invert(symbols.labels), variables: invert(symbols.variables) };
+  }
+
+  formatArgs(c, names) {
+    if (!c.args) return '';
+    const opName = (op) => Object.keys(PGP.OP).find(k => PGP.OP[k] === op) ?? op;
+    const named = (map, id) => (map.has(id) ? `${map.get(id)} (${id})` : `${id}`);
+
+    return Object.entries(c.args).map(([key, value]) => {
+      switch (key) {
+        case 'id':
+          return c.name === 'LABEL' ? `id=${named(names.labels, value)}` : `id=${value}`;
+        case 'labelId': return `${key}=${named(names.labels, value)}`;
+        case 'labelIds': return `${key}=[${value.map(v => named(names.labels, v)).join(', ')}]`;
+        case 'varId': return `var=${named(names.variables, value)}`;
+        case 'op': return `op=${opName(value)}`;
+        case 'buttonMask':
+        case 'pattern': return `${key}=0x${value.toString(16).toUpperCase().padStart(2, '0')}`;
+        case 'str': return `str=${JSON.stringify(value)}`;
+        default: return `${key}=${value}`;
+      }
+    }).join(' ');
+  }
+
+  message(text, kind) {
+    const p = document.createElement('p');
+    p.className = `pgp-status ${kind}`;
+    p.textContent = text;
+    return p;
+  }
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+}
@@ -0,0 +1,206 @@
+/**
+ * PrintJobManager - Queue of compiled PGP jobs sent one after another
+ *
+ * Jobs are sent with flow control; pausing holds the next frame, and
+ * cancelling stops before the next frame and sends PGP.stop(). Finished,
+ * cancelled and failed jobs move to `history` with their settings.
+ */
+
+import { PGP, BPL, CancelledError, getFontHeight, decodeFontByte } from './sdk.js';
+
+export const JOB_STATE = {
+  QUEUED: 'queued',
+  PRINTING: 'printing',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+};
+
+export class PrintJobManager {
+  /**
+   * options:
+   *   getPrinter()  - the connected Printer (or null)
+   *   onChange()    - called whenever a job or the queue changes
+   *   historyLimit  - finished jobs kept (newest first)
+   */
+  constructor(options) {
+    this.getPrinter = options.getPrinter;
+    this.onChange = options.onChange || (() => {});
+    this.historyLimit = options.historyLimit ?? 50;
+    this.queue = [];
+    this.current = null;
+    this.history = [];
+    this.paused = false;
+    this._resumeWaiters = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Queue a compiled program. settings are recorded with the job
+   * (speed, heat, copy number, ...).
+   */
+  enqueue({ title, bytes, settings = {} }) {
+    const frames = PGP.splitFrames(bytes);
+    const job = {
+      id: this._nextId++,
+      title,
+      bytes,
+      settings,
+      state: JOB_STATE.QUEUED,
+      total: { bytes: bytes.length, frames: frames.length, lines: 0 },
+      progress: { bytes: 0, frames: 0, lines: 0, retransmits: 0 },
+      queuedAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      _cancel: false,
+    };
+    [job._bytesAt, job._linesAt] = prefixSums(frames);
+    job.total.lines = job._linesAt[frames.length];
+
+    this.queue.push(job);
+    this.onChange();
+    this.kick();
+    return job;
+  }
+
+  pause() {
+    this.paused = true;
+    this.onChange();
+  }
+
+  resume() {
+    this.paused = false;
+    this._resumeWaiters.splice(0).forEach(resolve => resolve());
+    this.onChange();
+    this.kick();
+  }
+
+  /**
+   * Cancel a queued job, or the one printing (before its next frame)
+   */
+  cancel(id) {
+    if (this.current && this.current.id === id) {
+      this.current._cancel = true;
+      this._resumeWaiters.splice(0).forEach(resolve => resolve());
+      return;
+    }
+    const index = this.queue.findIndex(j => j.id === id);
+    if (index < 0) return;
+    const [job] = this.queue.splice(index, 1);
+    this._finish(job, JOB_STATE.CANCELLED);
+  }
+
+  cancelAll() {
+    this.queue.splice(0).forEach(job => this._finish(job, JOB_STATE.CANCELLED));
+    if (this.current) this.cancel(this.current.id);
+  }
+
+  clearHistory() {
+    this.history = [];
+    this.onChange();
+  }
+
+  /**
+   * Start the next job if idle, connected and not paused
+   */
+  kick() {
+    if (this.current || this.paused || this.queue.length === 0) return;
+    const printer = this.getPrinter();
+    if (!printer || !printer.connected) return;
+    this._run(printer, this.queue.shift());
+  }
+
+  async _run(printer, job) {
+    this.current = job;
+    job.state = JOB_STATE.PRINTING;
+    job.startedAt = new Date();
+    this.onChange();
+
+    const gate = async () => {
+      while (this.paused && !job._cancel) {
+        await new Promise(resolve => this._resumeWaiters.push(resolve));
+      }
+      if (job._cancel) throw new CancelledError();
+    };
+    const onProgress = (fraction, info) => {
+      job.progress = {
+        bytes: job._bytesAt[info.acked],
+        frames: info.acked,
+        lines: job._linesAt[info.acked],
+        retransmits: info.retransmits,
+      };
+      this.onChange();
+    };
+
+    try {
+      await printer.sendFlowControlled(job.bytes, { onProgress, gate });
+      this._finish(job, JOB_STATE.DONE);
+    } catch (err) {
+      if (err instanceof CancelledError) {
+        await printer.send(PGP.stop()).catch(() => {});
+        this._finish(job, JOB_STATE.CANCELLED);
+      } else {
+        console.error('[Jobs] Print failed:', err);
+        job.error = err.message;
+        this._finish(job, JOB_STATE.FAILED);
+      }
+    }
+
+    this.current = null;
+    this.onChange();
+    this.kick();
+  }
+
+  _finish(job, state) {
+    job.state = state;
+    job.finishedAt = new Date();
+    this.history.unshift(job);
+    this.history.length = Math.min(this.history.length, this.historyLimit);
+    this.onChange();
+  }
+}
+
+// Bytes and paper lines before each frame (index frames.length = totals).
+// Lines are what the stream prints front to back; jumps in a branching
+// program can print more or less.
+function prefixSums(frames) {
+  const bytesAt = [0];
+  const linesAt = [0];
+  const spriteHeights = new Map();
+  frames.forEach((frame, i) => {
+    const cmd = frame[1];
+    const payload = frame.subarray(4, frame.length - 1);
+    let lines = 0;
+    switch (cmd) {
+      case PGP.CMD.RAW_LINE:
+      case PGP.CMD.RAW_LINE_RLE:
+        lines = 1;
+        break;
+      case PGP.CMD.RAW_LINES:
+        lines = Math.floor(payload.length / BPL);
+        break;
+      case PGP.CMD.SPRITE_DEF:
+        spriteHeights.set(payload[0], payload[2]);
+        break;
+      case PGP.CMD.SPRITE_DRAW:
+        lines = spriteHeights.get(payload[0]) || 0;
+        break;
+      case PGP.CMD.FILL_LINE:
+      case PGP.CMD.FEED:
+      case PGP.CMD.RECT: {
+        const args = PGP.decodeArgs(cmd, payload);
+        lines = args.count ?? args.lines ?? args.h;
+        break;
+      }
+      case PGP.CMD.TEXT: {
+        const { baseFont, scale } = decodeFontByte(payload[4]);
+        lines = getFontHeight(baseFont, scale);
+        break;
+      }
+    }
+    bytesAt.push(bytesAt[i] + frame.length);
+    linesAt.push(linesAt[i] + lines);
+  });
+  return [bytesAt, linesAt];
+}
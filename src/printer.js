@@ -3,20 +3,29 @@
  * Version: 0.2.2.2026.0207
  */
 
-import { Printer, Game, PGP, BTN, FEED_MODE } from './sdk.js';
+import {
+  Printer, Game, PGP, BTN, FEED_MODE,
+  WebSerialTransport, WebSocketTransport, NodeSerialTransport, LoopbackTransport
+} from './sdk.js';
+import { lowerEdges, lowerAssignments, applyFlowOps } from './flow.js';
+import { layoutSection, applyLayout } from './layout.js';
 
 // Singleton state
 let printer = null;
 let connected = false;
 
 /**
- * Connect to printer via Web Serial
+ * Connect to printer - Web Serial at a baud rate, or any SDK transport
  */
-export async function connect(baudRate = 921600) {
+export async function connect(baudRateOrTransport = 921600) {
   try {
     printer = new Printer();
-    await printer.connect(baudRate);
+    await printer.connect(baudRateOrTransport);
     connected = true;
+    printer.on('disconnect', ({ error }) => {
+      connected = false;
+      console.warn('[Printer] Connection lost:', error.message);
+    });
     console.log('[Printer] Connected');
     return true;
   } catch (err) {
@@ -42,7 +51,7 @@ export async function disconnect() {
  * Check if connected
  */
 export function isConnected() {
-  return connected && printer !== null;
+  return connected && printer !== null && printer.connected;
 }
 
 /**
@@ -53,9 +62,10 @@ export function getPrinter() {
 }
 
 /**
- * Compile model to Game and send to printer
+ * Compile model to Game and send to printer.
+ * onProgress(fraction, { acked, frames, retransmits }) per acknowledged frame
  */
-export async function printModel(model) {
+export async function printModel(model, onProgress = null) {
   if (!isConnected()) {
     throw new Error('Not connected to printer');
   }
@@ -64,7 +74,7 @@ export async function printModel(model) {
 
   console.log('[Printer] Compiling and sending...');
   const frames = game.compile();
-  await printer.send(frames);
+  await printer.sendFlowControlled(frames, { onProgress });
   console.log('[Printer] Print complete');
 }
 
@@ -81,6 +91,11 @@ export function compileModel(model) {
     }
   });
 
+  // Named variables (IDs are allocated by Game.compile)
+  model.variables.forEach(v => {
+    game.defineVar(v.name, { initial: v.initial, min: v.min, max: v.max, description: v.description });
+  });
+
   // Create sections
   model.sections.forEach(sectionDef => {
     const section = game.section(sectionDef.name, {
@@ -89,13 +104,17 @@ export function compileModel(model) {
       maxLines: sectionDef.maxLines || 600
     });
 
-    // Add objects
-    sectionDef.objects.forEach(obj => {
-      addObjectToSection(section, obj);
-    });
+    // Variable assignments on entering the section
+    applyFlowOps(section, lowerAssignments(sectionDef));
+
+    // Objects at their editor positions
+    applyLayout(section, layoutSection(sectionDef, { sprites: model.sprites }));
 
     // Default feed at end
     section.feed(20);
+
+    // Outgoing edges → jumps to section names (labelled by Game.compile)
+    applyFlowOps(section, lowerEdges(model, sectionDef));
   });
 
   // Set flow
@@ -106,111 +125,6 @@ export function compileModel(model) {
   return game;
 }
 
-/**
- * Add object to section
- */
-function addObjectToSection(section, obj) {
-  switch (obj.type) {
-    case 'text':
-      section.text(Math.round(obj.x), obj.text, {
-        size: pxToMm(obj.fontSize || 24)
-      });
-      break;
-
-    case 'rect':
-      section.rect(
-        Math.round(obj.x),
-        Math.round(obj.width),
-        Math.round(obj.height),
-        obj.fill ? 1 : 0
-      );
-      break;
-
-    case 'sprite':
-      section.sprite(obj.spriteId, Math.round(obj.x), Math.round(obj.y));
-      break;
-
-    case 'circle':
-      // Circles need canvas drawing - add as raw lines
-      addCircleAsRawLines(section, obj);
-      break;
-
-    case 'line':
-      // Lines need canvas drawing
-      addLineAsRawLines(section, obj);
-      break;
-
-    case 'image':
-      // Images need to be converted to raw lines
-      if (obj.rawLines) {
-        obj.rawLines.forEach(line => section.rawLine(line));
-      }
-      break;
-  }
-}
-
-/**
- * Draw circle and add as raw lines
- */
-function addCircleAsRawLines(section, obj) {
-  const cx = Math.round(obj.x);
-  const cy = Math.round(obj.y);
-  const r = Math.round(obj.radius);
-
-  const height = r * 2 + 2;
-
-  for (let y = 0; y < height; y++) {
-    const line = new Uint8Array(72);
-    const relY = y - r;
-
-    if (obj.fill) {
-      const dx = Math.sqrt(Math.max(0, r * r - relY * relY));
-      const x1 = Math.max(0, Math.round(cx - dx));
-      const x2 = Math.min(575, Math.round(cx + dx));
-
-      for (let x = x1; x <= x2; x++) {
-        line[x >> 3] |= (0x80 >> (x & 7));
-      }
-    } else {
-      const dx = Math.sqrt(Math.max(0, r * r - relY * relY));
-      const x1 = Math.round(cx - dx);
-      const x2 = Math.round(cx + dx);
-
-      if (x1 >= 0 && x1 < 576) line[x1 >> 3] |= (0x80 >> (x1 & 7));
-      if (x2 >= 0 && x2 < 576 && x2 !== x1) line[x2 >> 3] |= (0x80 >> (x2 & 7));
-    }
-
-    section.rawLine(line);
-  }
-}
-
-/**
- * Draw line and add as raw lines
- */
-function addLineAsRawLines(section, obj) {
-  const [x1, y1, x2, y2] = obj.points;
-  const height = Math.abs(y2 - y1) + (obj.strokeWidth || 1);
-
-  for (let y = 0; y < height; y++) {
-    const line = new Uint8Array(72);
-    const t = height > 1 ? y / (height - 1) : 0;
-    const x = Math.round(x1 + t * (x2 - x1));
-
-    if (x >= 0 && x < 576) {
-      line[x >> 3] |= (0x80 >> (x & 7));
-    }
-
-    section.rawLine(line);
-  }
-}
-
-/**
- * Helper: Convert pixels to mm (8 dots per mm)
- */
-function pxToMm(px) {
-  return Math.round(px / 8 * 10) / 10;
-}
-
 /**
  * Send test print
  */
@@ -230,7 +144,7 @@ export async function testPrint() {
   game.setFlow('test');
 
   const frames = game.compile();
-  await printer.send(frames);
+  await printer.sendFlowControlled(frames);
   console.log('[Printer] Test print complete');
 }
 
@@ -239,7 +153,7 @@ export async function testPrint() {
  */
 export async function setSpeed(pps) {
   if (!isConnected()) return;
-  await printer.setSpeed(pps);
+  await printer.send(PGP.setSpeed(pps));
 }
 
 /**
@@ -247,8 +161,11 @@ export async function setSpeed(pps) {
  */
 export async function setHeat(heatUs) {
   if (!isConnected()) return;
-  await printer.setHeat(heatUs);
+  await printer.send(PGP.setHeat(heatUs));
 }
 
 // Re-export SDK classes for convenience
-export { Game, PGP, BTN, FEED_MODE };
+export {
+  Game, PGP, BTN, FEED_MODE,
+  WebSerialTransport, WebSocketTransport, NodeSerialTransport, LoopbackTransport
+};
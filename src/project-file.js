@@ -0,0 +1,405 @@
+/**
+ * ProjectFile - Versioned .exs project format (save/load + schema migration)
+ *
+ * See docs/PROJECT_FORMAT.md for the on-disk layout.
+ */
+
+import {
+  ValidationError, VAR_VALUE_MAX, TEXT_ALIGN, QR_EC, QR_MODULE_MAX, BARCODE_SYMBOLOGIES, BARCODE_BAR_MAX
+} from './sdk.js';
+import { TABLE_BORDERS, FILL_PATTERN_NAMES } from './raster.js';
+import { EDGE_TYPES, OPS, FADER_MAX, isValidVarName } from './flow.js';
+
+export const FORMAT_ID = 'exscroller-studio';
+export const FORMAT_VERSION = 4;
+export const FILE_EXTENSION = '.exs';
+
+const FEED_MODES = ['auto', 'elastic', 'precise'];
+
+// Field specs per object type. A trailing '?' marks an optional field.
+const OBJECT_FIELDS = {
+  text: {
+    x: 'number', y: 'number', text: 'string', fontSize: 'number?',
+    width: 'number?', align: 'string?', lineSpacing: 'number?',
+  },
+  rect: {
+    x: 'number', y: 'number', width: 'number', height: 'number', fill: 'boolean?',
+    pattern: 'string?', patternTile: 'tile?',
+  },
+  circle: { x: 'number', y: 'number', radius: 'number', fill: 'boolean?', pattern: 'string?', patternTile: 'tile?' },
+  line: {
+    points: 'points', x: 'number?', y: 'number?', strokeWidth: 'number?',
+    closed: 'boolean?', fill: 'boolean?', pattern: 'string?', patternTile: 'tile?',
+  },
+  image: {
+    x: 'number', y: 'number', width: 'number', height: 'number', src: 'string?', rawLines: 'bytes[]?',
+    dither: 'string?', brightness: 'number?', contrast: 'number?', gamma: 'number?',
+    cropX: 'number?', cropY: 'number?', cropWidth: 'number?', cropHeight: 'number?'
+  },
+  sprite: { x: 'number', y: 'number', spriteId: 'number', width: 'number?', height: 'number?' },
+  qr: { x: 'number', y: 'number', data: 'string', ec: 'string?', module: 'number?' },
+  barcode: {
+    x: 'number', y: 'number', data: 'string', symbology: 'string?', bar: 'number?', height: 'number?',
+    caption: 'boolean?',
+  },
+  table: {
+    x: 'number', y: 'number', columns: 'numbers', cells: 'cells', border: 'string?', borderWidth: 'number?',
+    padding: 'number?', fontSize: 'number?',
+  }
+};
+
+// Each migration upgrades a document from version N to N + 1
+const MIGRATIONS = {
+  // v1: plain SceneModel.toJSON() output, no formatVersion.
+  // Uint8Arrays were written by JSON.stringify as {"0":n,"1":n,...}.
+  1: (doc) => {
+    const sprites = (doc.sprites || []).map(s => ({
+      ...s,
+      data: s.data && !(s.data instanceof Uint8Array) ? legacyBytes(s.data) : s.data
+    }));
+    const sections = (doc.sections || []).map(section => ({
+      ...section,
+      objects: (section.objects || []).map(obj => (
+        Array.isArray(obj.rawLines)
+          ? { ...obj, rawLines: obj.rawLines.map(legacyBytes) }
+          : obj
+      ))
+    }));
+    return { ...doc, sections, sprites, formatVersion: 2 };
+  },
+
+  // v2 → v3: sections gain branching edges
+  2: (doc) => ({
+    ...doc,
+    sections: (doc.sections || []).map(section => ({ ...section, edges: section.edges || [] })),
+    formatVersion: 3
+  }),
+
+  // v3 → v4: raw var IDs on edges become named variables (var<N>)
+  3: (doc) => {
+    const ids = new Set();
+    (doc.sections || []).forEach(section => (section.edges || []).forEach(edge => {
+      if (edge.type === 'var') ids.add(edge.varId);
+    }));
+    const variables = [...ids].sort((a, b) => a - b).map(id => ({
+      name: `var${id}`, initial: 0, min: 0, max: VAR_VALUE_MAX, description: `Variable ${id} (migrated)`
+    }));
+    const sections = (doc.sections || []).map(section => ({
+      ...section,
+      assignments: section.assignments || [],
+      edges: (section.edges || []).map(edge => {
+        if (edge.type !== 'var') return edge;
+        const { varId, ...rest } = edge;
+        return { ...rest, var: `var${varId}` };
+      })
+    }));
+    return { ...doc, sections, variables, formatVersion: 4 };
+  }
+};
+
+/**
+ * Serialize a SceneModel to .exs text. Throws ValidationError rather than
+ * write a file that parseProject() would reject.
+ */
+export function serializeProject(model) {
+  const doc = {
+    format: FORMAT_ID,
+    formatVersion: FORMAT_VERSION,
+    ...model.toJSON()
+  };
+  validateProject(doc);
+  return JSON.stringify(doc, (key, value) => (
+    value instanceof Uint8Array ? { $bytes: bytesToBase64(value) } : value
+  ), 2);
+}
+
+/**
+ * Parse .exs text, migrate it to the current version and validate it.
+ * Returns a document ready for SceneModel.fromJSON().
+ */
+export function parseProject(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text, (key, value) => (
+      value && typeof value === 'object' && typeof value.$bytes === 'string'
+        ? base64ToBytes(value.$bytes) : value
+    ));
+  } catch (e) {
+    throw new ValidationError(`Not a valid project file: ${e.message}`, { path: '', originalError: e });
+  }
+
+  doc = migrateProject(doc);
+  validateProject(doc);
+  return doc;
+}
+
+/**
+ * Load .exs text into an existing SceneModel
+ */
+export function loadProject(model, text) {
+  const doc = parseProject(text);
+  model.fromJSON(doc);
+  return model;
+}
+
+export function migrateProject(doc) {
+  expect(isPlainObject(doc), '', 'expected a JSON object');
+  if (doc.format !== undefined) {
+    expect(doc.format === FORMAT_ID, 'format', `expected '${FORMAT_ID}'`);
+  }
+
+  let version = doc.formatVersion === undefined ? 1 : doc.formatVersion;
+  expect(Number.isInteger(version) && version >= 1, 'formatVersion', 'expected a positive integer');
+  if (version > FORMAT_VERSION) {
+    throw new ValidationError(
+      `Project was saved by a newer Studio (format ${version}, this Studio reads up to ${FORMAT_VERSION})`,
+      { path: 'formatVersion', version }
+    );
+  }
+
+  while (version < FORMAT_VERSION) {
+    doc = MIGRATIONS[version](doc);
+    version++;
+  }
+  return { ...doc, format: FORMAT_ID, formatVersion: FORMAT_VERSION };
+}
+
+export function validateProject(doc) {
+  expect(typeof doc.title === 'string', 'title', 'expected a string');
+
+  expect(Array.isArray(doc.variables), 'variables', 'expected an array');
+  const variables = new Map();
+  doc.variables.forEach((v, i) => {
+    const path = `variables[${i}]`;
+    validateVariable(v, path);
+    expect(!variables.has(v.name), `${path}.name`, `duplicate variable '${v.name}'`);
+    variables.set(v.name, v);
+  });
+
+  expect(Array.isArray(doc.sections), 'sections', 'expected an array');
+  expect(doc.sections.length > 0, 'sections', 'expected at least one section');
+  const names = new Set();
+  const ids = new Set();
+  doc.sections.forEach((section, i) => {
+    const path = `sections[${i}]`;
+    expect(isPlainObject(section), path, 'expected an object');
+    expect(typeof section.name === 'string' && section.name.length > 0, `${path}.name`, 'expected a non-empty string');
+    expect(!names.has(section.name), `${path}.name`, `duplicate section name '${section.name}'`);
+    names.add(section.name);
+    if (section.feedMode !== undefined) {
+      expect(FEED_MODES.includes(section.feedMode), `${path}.feedMode`, `expected one of ${FEED_MODES.join(', ')}`);
+    }
+    checkField(section.speed, 'number?', `${path}.speed`);
+    checkField(section.maxLines, 'number?', `${path}.maxLines`);
+
+    expect(Array.isArray(section.edges), `${path}.edges`, 'expected an array');
+    section.edges.forEach((edge, j) => validateEdge(edge, `${path}.edges[${j}]`));
+    expect(Array.isArray(section.assignments), `${path}.assignments`, 'expected an array');
+    section.assignments.forEach((a, j) => validateAssignment(a, `${path}.assignments[${j}]`, variables));
+
+    expect(Array.isArray(section.objects), `${path}.objects`, 'expected an array');
+    section.objects.forEach((obj, j) => {
+      const objPath = `${path}.objects[${j}]`;
+      validateObject(obj, objPath);
+      expect(!ids.has(obj.id), `${objPath}.id`, `duplicate object id '${obj.id}'`);
+      ids.add(obj.id);
+    });
+  });
+
+  expect(Array.isArray(doc.sprites), 'sprites', 'expected an array');
+  const spriteIds = new Set();
+  doc.sprites.forEach((sprite, i) => {
+    const path = `sprites[${i}]`;
+    expect(isPlainObject(sprite), path, 'expected an object');
+    expect(Number.isInteger(sprite.id) && sprite.id >= 0 && sprite.id <= 255, `${path}.id`, 'expected an integer 0-255');
+    expect(!spriteIds.has(sprite.id), `${path}.id`, `duplicate sprite id ${sprite.id}`);
+    spriteIds.add(sprite.id);
+    expect(Number.isInteger(sprite.width) && sprite.width >= 1 && sprite.width <= 255, `${path}.width`, 'expected an integer 1-255');
+    expect(Number.isInteger(sprite.height) && sprite.height >= 1 && sprite.height <= 255, `${path}.height`, 'expected an integer 1-255');
+    if (sprite.data !== undefined && sprite.data !== null) {
+      const expected = Math.ceil(sprite.width / 8) * sprite.height;
+      expect(sprite.data instanceof Uint8Array, `${path}.data`, 'expected byte data');
+      expect(sprite.data.length === expected, `${path}.data`, `expected ${expected} bytes, got ${sprite.data.length}`);
+    }
+  });
+}
+
+function validateObject(obj, path) {
+  expect(isPlainObject(obj), path, 'expected an object');
+  expect(typeof obj.id === 'string' && obj.id.length > 0, `${path}.id`, 'expected a non-empty string');
+  const fields = OBJECT_FIELDS[obj.type];
+  expect(!!fields, `${path}.type`, `unknown object type '${obj.type}'`);
+  Object.entries(fields).forEach(([key, spec]) => {
+    checkField(obj[key], spec, `${path}.${key}`);
+  });
+  checkField(obj.rotation, 'number?', `${path}.rotation`);
+  if (obj.type === 'text' && obj.align !== undefined) {
+    expect(TEXT_ALIGN.includes(obj.align), `${path}.align`, `expected one of ${TEXT_ALIGN.join(', ')}`);
+  }
+  if (obj.pattern !== undefined) {
+    expect(FILL_PATTERN_NAMES.includes(obj.pattern), `${path}.pattern`, `expected one of ${FILL_PATTERN_NAMES.join(', ')}`);
+    expect(obj.pattern !== 'custom' || obj.patternTile, `${path}.patternTile`, 'required for the custom pattern');
+  }
+  if (obj.type === 'qr' && obj.ec !== undefined) {
+    expect(QR_EC.includes(obj.ec), `${path}.ec`, `expected one of ${QR_EC.join(', ')}`);
+  }
+  if (obj.type === 'qr' && obj.module !== undefined) {
+    expect(Number.isInteger(obj.module) && obj.module >= 1 && obj.module <= QR_MODULE_MAX,
+      `${path}.module`, `expected an integer 1-${QR_MODULE_MAX}`);
+  }
+  if (obj.type === 'table' && obj.border !== undefined) {
+    expect(TABLE_BORDERS.includes(obj.border), `${path}.border`, `expected one of ${TABLE_BORDERS.join(', ')}`);
+  }
+  if (obj.type === 'barcode' && obj.symbology !== undefined) {
+    expect(BARCODE_SYMBOLOGIES.includes(obj.symbology), `${path}.symbology`, `expected one of ${BARCODE_SYMBOLOGIES.join(', ')}`);
+  }
+  if (obj.type === 'barcode' && obj.bar !== undefined) {
+    expect(Number.isInteger(obj.bar) && obj.bar >= 1 && obj.bar <= BARCODE_BAR_MAX,
+      `${path}.bar`, `expected an integer 1-${BARCODE_BAR_MAX}`);
+  }
+}
+
+function validateVariable(v, path) {
+  expect(isPlainObject(v), path, 'expected an object');
+  expect(isValidVarName(v.name), `${path}.name`, 'expected an identifier that is not a reserved word');
+  ['initial', 'min', 'max'].forEach(key => {
+    expect(isVarValue(v[key]), `${path}.${key}`, `expected an integer 0-${VAR_VALUE_MAX}`);
+  });
+  expect(v.min <= v.max, `${path}.max`, `expected max >= min (${v.min})`);
+  expect(v.initial >= v.min && v.initial <= v.max, `${path}.initial`, `expected a value within ${v.min}-${v.max}`);
+  checkField(v.description, 'string?', `${path}.description`);
+}
+
+function validateAssignment(a, path, variables) {
+  expect(isPlainObject(a), path, 'expected an object');
+  expect(typeof a.var === 'string', `${path}.var`, 'expected a variable name');
+  expect(isVarValue(a.value), `${path}.value`, `expected an integer 0-${VAR_VALUE_MAX}`);
+  const v = variables.get(a.var);
+  if (v) {
+    expect(a.value >= v.min && a.value <= v.max, `${path}.value`, `expected a value within ${v.min}-${v.max}`);
+  }
+}
+
+function validateEdge(edge, path) {
+  expect(isPlainObject(edge), path, 'expected an object');
+  expect(EDGE_TYPES.includes(edge.type), `${path}.type`, `expected one of ${EDGE_TYPES.join(', ')}`);
+  // Targets and variables may dangle after a deletion; compiling reports them
+  const checkTarget = (target, targetPath) => {
+    expect(typeof target === 'string' && target.length > 0, targetPath, 'expected a section name');
+  };
+  const checkOp = () => expect(OPS.includes(edge.op), `${path}.op`, `expected one of ${OPS.join(', ')}`);
+
+  switch (edge.type) {
+    case 'button':
+      expect(Number.isInteger(edge.mask) && edge.mask >= 0 && edge.mask <= 0x3F, `${path}.mask`, 'expected a button mask 0-63');
+      checkTarget(edge.target, `${path}.target`);
+      break;
+    case 'fader':
+      checkOp();
+      expect(Number.isInteger(edge.threshold) && edge.threshold >= 0 && edge.threshold <= FADER_MAX,
+        `${path}.threshold`, `expected an integer 0-${FADER_MAX}`);
+      checkTarget(edge.target, `${path}.target`);
+      break;
+    case 'var':
+      checkOp();
+      expect(typeof edge.var === 'string', `${path}.var`, 'expected a variable name');
+      expect(isVarValue(edge.value), `${path}.value`, `expected an integer 0-${VAR_VALUE_MAX}`);
+      checkTarget(edge.target, `${path}.target`);
+      break;
+    case 'random':
+      expect(Array.isArray(edge.targets) && edge.targets.length > 0, `${path}.targets`, 'expected a non-empty array');
+      edge.targets.forEach((t, k) => {
+        checkTarget(t.target, `${path}.targets[${k}].target`);
+        expect(typeof t.weight === 'number' && t.weight > 0, `${path}.targets[${k}].weight`, 'expected a positive number');
+      });
+      break;
+    case 'goto':
+      checkTarget(edge.target, `${path}.target`);
+      break;
+  }
+}
+
+function checkField(value, spec, path) {
+  const optional = spec.endsWith('?');
+  const type = optional ? spec.slice(0, -1) : spec;
+  if (value === undefined || value === null) {
+    expect(optional, path, 'missing required field');
+    return;
+  }
+  switch (type) {
+    case 'number':
+      expect(typeof value === 'number' && Number.isFinite(value), path, 'expected a finite number');
+      break;
+    case 'string':
+      expect(typeof value === 'string', path, 'expected a string');
+      break;
+    case 'boolean':
+      expect(typeof value === 'boolean', path, 'expected true or false');
+      break;
+    case 'points':
+      expect(Array.isArray(value) && value.length >= 4 && value.length % 2 === 0 &&
+        value.every(v => typeof v === 'number' && Number.isFinite(v)),
+        path, 'expected an even-length array of at least 4 numbers');
+      break;
+    case 'numbers':
+      expect(Array.isArray(value) && value.length >= 1 &&
+        value.every(v => typeof v === 'number' && Number.isFinite(v) && v > 0),
+        path, 'expected a non-empty array of positive numbers');
+      break;
+    case 'cells':
+      expect(Array.isArray(value) && value.length >= 1, path, 'expected a non-empty array of rows');
+      value.forEach((row, i) => expect(Array.isArray(row) && row.every(v => typeof v === 'string'),
+        `${path}[${i}]`, 'expected an array of strings'));
+      break;
+    case 'tile':
+      expect(Array.isArray(value) && value.length === 8 &&
+        value.every(v => Number.isInteger(v) && v >= 0 && v <= 255),
+        path, 'expected 8 bytes (0-255), one per row');
+      break;
+    case 'bytes[]':
+      expect(Array.isArray(value), path, 'expected an array');
+      value.forEach((row, i) => expect(row instanceof Uint8Array, `${path}[${i}]`, 'expected byte data'));
+      break;
+  }
+}
+
+// =====================================================
+// Helpers
+// =====================================================
+function expect(condition, path, message) {
+  if (!condition) {
+    throw new ValidationError(path ? `${path}: ${message}` : message, { path });
+  }
+}
+
+function isVarValue(value) {
+  return Number.isInteger(value) && value >= 0 && value <= VAR_VALUE_MAX;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Uint8Array);
+}
+
+function legacyBytes(value) {
+  if (value instanceof Uint8Array) return value;
+  if (Array.isArray(value)) return new Uint8Array(value);
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value).map(Number).sort((a, b) => a - b);
+    return new Uint8Array(keys.map(k => value[k]));
+  }
+  return value;
+}
+
+function bytesToBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+function base64ToBytes(str) {
+  const bin = atob(str);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,734 @@
+/**
+ * Raster - 1-bit bitmaps and the shape drawing shared by the printout
+ *
+ * Shapes follow the VisualEditor (Konva) geometry, sampled at pixel
+ * centers: strokes are centered on the outline, lines have butt caps.
+ * Text uses the firmware bitmap fonts, and the VisualEditor shows it the
+ * same way.
+ */
+
+import {
+  WIDTH, sizeToFontScale, layoutText, drawBitmapText, registerGlyphs, encodeQR, barcodeSize, drawBarcode
+} from './sdk.js';
+import { CodeGenerator } from './code-generator.js';
+import { MISAKI_GLYPHS } from './fonts/misaki.js';
+
+// The preview, editor and emulator all draw through here
+registerGlyphs(2, MISAKI_GLYPHS);
+
+// Konva defaults used by VisualEditor
+export const SHAPE_STROKE = 2;
+
+export class Bitmap {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.bytesPerRow = Math.ceil(width / 8);
+    this.data = new Uint8Array(this.bytesPerRow * height);
+  }
+
+  get(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return false;
+    return ((this.data[y * this.bytesPerRow + (x >> 3)] >> (7 - (x & 7))) & 1) === 1;
+  }
+
+  set(x, y, on = true) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const i = y * this.bytesPerRow + (x >> 3);
+    const bit = 0x80 >> (x & 7);
+    if (on) this.data[i] |= bit;
+    else this.data[i] &= ~bit;
+  }
+
+  // Set pixels x1..x2-1 on one row
+  span(y, x1, x2) {
+    if (y < 0 || y >= this.height) return;
+    const from = Math.max(0, x1);
+    const to = Math.min(this.width, x2);
+    for (let x = from; x < to; x++) this.set(x, y);
+  }
+
+  row(y) {
+    return this.data.subarray(y * this.bytesPerRow, (y + 1) * this.bytesPerRow);
+  }
+
+  rows() {
+    return Array.from({ length: this.height }, (_, y) => this.row(y));
+  }
+
+  isRowBlank(y) {
+    return this.row(y).every(b => b === 0);
+  }
+
+  /**
+   * OR a packed MSB-first bitmap onto this one at (x, y)
+   */
+  blit(data, w, h, x, y) {
+    const bpr = Math.ceil(w / 8);
+    for (let dy = 0; dy < h; dy++) {
+      for (let dx = 0; dx < w; dx++) {
+        if ((data[dy * bpr + (dx >> 3)] >> (7 - (dx & 7))) & 1) {
+          this.set(x + dx, y + dy);
+        }
+      }
+    }
+  }
+}
+
+// =====================================================
+// Fill patterns - 8x8 halftone tiles
+// =====================================================
+
+// Row bytes, bit 7 = left: the byte FILL_LINE repeats across a line
+export const FILL_PATTERNS = {
+  solid: [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF],
+  checker25: [0x88, 0x22, 0x88, 0x22, 0x88, 0x22, 0x88, 0x22],
+  checker50: [0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55],
+  checker75: [0x77, 0xDD, 0x77, 0xDD, 0x77, 0xDD, 0x77, 0xDD],
+  hatch: [0x11, 0x22, 0x44, 0x88, 0x11, 0x22, 0x44, 0x88],
+  dots: [0x00, 0x60, 0x60, 0x00, 0x00, 0x06, 0x06, 0x00],
+  brick: [0xFF, 0x80, 0x80, 0x80, 0xFF, 0x08, 0x08, 0x08],
+};
+// Names for the properties panel and project files; 'custom' uses patternTile
+export const FILL_PATTERN_NAMES = [...Object.keys(FILL_PATTERNS), 'custom'];
+
+/**
+ * The tile a filled shape prints with, or null for solid black
+ */
+export function fillTile(obj) {
+  const name = obj.pattern || 'solid';
+  const tile = name === 'custom' ? obj.patternTile : FILL_PATTERNS[name];
+  if (!tile || tile.every(b => b === 0xFF)) return null;
+  return tile;
+}
+
+/**
+ * Draw target that only sets the pixels the tile has ink at. Tiles are
+ * anchored to the paper: columns at x, rows at y + dy (dy: the band's
+ * offset), so neighbouring shapes and FILL_LINE rows line up.
+ */
+export function patterned(bitmap, tile, dy = 0) {
+  const ink = (x, y) => (tile[(((y + dy) % 8) + 8) % 8] >> (7 - (x & 7))) & 1;
+  return {
+    width: bitmap.width,
+    height: bitmap.height,
+    set(x, y, on = true) {
+      if (ink(x, y)) bitmap.set(x, y, on);
+    },
+    span(y, x1, x2) {
+      for (let x = Math.max(0, x1); x < Math.min(bitmap.width, x2); x++) this.set(x, y);
+    },
+  };
+}
+
+// =====================================================
+// Shapes (coordinates in receipt pixels)
+// =====================================================
+
+/**
+ * Pixels whose centers fall inside [x, x+w) × [y, y+h)
+ */
+export function fillRect(bitmap, x, y, w, h) {
+  const x1 = Math.round(x);
+  const x2 = Math.round(x + w);
+  const y1 = Math.max(0, Math.round(y));
+  const y2 = Math.min(bitmap.height, Math.round(y + h));
+  for (let py = y1; py < y2; py++) bitmap.span(py, x1, x2);
+}
+
+export function strokeRect(bitmap, x, y, w, h, stroke = SHAPE_STROKE) {
+  const half = stroke / 2;
+  fillRect(bitmap, x - half, y - half, w + stroke, stroke);
+  fillRect(bitmap, x - half, y + h - half, w + stroke, stroke);
+  fillRect(bitmap, x - half, y + half, stroke, h - stroke);
+  fillRect(bitmap, x + w - half, y + half, stroke, h - stroke);
+}
+
+/**
+ * Disc (fill) or ring of width `stroke` centered on the radius
+ */
+export function drawCircle(bitmap, cx, cy, r, fill, stroke = SHAPE_STROKE) {
+  const outer = fill ? r : r + stroke / 2;
+  const inner = fill ? -1 : r - stroke / 2;
+  const y1 = Math.max(0, Math.floor(cy - outer));
+  const y2 = Math.min(bitmap.height - 1, Math.ceil(cy + outer));
+  for (let py = y1; py <= y2; py++) {
+    const dy = py + 0.5 - cy;
+    for (let px = Math.floor(cx - outer); px <= Math.ceil(cx + outer); px++) {
+      const dx = px + 0.5 - cx;
+      const d = Math.sqrt(dx * dx + dy * dy);
+      if (d <= outer && d >= inner) bitmap.set(px, py);
+    }
+  }
+}
+
+/**
+ * One-pixel line (Bresenham), both ends included
+ */
+export function drawPixelLine(bitmap, x1, y1, x2, y2, on) {
+  const dx = Math.abs(x2 - x1);
+  const dy = -Math.abs(y2 - y1);
+  const sx = x1 < x2 ? 1 : -1;
+  const sy = y1 < y2 ? 1 : -1;
+  let err = dx + dy;
+  let x = x1;
+  let y = y1;
+  for (;;) {
+    bitmap.set(x, y, on);
+    if (x === x2 && y === y2) break;
+    const e2 = 2 * err;
+    if (e2 >= dy) { err += dy; x += sx; }
+    if (e2 <= dx) { err += dx; y += sy; }
+  }
+}
+
+/**
+ * Segment of width `stroke` with butt caps. One-dot strokes use
+ * Bresenham between the pixels holding the end points, so shallow lines
+ * stay connected.
+ */
+export function drawLine(bitmap, x1, y1, x2, y2, stroke = SHAPE_STROKE) {
+  if (stroke <= 1) {
+    drawPixelLine(bitmap, Math.floor(x1), Math.floor(y1), Math.floor(x2), Math.floor(y2), true);
+    return;
+  }
+  const half = stroke / 2;
+  const vx = x2 - x1;
+  const vy = y2 - y1;
+  const len2 = vx * vx + vy * vy;
+  const minX = Math.floor(Math.min(x1, x2) - half);
+  const maxX = Math.ceil(Math.max(x1, x2) + half);
+  const minY = Math.max(0, Math.floor(Math.min(y1, y2) - half));
+  const maxY = Math.min(bitmap.height - 1, Math.ceil(Math.max(y1, y2) + half));
+
+  for (let py = minY; py <= maxY; py++) {
+    for (let px = minX; px <= maxX; px++) {
+      const wx = px + 0.5 - x1;
+      const wy = py + 0.5 - y1;
+      if (len2 === 0) {
+        if (Math.abs(wx) <= half && Math.abs(wy) <= half) bitmap.set(px, py);
+        continue;
+      }
+      const t = (wx * vx + wy * vy) / len2;
+      if (t < 0 || t > 1) continue;
+      const dist = Math.abs(wx * vy - wy * vx) / Math.sqrt(len2);
+      if (dist <= half) bitmap.set(px, py);
+    }
+  }
+}
+
+/**
+ * Open or closed polyline through flat [x, y, x, y, ...] points, with
+ * round joins (Konva lineJoin 'round')
+ */
+export function drawPolyline(bitmap, points, { closed = false, stroke = SHAPE_STROKE, dx = 0, dy = 0 } = {}) {
+  const pts = [];
+  for (let i = 0; i + 1 < points.length; i += 2) pts.push([points[i] + dx, points[i + 1] + dy]);
+  if (closed && pts.length > 2) pts.push(pts[0]);
+  for (let i = 0; i + 1 < pts.length; i++) {
+    drawLine(bitmap, pts[i][0], pts[i][1], pts[i + 1][0], pts[i + 1][1], stroke);
+  }
+  if (stroke <= 1) return;
+  const joins = closed ? pts.slice(0, -1) : pts.slice(1, -1);
+  joins.forEach(([x, y]) => drawCircle(bitmap, x, y, stroke / 2, true));
+}
+
+/**
+ * Polygon interior, pixel centers inside by the nonzero rule (as canvas
+ * fill() does)
+ */
+export function fillPolygon(bitmap, points, dx = 0, dy = 0) {
+  const pts = [];
+  for (let i = 0; i + 1 < points.length; i += 2) pts.push([points[i] + dx, points[i + 1] + dy]);
+  if (pts.length < 3) return;
+  const ys = pts.map(p => p[1]);
+  const y1 = Math.max(0, Math.floor(Math.min(...ys)));
+  const y2 = Math.min(bitmap.height - 1, Math.ceil(Math.max(...ys)));
+
+  for (let py = y1; py <= y2; py++) {
+    const cy = py + 0.5;
+    // Edge crossings of this row with their winding direction
+    const crossings = [];
+    pts.forEach(([ax, ay], i) => {
+      const [bx, by] = pts[(i + 1) % pts.length];
+      if ((ay <= cy) === (by <= cy)) return;
+      crossings.push({ x: ax + (cy - ay) * (bx - ax) / (by - ay), dir: by > ay ? 1 : -1 });
+    });
+    crossings.sort((a, b) => a.x - b.x);
+    let winding = 0;
+    crossings.forEach((c, i) => {
+      winding += c.dir;
+      if (winding !== 0 && i + 1 < crossings.length) {
+        // Pixels whose centers lie between this crossing and the next
+        bitmap.span(py, Math.ceil(c.x - 0.5), Math.ceil(crossings[i + 1].x - 0.5));
+      }
+    });
+  }
+}
+
+/**
+ * Lines of a text object as Section.text() lays them out: fontSize (px)
+ * goes through the same mm rounding as the generated .text() call, and
+ * the box is obj.width or runs to the paper edge
+ */
+export function textLayout(obj) {
+  const sizeMm = CodeGenerator.pxToMm(obj.fontSize || 24);
+  return layoutText(String(obj.text), {
+    ...sizeToFontScale(sizeMm),
+    sizeMm,
+    width: textWrapWidth(obj),
+    align: obj.align || 'left',
+    lineSpacing: obj.lineSpacing || 0,
+  });
+}
+
+// Text wraps at its box, or else at the paper edge seen from its x
+function textWrapWidth(obj) {
+  return obj.width || Math.max(1, WIDTH - Math.round(obj.x || 0));
+}
+
+/**
+ * Printed size of a text object: its box when it has a width, else
+ * the ink's extent
+ */
+export function textSize(obj) {
+  const layout = textLayout(obj);
+  return {
+    width: obj.width || Math.max(0, ...layout.lines.map(line => line.x + line.width)),
+    height: layout.height,
+  };
+}
+
+/**
+ * A text object alone in a bitmap of its printed size (editor)
+ */
+export function textBitmap(obj) {
+  const { width, height } = textSize(obj);
+  const bitmap = new Bitmap(Math.max(1, width), Math.max(1, height));
+  drawText(bitmap, obj, 0, 0);
+  return bitmap;
+}
+
+/**
+ * A text object with its top-left at (x, y)
+ */
+export function drawText(bitmap, obj, x, y) {
+  textLayout(obj).lines.forEach(line => {
+    drawFontText(bitmap, line.str, x + line.x, y + line.y, line.baseFont, line.scale);
+  });
+}
+
+/**
+ * One line in a given base font and scale, (x, y) the cell top-left.
+ * Characters the font has no glyph for (Misaki is not bundled) use
+ * fallbackGlyph(), or a cell outline headless, as Paper does.
+ */
+export function drawFontText(bitmap, str, x, y, baseFont, scale) {
+  drawBitmapText((px, py, w, h) => fillRect(bitmap, px, py, w, h),
+    str, Math.round(x), Math.round(y), baseFont, scale,
+    (ch, px, py, w, h) => {
+      const glyph = fallbackGlyph(ch, w, h);
+      if (glyph) bitmap.blit(glyph, w, h, px, py);
+      else strokeRect(bitmap, px + 0.5, py + 0.5, w - 1, h - 1, 1);
+    });
+}
+
+// Fallback glyphs by char and cell size
+const fallbackGlyphs = new Map();
+
+/**
+ * A character drawn with a canvas font fitted to a w x h cell, as packed
+ * rows (MSB first). Null without a canvas.
+ */
+export function fallbackGlyph(ch, w, h) {
+  const key = `${ch}:${w}x${h}`;
+  if (fallbackGlyphs.has(key)) return fallbackGlyphs.get(key);
+  const ctx = createContext(w, h);
+  if (!ctx) return null;
+  ctx.font = `${h}px sans-serif`;
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'center';
+  ctx.fillText(ch, w / 2, h / 2, w);
+  const img = ctx.getImageData(0, 0, w, h).data;
+  const glyph = new Bitmap(w, h);
+  for (let py = 0; py < h; py++) {
+    for (let px = 0; px < w; px++) {
+      if (img[(py * w + px) * 4 + 3] >= 128) glyph.set(px, py);
+    }
+  }
+  fallbackGlyphs.set(key, glyph.data);
+  return glyph.data;
+}
+
+function createContext(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height).getContext('2d', { willReadFrequently: true });
+  }
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas.getContext('2d', { willReadFrequently: true });
+  }
+  return null;
+}
+
+// =====================================================
+// Tables
+// =====================================================
+
+// grid: every rule; outer: the frame only; rows: horizontal rules only
+export const TABLE_BORDERS = ['grid', 'outer', 'rows', 'none'];
+
+/**
+ * A table cell's text as a text object: wrapped to the column width
+ * inside the padding, in the table's font size
+ */
+export function tableCellText(obj, row, col, layout = tableLayout(obj)) {
+  const cells = obj.cells[row] || [];
+  return {
+    type: 'text',
+    text: String(cells[col] ?? ''),
+    fontSize: obj.fontSize || 16,
+    width: Math.max(1, layout.cols[col].width - 2 * layout.padding),
+  };
+}
+
+/**
+ * Geometry of a table object relative to its top-left: column and row
+ * boxes (inside the rules), rule positions and the overall size. Rows are
+ * as tall as their tallest cell; rules are borderWidth dots.
+ */
+export function tableLayout(obj) {
+  const border = obj.border || 'grid';
+  const rule = border === 'none' ? 0 : Math.max(1, Math.round(obj.borderWidth || 1));
+  const padding = Math.max(0, Math.round(obj.padding ?? 4));
+  const lay = (sizes, all, outer) => {
+    const boxes = [];
+    const rules = [];
+    let at = 0;
+    sizes.forEach((size, i) => {
+      if (all || (outer && i === 0)) { rules.push(at); at += rule; }
+      boxes.push({ at, size });
+      at += size;
+    });
+    if (all || outer) { rules.push(at); at += rule; }
+    return { boxes, rules, total: at };
+  };
+
+  const columns = lay(obj.columns.map(w => Math.max(1, Math.round(w))), border === 'grid', border === 'outer');
+  const layout = { rule, padding, cols: columns.boxes.map(b => ({ x: b.at, width: b.size })) };
+  const heights = obj.cells.map((cells, row) => {
+    let h = 0;
+    obj.columns.forEach((_, col) => {
+      h = Math.max(h, textSize(tableCellText(obj, row, col, layout)).height);
+    });
+    return h + 2 * padding;
+  });
+  const rows = lay(heights, border === 'grid' || border === 'rows', border === 'outer');
+  return {
+    ...layout,
+    rows: rows.boxes.map(b => ({ y: b.at, height: b.size })),
+    vRules: columns.rules,
+    hRules: rows.rules,
+    width: columns.total,
+    height: rows.total,
+  };
+}
+
+/**
+ * A table object alone in a bitmap of its printed size (editor)
+ */
+export function tableBitmap(obj) {
+  const { width, height } = tableLayout(obj);
+  const bitmap = new Bitmap(Math.max(1, width), Math.max(1, height));
+  drawTable(bitmap, obj, 0, 0);
+  return bitmap;
+}
+
+/**
+ * A table with its top-left at (x, y): rules, then each cell's text
+ */
+export function drawTable(bitmap, obj, x, y) {
+  const layout = tableLayout(obj);
+  layout.hRules.forEach(ry => fillRect(bitmap, x, y + ry, layout.width, layout.rule));
+  layout.vRules.forEach(rx => fillRect(bitmap, x + rx, y, layout.rule, layout.height));
+  layout.rows.forEach((row, r) => layout.cols.forEach((col, c) => {
+    const cell = tableCellText(obj, r, c, layout);
+    if (cell.text) drawText(bitmap, cell, x + col.x + layout.padding, y + row.y + layout.padding);
+  }));
+}
+
+// =====================================================
+// QR codes and barcodes
+// =====================================================
+
+// Encoded QR symbols by level and data
+const qrSymbols = new Map();
+
+/**
+ * A QR object's modules at `module` whole dots each (Section.qr() rows).
+ * Throws ValidationError when the data does not fit version 40.
+ */
+export function qrBitmap(obj) {
+  const ec = obj.ec || 'M';
+  const key = `${ec}:${obj.data}`;
+  if (!qrSymbols.has(key)) {
+    if (qrSymbols.size >= 64) qrSymbols.clear();
+    qrSymbols.set(key, encodeQR(String(obj.data), ec));
+  }
+  const { size, modules } = qrSymbols.get(key);
+  const m = qrModule(obj);
+  const bitmap = new Bitmap(size * m, size * m);
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) fillRect(bitmap, x * m, y * m, m, m);
+  }));
+  return bitmap;
+}
+
+export function qrModule(obj) {
+  return Math.max(1, Math.round(obj.module || 4));
+}
+
+/**
+ * Section.barcode() options of a barcode object
+ */
+export function barcodeOptions(obj) {
+  return {
+    symbology: obj.symbology || 'code128',
+    bar: obj.bar || 2,
+    height: obj.height || 60,
+    caption: obj.caption !== false,
+  };
+}
+
+/**
+ * A barcode object's bars and caption, as Section.barcode() prints them.
+ * Throws ValidationError for data the symbology cannot encode.
+ */
+export function barcodeBitmap(obj) {
+  const opts = barcodeOptions(obj);
+  const { width, height } = barcodeSize(String(obj.data), opts);
+  const bitmap = new Bitmap(width, height);
+  drawBarcode((x, y, w, h) => fillRect(bitmap, x, y, w, h), String(obj.data), 0, 0, opts);
+  return bitmap;
+}
+
+// =====================================================
+// Scene objects
+// =====================================================
+
+/**
+ * Rows an object can touch, as [top, bottom)
+ */
+export function objectExtent(obj, sprites = new Map()) {
+  const half = SHAPE_STROKE / 2;
+  const angle = objectRotation(obj);
+  if (angle && obj.type === 'line') return objectExtent(rotateLine(obj), sprites);
+  if (angle) {
+    const ys = boxCorners(obj, sprites).map(([, cy]) => cy + (obj.y || 0));
+    return [Math.floor(Math.min(...ys)), Math.ceil(Math.max(...ys))];
+  }
+  switch (obj.type) {
+    case 'text':
+      return [Math.round(obj.y), Math.round(obj.y) + textSize(obj).height];
+    case 'rect':
+      return obj.fill
+        ? [Math.round(obj.y), Math.round(obj.y + obj.height)]
+        : [Math.round(obj.y - half), Math.round(obj.y + obj.height + half)];
+    case 'circle': {
+      const r = obj.radius + (obj.fill ? 0 : half);
+      return [Math.floor(obj.y - r), Math.ceil(obj.y + r) + 1];
+    }
+    case 'line': {
+      const w = (obj.strokeWidth || SHAPE_STROKE) / 2;
+      const ys = obj.points.filter((_, i) => i % 2 === 1).map(y => y + (obj.y || 0));
+      return [Math.floor(Math.min(...ys) - w), Math.ceil(Math.max(...ys) + w) + 1];
+    }
+    case 'image':
+      return [Math.round(obj.y), Math.round(obj.y) + (obj.rawLines ? obj.rawLines.length : 0)];
+    case 'qr':
+      return [Math.round(obj.y), Math.round(obj.y) + qrBitmap(obj).height];
+    case 'barcode':
+      return [Math.round(obj.y), Math.round(obj.y) + barcodeBitmap(obj).height];
+    case 'table':
+      return [Math.round(obj.y), Math.round(obj.y) + tableLayout(obj).height];
+    case 'sprite': {
+      // Sprites print at their defined size whatever the editor box is
+      const spr = sprites.get(obj.spriteId);
+      return [Math.round(obj.y), Math.round(obj.y) + (spr ? spr.height : 0)];
+    }
+    default:
+      return [0, 0];
+  }
+}
+
+/**
+ * Draw a scene object. `offsetY` shifts it up (band rendering);
+ * `sprites` is the model's sprite map.
+ */
+export function drawObject(bitmap, obj, { offsetY = 0, sprites = new Map() } = {}) {
+  const angle = objectRotation(obj);
+  if (angle && obj.type === 'line') {
+    drawObject(bitmap, rotateLine(obj), { offsetY, sprites });
+    return;
+  }
+  if (angle) {
+    drawRotated(bitmap, obj, offsetY, sprites);
+    return;
+  }
+  const y = (obj.y || 0) - offsetY;
+  // Filled shapes print their halftone tile, if any
+  const tile = obj.fill ? fillTile(obj) : null;
+  const fillTarget = tile ? patterned(bitmap, tile, offsetY) : bitmap;
+  switch (obj.type) {
+    case 'text':
+      drawText(bitmap, obj, Math.round(obj.x), y);
+      break;
+    case 'rect':
+      if (obj.fill) fillRect(fillTarget, obj.x, y, obj.width, obj.height);
+      else strokeRect(bitmap, obj.x, y, obj.width, obj.height);
+      break;
+    case 'circle':
+      drawCircle(obj.fill ? fillTarget : bitmap, obj.x, y, obj.radius, obj.fill);
+      break;
+    case 'line':
+      // Points are relative to the node: dragging moves x/y, not points
+      if (obj.closed && obj.fill) {
+        fillPolygon(fillTarget, obj.points, obj.x || 0, y);
+      } else {
+        drawPolyline(bitmap, obj.points, {
+          closed: !!obj.closed, stroke: obj.strokeWidth || SHAPE_STROKE, dx: obj.x || 0, dy: y,
+        });
+      }
+      break;
+    case 'image':
+      // rawLines: one packed MSB-first row per line, left edge at obj.x
+      (obj.rawLines || []).forEach((row, dy) => {
+        bitmap.blit(row, row.length * 8, 1, Math.round(obj.x), Math.round(y) + dy);
+      });
+      break;
+    case 'table':
+      drawTable(bitmap, obj, Math.round(obj.x), Math.round(y));
+      break;
+    case 'qr':
+    case 'barcode': {
+      const symbol = obj.type === 'qr' ? qrBitmap(obj) : barcodeBitmap(obj);
+      bitmap.blit(symbol.data, symbol.width, symbol.height, Math.round(obj.x), Math.round(y));
+      break;
+    }
+    case 'sprite': {
+      const spr = sprites.get(obj.spriteId);
+      if (spr && spr.data) bitmap.blit(spr.data, spr.width, spr.height, Math.round(obj.x), Math.round(y));
+      break;
+    }
+  }
+}
+
+// =====================================================
+// Rotation (Konva: clockwise degrees about the node's x, y)
+// =====================================================
+
+/**
+ * Rotation in degrees [0, 360) that changes how an object prints
+ * (circles turn about their center, so never)
+ */
+export function objectRotation(obj) {
+  if (obj.type === 'circle') return 0;
+  return (((obj.rotation || 0) % 360) + 360) % 360;
+}
+
+function rotatePoint(x, y, angle) {
+  const r = angle * Math.PI / 180;
+  return [x * Math.cos(r) - y * Math.sin(r), x * Math.sin(r) + y * Math.cos(r)];
+}
+
+// Lines rotate exactly: fold the rotation into the points
+function rotateLine(obj) {
+  const angle = objectRotation(obj);
+  const points = [];
+  for (let i = 0; i + 1 < obj.points.length; i += 2) {
+    points.push(...rotatePoint(obj.points[i], obj.points[i + 1], angle));
+  }
+  return { ...obj, points, rotation: 0 };
+}
+
+// Upright ink box relative to (x, y): [left, top, right, bottom]
+function uprightBox(obj, sprites) {
+  const half = SHAPE_STROKE / 2;
+  switch (obj.type) {
+    case 'text': {
+      const { width, height } = textSize(obj);
+      return [0, 0, width, height];
+    }
+    case 'rect':
+      return obj.fill
+        ? [0, 0, obj.width, obj.height]
+        : [-half, -half, obj.width + half, obj.height + half];
+    case 'image':
+      return [0, 0, obj.width, obj.rawLines ? obj.rawLines.length : 0];
+    case 'qr':
+    case 'barcode': {
+      const { width, height } = obj.type === 'qr' ? qrBitmap(obj) : barcodeBitmap(obj);
+      return [0, 0, width, height];
+    }
+    case 'table': {
+      const { width, height } = tableLayout(obj);
+      return [0, 0, width, height];
+    }
+    case 'sprite': {
+      const spr = sprites.get(obj.spriteId);
+      return [0, 0, spr ? spr.width : 0, spr ? spr.height : 0];
+    }
+    default:
+      return [0, 0, 0, 0];
+  }
+}
+
+// The upright box's corners after rotation, relative to (x, y)
+function boxCorners(obj, sprites) {
+  const [l, t, r, b] = uprightBox(obj, sprites);
+  const angle = objectRotation(obj);
+  // Rounded so 90° turns don't spill a row through float error
+  return [[l, t], [r, t], [r, b], [l, b]].map(([cx, cy]) =>
+    rotatePoint(cx, cy, angle).map(v => Math.round(v * 1e6) / 1e6));
+}
+
+/**
+ * Draw the object upright, then map every destination pixel center back
+ * into that bitmap (nearest pixel)
+ */
+function drawRotated(bitmap, obj, offsetY, sprites) {
+  const [l, t, r, b] = uprightBox(obj, sprites);
+  const left = Math.floor(l);
+  const top = Math.floor(t);
+  const upright = new Bitmap(Math.max(1, Math.ceil(r) - left), Math.max(1, Math.ceil(b) - top));
+  // The copy sits at -left, so text keeps the wrap width of its real x
+  const copy = { ...obj, x: -left, y: -top, rotation: 0 };
+  if (obj.type === 'text') copy.width = textWrapWidth(obj);
+  drawObject(upright, copy, { sprites });
+
+  const ox = obj.x || 0;
+  const oy = (obj.y || 0) - offsetY;
+  const corners = boxCorners(obj, sprites);
+  const xs = corners.map(([cx]) => cx + ox);
+  const ys = corners.map(([, cy]) => cy + oy);
+  const angle = objectRotation(obj);
+  const y1 = Math.max(0, Math.floor(Math.min(...ys)));
+  const y2 = Math.min(bitmap.height, Math.ceil(Math.max(...ys)));
+  const x1 = Math.max(0, Math.floor(Math.min(...xs)));
+  const x2 = Math.min(bitmap.width, Math.ceil(Math.max(...xs)));
+  for (let py = y1; py < y2; py++) {
+    for (let px = x1; px < x2; px++) {
+      const [ux, uy] = rotatePoint(px + 0.5 - ox, py + 0.5 - oy, -angle);
+      if (upright.get(Math.floor(ux) - left, Math.floor(uy) - top)) bitmap.set(px, py);
+    }
+  }
+}
+
+/**
+ * A full-width band of the receipt
+ */
+export function createBand(height) {
+  return new Bitmap(WIDTH, height);
+}
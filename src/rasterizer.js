@@ -0,0 +1,42 @@
+/**
+ * Rasterizer - A SceneModel as the scanlines the printer will print
+ *
+ * The model is compiled exactly as for printing (compileModel) and the PGP
+ * stream is painted on an SDK Paper, the printer model the emulator uses
+ * too. Sections are printed once each, in order; jumps and waits are not
+ * followed.
+ */
+
+import { PGP, Paper } from './sdk.js';
+import { compileModel } from './printer.js';
+import { fallbackGlyph } from './raster.js';
+
+/**
+ * Returns { bytes, lines, sections: [{ name, top, bottom }] }: the PGP
+ * stream, one Uint8Array(BPL) per scanline, and the rows each section
+ * printed (bottom exclusive). Throws SDK errors from compiling.
+ */
+export function rasterizeModel(model) {
+  const { bytes, sections } = compileModel(model).compileWithSourceMap();
+  const paper = new Paper({ missingGlyph: fallbackGlyph });
+  const ranges = sections.map(s => ({ name: s.id, start: s.start, end: s.end, top: null, bottom: null }));
+
+  PGP.decode(bytes).commands.forEach(c => {
+    const range = ranges.find(r => c.offset >= r.start && c.offset < r.end);
+    if (range && range.top === null) range.top = paper.cursor;
+    paper.paint(c);
+    if (range) range.bottom = paper.cursor;
+  });
+
+  // A section that printed nothing sits where the previous one ended
+  let cursor = 0;
+  return {
+    bytes,
+    lines: paper.lines,
+    sections: ranges.map(({ name, top, bottom }) => {
+      if (top === null) return { name, top: cursor, bottom: cursor };
+      cursor = bottom;
+      return { name, top, bottom };
+    }),
+  };
+}
@@ -1,7 +1,23 @@
 // =====================================================
-// ExScroller Game SDK v2.5.0.2026.0207
+// ExScroller Game SDK v2.18.0.2026.1019
 // Thermal printer game development framework
 // Supports: sprites, offline branching, native Japanese text, RLE compression
+// v2.18.0: Barcodes - Code 128 / EAN-13 / Code 39, Section.barcode()
+// v2.17.0: QR codes - encodeQR() byte-mode encoder, Section.qr()
+// v2.16.0: text() wraps (width, Japanese line breaking), aligns and spaces lines
+// v2.15.0: Paper - prints decoded PGP commands; game.preview() renders the compiled stream
+// v2.14.0: Bitmap fonts - static renders use the firmware glyphs, drawBitmapText()
+// v2.13.1: defineSprite() validates id, size and data length
+// v2.13.0: Atkinson / Bayer / threshold dithering, adjustTone(), ditherImage()
+// v2.12.0: game.stop() cancels a print in progress (sends STOP), send gates
+// v2.11.0: Input events - printer.on('buttondown' | 'buttonup' | 'fader' | 'sync')
+// v2.10.0: Flow-controlled sending - READY/ACK/NAK credits, timeouts, retransmit
+// v2.9.0: Pluggable transports - Web Serial, WebSocket, Node serial, loopback
+// v2.8.0: PGP.decode() stream disassembler, game.compileWithSourceMap()
+// v2.7.0: String labels + section IDs as jump targets, game.symbols()
+// v2.6.0: Named variables - game.defineVar() + compile-time var ID allocation
+// v2.5.2: Section.stop() ends an offline program from inside a section
+// v2.5.1: Optional y offset for text() / rect() via opts.y
 // v2.5.0: Multi-button support (A/B/X/Y/L/R) + Fader input
 // v2.4.1: Fix CJK detection - box drawing chars now use ASCII font, not Misaki
 // =====================================================
@@ -21,6 +37,9 @@ const BTN = {
   ANY: 0x3F,
 };
 
+// Fader: 12-bit ADC
+const FADER_MAX = 4095;
+
 // Feed modes
 const FEED_MODE = {
   AUTO: 0,    // Automatic feed at set speed
@@ -28,6 +47,13 @@ const FEED_MODE = {
   FADER: 2,   // Fader controls feed direction/speed
 };
 
+// Labels are 16-bit IDs on the wire
+const LABEL_MAX = 0xFFFF;
+
+// Firmware variables: 256 slots of unsigned 16-bit values
+const VAR_COUNT = 256;
+const VAR_VALUE_MAX = 0xFFFF;
+
 // =====================================================
 // Error Classes
 // =====================================================
@@ -61,6 +87,13 @@ class ValidationError extends SDKError {
   }
 }
 
+class CancelledError extends SDKError {
+  constructor(message = 'Print cancelled', context = {}) {
+    super('CANCELLED', message, context);
+    this.name = 'CancelledError';
+  }
+}
+
 const FONT_HEIGHTS = [9, 16, 18, 34];
 const FONT_CHAR_W = [6, 12, 9, 18];
 const FONT_PX = [7, 14, 16, 32];
@@ -92,6 +125,12 @@ function encodeFontByte(baseFont, scale) {
   return baseFont === 0 ? (scale - 1) : (2 + scale - 1);
 }
 
+// Decode a PGP font byte back to baseFont + scale
+function decodeFontByte(font) {
+  if (font < 4) return { baseFont: font < 2 ? 0 : 1, scale: (font & 1) + 1 };
+  return { baseFont: font & 0x03, scale: font >> 2 };
+}
+
 // Get pixel height for baseFont + scale
 function getFontHeight(baseFont, scale) {
   return BASE_FONT_PX[baseFont] * scale + 2; // +2 for line spacing
@@ -108,6 +147,733 @@ function hasCJK(str) {
   return /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FFF\u3400-\u4DBF\uFF65-\uFF9F]/.test(str);
 }
 
+// =====================================================
+// Bitmap Fonts - the firmware's glyphs, for previews
+// =====================================================
+// Glyphs are drawn into cells of getFontCharW() x getFontHeight(): one dot
+// of spacing to the right, glyph top one dot below the cell top, and every
+// glyph dot becomes a scale x scale block - the same way the printer does.
+
+// 5x7: 5 column bytes per glyph (bit 0 = top row), ' ' to '~'
+const FONT_5X7_DATA = [
+  '000000000000005f00000007000700147f147f14242a7f2a12231308646236495522500005030000', //  !"#$%&'
+  '001c2241000041221c0014083e081408083e08080050300000080808080800606000002010080402', // ()*+,-./
+  '3e5149453e00427f400042615149462141454b311814127f1027454545393c4a4949300171090503', // 01234567
+  '3649494936064949291e003636000000563600000814224100141414141400412214080201510906', // 89:;<=>?
+  '324979413e7e1111117e7f494949363e414141227f4141221c7f494949417f090909013e4149497a', // @ABCDEFG
+  '7f0808087f00417f41002040413f017f081422417f404040407f020c027f7f0408107f3e4141413e', // HIJKLMNO
+  '7f090909063e4151215e7f09192946464949493101017f01013f4040403f1f2040201f3f4038403f', // PQRSTUVW
+  '631408146307087008076151494543007f41410002040810200041417f0004020102044040404040', // XYZ[\]^_
+  '000102040020545454787f484444383844444420384444487f3854545418087e0901020c5252523e', // `abcdefg
+  '7f0804047800447d40002040443d007f1028440000417f40007c041804787c080404783844444438', // hijklmno
+  '7c14141408081414187c7c080404084854545420043f4440203c4040207c1c2040201c3c4030403c', // pqrstuvw
+  '44281028440c5050503c4464544c44000836410000007f000000413608000804081008', // xyz{|}~
+].join('');
+
+// 8x16: 16 row bytes per glyph (bit 7 = left column), ' ' to '~'
+const FONT_8X16_DATA = [
+  '000000000000000000000000000000000000183c3c3c18181800181800000000', //   !
+  '006666662400000000000000000000000000006c6cfe6c6c6cfe6c6c00000000', // " #
+  '18187cc6c2c07c060686c67c1818000000000000c2c60c183060c68600000000', // $ %
+  '0000386c6c3876dccccccc760000000000303030600000000000000000000000', // & '
+  '00000c18303030303030180c00000000000030180c0c0c0c0c0c183000000000', // ( )
+  '0000000000663cff3c66000000000000000000000018187e1818000000000000', // * +
+  '0000000000000000001818183000000000000000000000fe0000000000000000', // , -
+  '000000000000000000001818000000000000000002060c183060c08000000000', // . /
+  '0000386cc6c6d6d6c6c66c380000000000001838781818181818187e00000000', // 0 1
+  '00007cc6060c183060c0c6fe0000000000007cc606063c060606c67c00000000', // 2 3
+  '00000c1c3c6cccfe0c0c0c1e000000000000fec0c0c0fc060606c67c00000000', // 4 5
+  '00003860c0c0fcc6c6c6c67c000000000000fec606060c183030303000000000', // 6 7
+  '00007cc6c6c67cc6c6c6c67c0000000000007cc6c6c67e0606060c7800000000', // 8 9
+  '0000000018180000001818000000000000000000181800000018183000000000', // : ;
+  '000000060c18306030180c060000000000000000007e00007e00000000000000', // < =
+  '0000006030180c060c1830600000000000007cc6c60c18181800181800000000', // > ?
+  '0000007cc6c6dedededcc07c00000000000010386cc6c6fec6c6c6c600000000', // @ A
+  '0000fc6666667c66666666fc0000000000003c66c2c0c0c0c0c2663c00000000', // B C
+  '0000f86c6666666666666cf8000000000000fe6662687868606266fe00000000', // D E
+  '0000fe6662687868606060f00000000000003c66c2c0c0dec6c6663a00000000', // F G
+  '0000c6c6c6c6fec6c6c6c6c60000000000003c18181818181818183c00000000', // H I
+  '00001e0c0c0c0c0ccccccc78000000000000e666666c78786c6666e600000000', // J K
+  '0000f06060606060606266fe000000000000c6eefefed6c6c6c6c6c600000000', // L M
+  '0000c6e6f6fedecec6c6c6c60000000000007cc6c6c6c6c6c6c6c67c00000000', // N O
+  '0000fc6666667c60606060f00000000000007cc6c6c6c6c6c6d6de7c0c0e0000', // P Q
+  '0000fc6666667c6c666666e60000000000007cc6c660380c06c6c67c00000000', // R S
+  '00007e7e5a1818181818183c000000000000c6c6c6c6c6c6c6c6c67c00000000', // T U
+  '0000c6c6c6c6c6c6c66c3810000000000000c6c6c6c6d6d6d6feee6c00000000', // V W
+  '0000c6c66c7c38387c6cc6c6000000000000666666663c181818183c00000000', // X Y
+  '0000fec6860c183060c2c6fe0000000000003c30303030303030303c00000000', // Z [
+  '00000080c0e070381c0e06020000000000003c0c0c0c0c0c0c0c0c3c00000000', // \ ]
+  '10386cc600000000000000000000000000000000000000000000000000ff0000', // ^ _
+  '303018000000000000000000000000000000000000780c7ccccccc7600000000', // ` a
+  '0000e06060786c666666667c0000000000000000007cc6c0c0c0c67c00000000', // b c
+  '00001c0c0c3c6ccccccccc760000000000000000007cc6fec0c0c67c00000000', // d e
+  '00001c36323078303030307800000000000000000076cccccccccc7c0ccc7800', // f g
+  '0000e060606c7666666666e60000000000001818003818181818183c00000000', // h i
+  '00000606000e06060606060666663c000000e06060666c78786c66e600000000', // j k
+  '00003818181818181818183c000000000000000000ecfed6d6d6d6c600000000', // l m
+  '0000000000dc6666666666660000000000000000007cc6c6c6c6c67c00000000', // n o
+  '0000000000dc66666666667c6060f000000000000076cccccccccc7c0c0c1e00', // p q
+  '0000000000dc7666606060f00000000000000000007cc660380cc67c00000000', // r s
+  '0000103030fc30303030361c000000000000000000cccccccccccc7600000000', // t u
+  '000000000066666666663c18000000000000000000c6c6d6d6d6fe6c00000000', // v w
+  '0000000000c66c3838386cc6000000000000000000c6c6c6c6c6c67e060cf800', // x y
+  '0000000000fecc183060c6fe0000000000000e18181870181818180e00000000', // z {
+  '000018181818181818181818000000000000701818180e181818187000000000', // | }
+  '0076dc00000000000000000000000000', // ~
+].join('');
+
+// Parsed glyphs per base font: char -> array of row bytes (bit 7 = left)
+const GLYPHS = [null, null, new Map()];
+
+function parseGlyphs(baseFont) {
+  if (GLYPHS[baseFont]) return GLYPHS[baseFont];
+  const map = new Map();
+  const bytes = baseFont === 0 ? 5 : 16;
+  const hex = baseFont === 0 ? FONT_5X7_DATA : FONT_8X16_DATA;
+  for (let c = 0; c < 95; c++) {
+    const cell = [];
+    for (let i = 0; i < bytes; i++) {
+      cell.push(parseInt(hex.substr((c * bytes + i) * 2, 2), 16));
+    }
+    if (baseFont === 0) {
+      // Columns (bit 0 = top) to rows (bit 7 = left)
+      const rows = [];
+      for (let y = 0; y < 7; y++) {
+        rows.push(cell.reduce((row, col, x) => row | (((col >> y) & 1) << (7 - x)), 0));
+      }
+      map.set(String.fromCharCode(32 + c), rows);
+    } else {
+      map.set(String.fromCharCode(32 + c), cell);
+    }
+  }
+  GLYPHS[baseFont] = map;
+  return map;
+}
+
+// Add or replace glyphs: { char: [row bytes, bit 7 = left] }. Studio
+// registers the Misaki 8x8 set from src/fonts/misaki.js.
+function registerGlyphs(baseFont, glyphs) {
+  if (!BASE_FONT_PX[baseFont]) {
+    throw new ValidationError(`Unknown base font ${baseFont}`, { baseFont });
+  }
+  const map = parseGlyphs(baseFont);
+  for (const [ch, rows] of Object.entries(glyphs)) {
+    map.set(ch, Array.from(rows));
+  }
+}
+
+// Row bytes for one character, or null when the font has no glyph for it.
+// Misaki falls back to the 5x7 glyphs for ASCII.
+function getGlyph(baseFont, ch) {
+  const glyph = parseGlyphs(baseFont === 2 ? 2 : baseFont).get(ch);
+  if (glyph) return glyph;
+  return baseFont === 2 ? parseGlyphs(0).get(ch) || null : null;
+}
+
+// The font the printer actually uses for a text block: CJK switches to
+// Misaki, re-deriving the scale from the size in mm when there is one
+function fontForText(str, baseFont, scale, sizeMm = null) {
+  if (!hasCJK(str)) return { baseFont, scale };
+  if (sizeMm !== null && sizeMm !== undefined) return sizeToFontScale(sizeMm, true);
+  return { baseFont: 2, scale };
+}
+
+function fontForSize(str, sizeMm) {
+  const fs = sizeToFontScale(sizeMm);
+  return fontForText(str, fs.baseFont, fs.scale, sizeMm);
+}
+
+// Size of one line of text in dots
+function measureText(str, baseFont, scale) {
+  return {
+    width: Array.from(str).length * getFontCharW(baseFont, scale),
+    height: getFontHeight(baseFont, scale),
+  };
+}
+
+// Draw one line with plot(x, y, w, h) per ink block. (x, y) is the cell
+// top-left. Characters without a glyph go to onMissing(ch, x, y, w, h)
+// with the cell box, if given. Returns the x after the last cell.
+function drawBitmapText(plot, str, x, y, baseFont, scale, onMissing = null) {
+  const cw = getFontCharW(baseFont, scale);
+  for (const ch of str) {
+    const glyph = getGlyph(baseFont, ch);
+    if (glyph) {
+      glyph.forEach((row, gy) => {
+        for (let gx = 0; gx < 8; gx++) {
+          if ((row >> (7 - gx)) & 1) plot(x + gx * scale, y + 1 + gy * scale, scale, scale);
+        }
+      });
+    } else if (onMissing && ch !== ' ') {
+      onMissing(ch, x, y + 1, BASE_FONT_W[baseFont] * scale, BASE_FONT_PX[baseFont] * scale);
+    }
+    x += cw;
+  }
+  return x;
+}
+
+// =====================================================
+// Text Layout - wrapping and alignment in firmware metrics
+// =====================================================
+const TEXT_ALIGN = ['left', 'center', 'right'];
+
+// Japanese line breaking (kinsoku): no line starts with these...
+const NO_LINE_START = new Set(Array.from(
+  '、。，．・：；？！ー～…‥）〕］｝〉》」』】〙〗〟’”ゝゞヽヾ々' +
+  'ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ,.:;?!)]}'
+));
+// ...and none ends with these
+const NO_LINE_END = new Set(Array.from('（〔［｛〈《「『【〘〖〝‘“([{'));
+
+function isWideChar(ch) {
+  return /[\u3000-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uFF00-\uFFEF]/.test(ch);
+}
+
+// A line may break after a space, or between wide (CJK) characters
+function canBreakBefore(chars, i) {
+  const prev = chars[i - 1];
+  const next = chars[i];
+  if (next === ' ') return false;
+  if (prev === ' ') return true;
+  if (NO_LINE_START.has(next) || NO_LINE_END.has(prev)) return false;
+  return isWideChar(prev) || isWideChar(next);
+}
+
+// Greedy wrap of one paragraph; measure(str) is its width in dots.
+// A word longer than the line is broken where it overflows.
+function wrapParagraph(str, maxWidth, measure) {
+  const chars = Array.from(str);
+  const lines = [];
+  let start = 0;
+  while (start < chars.length) {
+    let end = start + 1;
+    while (end < chars.length && measure(chars.slice(start, end + 1).join('').trimEnd()) <= maxWidth) end++;
+    if (end < chars.length) {
+      let brk = end;
+      while (brk > start && !canBreakBefore(chars, brk)) brk--;
+      if (brk > start) end = brk;
+    }
+    lines.push(chars.slice(start, end).join('').trimEnd());
+    start = end;
+    while (chars[start] === ' ') start++;
+  }
+  return lines.length > 0 ? lines : [''];
+}
+
+// Wrap text at '\n' and at `width` dots and align it in that box. Each
+// line gets the font TEXT will use for it (CJK lines switch to Misaki).
+// opts: baseFont, scale, sizeMm, width, align, lineSpacing (extra dots)
+// Returns { width, height, lines: [{ str, x, y, width, baseFont, scale }] }
+// with x and y relative to the box.
+function layoutText(str, opts) {
+  const { baseFont, scale, sizeMm = null, width, align = 'left', lineSpacing = 0 } = opts;
+  if (!TEXT_ALIGN.includes(align)) {
+    throw new ValidationError(`Text align must be one of ${TEXT_ALIGN.join(', ')}`, { align });
+  }
+  if (!(width >= 1)) throw new ValidationError('Text width must be at least 1 dot', { width });
+
+  const fontOf = (line) => fontForText(line, baseFont, scale, sizeMm);
+  const measure = (line) => {
+    const f = fontOf(line);
+    return Array.from(line).length * getFontCharW(f.baseFont, f.scale);
+  };
+
+  const lines = [];
+  let y = 0;
+  String(str).split('\n').forEach(paragraph => {
+    wrapParagraph(paragraph, width, measure).forEach(line => {
+      const f = fontOf(line);
+      const w = measure(line);
+      const free = Math.max(0, width - w);
+      const x = align === 'center' ? Math.floor(free / 2) : align === 'right' ? free : 0;
+      if (lines.length > 0) y += lineSpacing;
+      lines.push({ str: line, x, y, width: w, baseFont: f.baseFont, scale: f.scale });
+      y += getFontHeight(f.baseFont, f.scale);
+    });
+  });
+  return { width, height: y, lines };
+}
+
+// =====================================================
+// QR Code - byte-mode encoder (ISO/IEC 18004), versions 1-40
+// =====================================================
+const QR_EC = ['L', 'M', 'Q', 'H'];
+// Error correction level -> 2-bit code in the format information
+const QR_EC_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+// Per level, indexed by version (1-40): EC codewords per block...
+const QR_EC_CODEWORDS = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+// ...and number of blocks
+const QR_EC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+// Largest module size in dots
+const QR_MODULE_MAX = 16;
+
+// Modules left for codewords once the function patterns are placed
+function _qrRawModules(ver) {
+  let n = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const align = Math.floor(ver / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if (ver >= 7) n -= 36;
+  }
+  return n;
+}
+
+function _qrDataCodewords(ver, ec) {
+  return Math.floor(_qrRawModules(ver) / 8) - QR_EC_CODEWORDS[ec][ver] * QR_EC_BLOCKS[ec][ver];
+}
+
+function _qrAlignmentPositions(ver) {
+  if (ver === 1) return [];
+  const count = Math.floor(ver / 7) + 2;
+  const size = ver * 4 + 17;
+  const step = Math.floor((ver * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let pos = size - 7; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+  return positions;
+}
+
+// GF(256) multiply, reducing by x^8 + x^4 + x^3 + x^2 + 1
+function _gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// Reed-Solomon EC codewords of `data` for a generator of `degree`
+function _rsRemainder(data, degree) {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = _gfMul(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = _gfMul(root, 0x02);
+  }
+  const result = new Array(degree).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= _gfMul(coef, factor); });
+  }
+  return result;
+}
+
+// Split data into blocks, add EC to each and interleave
+function _qrCodewords(data, ver, ec) {
+  const numBlocks = QR_EC_BLOCKS[ec][ver];
+  const eccLen = QR_EC_CODEWORDS[ec][ver];
+  const raw = Math.floor(_qrRawModules(ver) / 8);
+  const numShort = numBlocks - raw % numBlocks;
+  const shortLen = Math.floor(raw / numBlocks);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+    k += dat.length;
+    const ecc = _rsRemainder(dat, eccLen);
+    if (i < numShort) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+  const out = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks have a padding byte where the long ones have data
+      if (i !== shortLen - eccLen || j >= numShort) out.push(block[i]);
+    });
+  }
+  return out;
+}
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+];
+
+// Penalty score of a finished symbol (lower scans better)
+function _qrPenalty(m) {
+  const size = m.length;
+  let score = 0;
+  const line = (get) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && get(i) === get(i - 1)) { run++; continue; }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+    // Finder-like 1:1:3:1:1 with four light modules on one side
+    for (let i = 0; i + 11 <= size; i++) {
+      const s = [];
+      for (let k = 0; k < 11; k++) s.push(get(i + k));
+      const p = s.join('');
+      if (p === '10111010000' || p === '00001011101') score += 40;
+    }
+  };
+  for (let y = 0; y < size; y++) line(x => m[y][x]);
+  for (let x = 0; x < size; x++) line(y => m[y][x]);
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      dark += m[y][x];
+      if (x + 1 < size && y + 1 < size) {
+        const c = m[y][x];
+        if (m[y][x + 1] === c && m[y + 1][x] === c && m[y + 1][x + 1] === c) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+// Encode a string (as UTF-8 bytes) into the smallest version that holds it
+// at error correction level `ec`. Returns { version, size, modules } with
+// modules[y][x] = 1 for a dark module (no quiet zone).
+function encodeQR(str, ec = 'M') {
+  if (!QR_EC.includes(ec)) {
+    throw new ValidationError(`QR error correction must be one of ${QR_EC.join(', ')}`, { ec });
+  }
+  const bytes = Array.from(new TextEncoder().encode(String(str)));
+  let ver = 1;
+  const countBits = (v) => (v <= 9 ? 8 : 16);
+  while (ver <= 40 && 4 + countBits(ver) + bytes.length * 8 > _qrDataCodewords(ver, ec) * 8) ver++;
+  if (ver > 40) {
+    throw new ValidationError(`QR data too long for error correction ${ec}`, { length: bytes.length, ec });
+  }
+
+  // Byte mode segment, terminator and padding
+  const bits = [];
+  const put = (value, n) => { for (let i = n - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  put(0x4, 4);
+  put(bytes.length, countBits(ver));
+  bytes.forEach(b => put(b, 8));
+  const capacity = _qrDataCodewords(ver, ec) * 8;
+  put(0, Math.min(4, capacity - bits.length));
+  put(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) put(pad, 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+
+  // Function patterns
+  const size = ver * 4 + 17;
+  const m = Array.from({ length: size }, () => new Uint8Array(size));
+  const fixed = Array.from({ length: size }, () => new Uint8Array(size));
+  const set = (x, y, dark) => { m[y][x] = dark ? 1 : 0; fixed[y][x] = 1; };
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const align = _qrAlignmentPositions(ver);
+  const last = align.length - 1;
+  align.forEach((ax, i) => align.forEach((ay, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  const drawFormat = (mask) => {
+    const value = (QR_EC_BITS[ec] << 3) | mask;
+    let rem = value;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const f = ((value << 10) | rem) ^ 0x5412;
+    const bit = (i) => (f >>> i) & 1;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, 1);
+  };
+  drawFormat(0);
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const v = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, (v >>> i) & 1);
+      set(b, a, (v >>> i) & 1);
+    }
+  }
+
+  // Codewords in the zigzag, two columns at a time from the bottom right
+  const codewords = _qrCodewords(data, ver, ec);
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (fixed[y][x] || i >= codewords.length * 8) continue;
+        m[y][x] = (codewords[i >>> 3] >>> (7 - (i & 7))) & 1;
+        i++;
+      }
+    }
+  }
+
+  // Keep the mask with the lowest penalty
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!fixed[y][x] && QR_MASKS[mask](x, y)) m[y][x] ^= 1;
+      }
+    }
+  };
+  let best = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    drawFormat(mask);
+    const score = _qrPenalty(m);
+    if (score < bestScore) { best = mask; bestScore = score; }
+    applyMask(mask);
+  }
+  applyMask(best);
+  drawFormat(best);
+  return { version: ver, size, modules: m };
+}
+
+// A QR code as scanlines: `module` dots per module, left edge at x
+function qrRows(str, { x = 0, ec = 'M', module = 4 } = {}) {
+  if (!Number.isInteger(module) || module < 1 || module > QR_MODULE_MAX) {
+    throw new ValidationError(`QR module size must be an integer 1-${QR_MODULE_MAX}`, { module });
+  }
+  const { size, modules } = encodeQR(str, ec);
+  if (!Number.isInteger(x) || x < 0 || x + size * module > WIDTH) {
+    throw new ValidationError(`QR code (${size * module} dots wide) does not fit the paper at x=${x}`, { x, size, module });
+  }
+  const rows = [];
+  modules.forEach(line => {
+    const row = new Uint8Array(BPL);
+    line.forEach((dark, mx) => {
+      if (!dark) return;
+      for (let px = x + mx * module; px < x + (mx + 1) * module; px++) row[px >> 3] |= 0x80 >> (px & 7);
+    });
+    for (let k = 0; k < module; k++) rows.push(row.slice());
+  });
+  return rows;
+}
+
+// =====================================================
+// Barcodes - Code 128, EAN-13 and Code 39 as bar modules
+// =====================================================
+const BARCODE_SYMBOLOGIES = ['code128', 'ean13', 'code39'];
+// Largest narrow bar in dots
+const BARCODE_BAR_MAX = 8;
+// Dots between the bars and the caption cell
+const BARCODE_CAPTION_GAP = 2;
+
+// Code 128 symbols 0-106 as bar/space widths (106 = stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+// EAN-13 digit codes: L (odd parity), G (even parity), R (right half)
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+// The first digit is carried by the L/G parity of the left half
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code 39: 5 bars and 4 spaces per character, n = narrow, w = wide (3x)
+const CODE39_PATTERNS = {
+  '0': 'nnnwwnwnn', '1': 'wnnwnnnnw', '2': 'nnwwnnnnw', '3': 'wnwwnnnnn', '4': 'nnnwwnnnw',
+  '5': 'wnnwwnnnn', '6': 'nnwwwnnnn', '7': 'nnnwnnwnw', '8': 'wnnwnnwnn', '9': 'nnwwnnwnn',
+  'A': 'wnnnnwnnw', 'B': 'nnwnnwnnw', 'C': 'wnwnnwnnn', 'D': 'nnnnwwnnw', 'E': 'wnnnwwnnn',
+  'F': 'nnwnwwnnn', 'G': 'nnnnnwwnw', 'H': 'wnnnnwwnn', 'I': 'nnwnnwwnn', 'J': 'nnnnwwwnn',
+  'K': 'wnnnnnnww', 'L': 'nnwnnnnww', 'M': 'wnwnnnnwn', 'N': 'nnnnwnnww', 'O': 'wnnnwnnwn',
+  'P': 'nnwnwnnwn', 'Q': 'nnnnnnwww', 'R': 'wnnnnnwwn', 'S': 'nnwnnnwwn', 'T': 'nnnnwnwwn',
+  'U': 'wwnnnnnnw', 'V': 'nwwnnnnnw', 'W': 'wwwnnnnnn', 'X': 'nwnnwnnnw', 'Y': 'wwnnwnnnn',
+  'Z': 'nwwnwnnnn', '-': 'nwnnnnwnw', '.': 'wwnnnnwnn', ' ': 'nwwnnnwnn', '$': 'nwnwnwnnn',
+  '/': 'nwnwnnnwn', '+': 'nwnnnwnwn', '%': 'nnnwnwnwn', '*': 'nwnnwnwnn',
+};
+
+// EAN-13 check digit of the first 12 digits
+function eanCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  return (10 - sum % 10) % 10;
+}
+
+function _code128Symbols(str) {
+  // All digits, even length: code set C packs two per symbol
+  if (/^(\d\d)+$/.test(str)) {
+    const symbols = [CODE128_START_C];
+    for (let i = 0; i < str.length; i += 2) symbols.push(Number(str.slice(i, i + 2)));
+    return symbols;
+  }
+  const symbols = [CODE128_START_B];
+  for (const ch of str) {
+    const code = ch.charCodeAt(0);
+    if (ch.length !== 1 || code < 32 || code > 126) {
+      throw new ValidationError(`Code 128 cannot encode '${ch}' (printable ASCII only)`, { char: ch });
+    }
+    symbols.push(code - 32);
+  }
+  return symbols;
+}
+
+// Encode `str` as bar modules. Returns { modules, text }: modules[i] = 1
+// for a bar module, and the caption (EAN-13 with its check digit).
+// EAN-13 takes 12 digits, or 13 whose last digit must be the check digit.
+function encodeBarcode(symbology, str) {
+  str = String(str);
+  if (!BARCODE_SYMBOLOGIES.includes(symbology)) {
+    throw new ValidationError(`Barcode symbology must be one of ${BARCODE_SYMBOLOGIES.join(', ')}`, { symbology });
+  }
+  if (str.length === 0) throw new ValidationError('Barcode data is empty', { symbology });
+
+  const modules = [];
+  const widths = (pattern) => Array.from(pattern).forEach((w, i) => {
+    for (let k = 0; k < Number(w); k++) modules.push(i % 2 === 0 ? 1 : 0);
+  });
+  const bits = (pattern) => Array.from(pattern).forEach(b => modules.push(Number(b)));
+
+  switch (symbology) {
+    case 'code128': {
+      const symbols = _code128Symbols(str);
+      const check = symbols.reduce((sum, s, i) => sum + s * Math.max(1, i), 0) % 103;
+      [...symbols, check, CODE128_STOP].forEach(s => widths(CODE128_PATTERNS[s]));
+      return { modules, text: str };
+    }
+    case 'ean13': {
+      if (!/^\d{12,13}$/.test(str)) {
+        throw new ValidationError('EAN-13 takes 12 digits, or 13 with the check digit', { data: str });
+      }
+      const check = eanCheckDigit(str);
+      if (str.length === 13 && Number(str[12]) !== check) {
+        throw new ValidationError(`EAN-13 check digit should be ${check}, not ${str[12]}`, { data: str, check });
+      }
+      const digits = str.slice(0, 12) + check;
+      const parity = EAN_PARITY[Number(digits[0])];
+      bits('101');
+      for (let i = 1; i <= 6; i++) bits((parity[i - 1] === 'L' ? EAN_L : EAN_G)[Number(digits[i])]);
+      bits('01010');
+      for (let i = 7; i <= 12; i++) bits(EAN_R[Number(digits[i])]);
+      bits('101');
+      return { modules, text: digits };
+    }
+    case 'code39': {
+      for (const ch of str) {
+        if (ch === '*' || !CODE39_PATTERNS[ch]) {
+          throw new ValidationError(`Code 39 cannot encode '${ch}' (0-9, A-Z, space and - . $ / + %)`, { char: ch });
+        }
+      }
+      // Start and stop are '*', with a narrow space between characters
+      Array.from(`*${str}*`).forEach((ch, i) => {
+        if (i > 0) modules.push(0);
+        widths(CODE39_PATTERNS[ch].replace(/n/g, '1').replace(/w/g, '3'));
+      });
+      return { modules, text: str };
+    }
+  }
+}
+
+function _barcodeLayout(str, opts) {
+  const { symbology = 'code128', bar = 2, height = 60, caption = true } = opts;
+  if (!Number.isInteger(bar) || bar < 1 || bar > BARCODE_BAR_MAX) {
+    throw new ValidationError(`Barcode bar width must be an integer 1-${BARCODE_BAR_MAX}`, { bar });
+  }
+  if (!Number.isInteger(height) || height < 1) {
+    throw new ValidationError('Barcode height must be a positive integer', { height });
+  }
+  const { modules, text } = encodeBarcode(symbology, str);
+  const barsWidth = modules.length * bar;
+  // Caption in the 8x16 font, centered under the bars
+  const textWidth = caption ? measureText(text, 1, 1).width : 0;
+  const width = Math.max(barsWidth, textWidth);
+  return {
+    modules, text, bar, height, caption, width,
+    barsX: Math.floor((width - barsWidth) / 2),
+    textX: Math.floor((width - textWidth) / 2),
+    totalHeight: height + (caption ? BARCODE_CAPTION_GAP + getFontHeight(1, 1) : 0),
+  };
+}
+
+// Printed size of a barcode in dots (opts as for drawBarcode)
+function barcodeSize(str, opts = {}) {
+  const { width, totalHeight } = _barcodeLayout(str, opts);
+  return { width, height: totalHeight };
+}
+
+// Draw a barcode with plot(x, y, w, h) per bar and caption dot, (x, y) the
+// top-left. opts: symbology, bar (dots per module), height (bar height),
+// caption (text under the bars in the firmware font)
+function drawBarcode(plot, str, x, y, opts = {}) {
+  const l = _barcodeLayout(str, opts);
+  let run = 0;
+  l.modules.forEach((on, i) => {
+    if (on) run++;
+    if (run && (!on || i === l.modules.length - 1)) {
+      const end = on ? i + 1 : i;
+      plot(x + l.barsX + (end - run) * l.bar, y, run * l.bar, l.height);
+      run = 0;
+    }
+  });
+  if (l.caption) drawBitmapText(plot, l.text, x + l.textX, y + l.height + BARCODE_CAPTION_GAP, 1, 1);
+}
+
+// A barcode as scanlines with its left edge at x
+function barcodeRows(str, { x = 0, ...opts } = {}) {
+  const { width, height } = barcodeSize(str, opts);
+  if (!Number.isInteger(x) || x < 0 || x + width > WIDTH) {
+    throw new ValidationError(`Barcode (${width} dots wide) does not fit the ${WIDTH}-dot line at x=${x}`, { x, width });
+  }
+  const rows = Array.from({ length: height }, () => new Uint8Array(BPL));
+  drawBarcode((px, py, w, h) => {
+    for (let yy = py; yy < py + h; yy++) {
+      for (let xx = px; xx < px + w; xx++) rows[yy][xx >> 3] |= 0x80 >> (xx & 7);
+    }
+  }, str, x, 0, opts);
+  return rows;
+}
+
 // =====================================================
 // PGP Protocol - Frame Builder
 // =====================================================
@@ -207,6 +973,17 @@ class PGP {
     return new Uint8Array(rle);
   }
 
+  // [count][value] pairs back to a 72-byte line
+  static rleDecode(payload) {
+    const row = new Uint8Array(BPL);
+    let x = 0;
+    for (let o = 0; o + 1 < payload.length && x < BPL; o += 2) {
+      row.fill(payload[o + 1], x, Math.min(BPL, x + payload[o]));
+      x += payload[o];
+    }
+    return row;
+  }
+
   // RLE-compressed raw line (uses compression if beneficial)
   static rawLineRle(data) {
     const rle = this.rleEncode(data);
@@ -365,43 +1142,321 @@ class PGP {
   static setFeedMode(mode) {
     return this.frame(this.CMD.SET_FEED_MODE, new Uint8Array([mode]));
   }
+
+  // ----- Decoding (stream inspection) -----
+
+  static cmdName(cmd) {
+    return Object.keys(this.CMD).find(k => this.CMD[k] === cmd)
+      || `0x${cmd.toString(16).toUpperCase().padStart(2, '0')}`;
+  }
+
+  // Decode a PGP stream back into commands. Every frame is checked for
+  // SYNC, length and CRC; problems are reported with their byte offset.
+  // After a stray byte or a frame running past the end, decoding resumes
+  // at the next SYNC.
+  // Returns { commands: [{ offset, size, cmd, name, args, payload, crcOk }],
+  //           errors: [{ offset, message }] }
+  static decode(bytes) {
+    const buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const hex = (b) => `0x${b.toString(16).toUpperCase().padStart(2, '0')}`;
+    const commands = [];
+    const errors = [];
+    let i = 0;
+
+    while (i < buf.length) {
+      if (buf[i] !== this.SYNC) {
+        let next = buf.indexOf(this.SYNC, i + 1);
+        if (next < 0) next = buf.length;
+        errors.push({ offset: i, message: `Expected SYNC ${hex(this.SYNC)}, skipped ${next - i} byte(s)` });
+        i = next;
+        continue;
+      }
+      if (i + 5 > buf.length) {
+        errors.push({ offset: i, message: `Truncated frame header: ${buf.length - i} byte(s) left` });
+        break;
+      }
+
+      const cmd = buf[i + 1];
+      const len = buf[i + 2] | (buf[i + 3] << 8);
+      const size = 5 + len;
+      const name = this.cmdName(cmd);
+      if (i + size > buf.length) {
+        errors.push({ offset: i, message: `Truncated ${name}: frame is ${size} bytes, ${buf.length - i} left` });
+        const next = buf.indexOf(this.SYNC, i + 1);
+        if (next < 0) break;
+        i = next;
+        continue;
+      }
+
+      const payload = buf.slice(i + 4, i + 4 + len);
+      const crc = buf[i + 4 + len];
+      const expected = this.crc8(buf.subarray(i + 1, i + 4 + len));
+      const entry = { offset: i, size, cmd, name, args: null, payload, crcOk: crc === expected };
+      if (!entry.crcOk) {
+        errors.push({ offset: i, message: `${name}: CRC ${hex(crc)}, expected ${hex(expected)}` });
+      }
+      try {
+        entry.args = this.decodeArgs(cmd, payload);
+      } catch (err) {
+        errors.push({ offset: i, message: `${name}: ${err.message}` });
+      }
+      commands.push(entry);
+      i += size;
+    }
+
+    return { commands, errors };
+  }
+
+  // Split a stream at frame boundaries (header lengths only, no CRC check)
+  static splitFrames(bytes) {
+    const frames = [];
+    let i = 0;
+    while (i < bytes.length) {
+      if (bytes[i] !== this.SYNC || i + 5 > bytes.length) {
+        throw new ValidationError(`No PGP frame at offset ${i}`, { offset: i });
+      }
+      const size = 5 + (bytes[i + 2] | (bytes[i + 3] << 8));
+      if (i + size > bytes.length) {
+        throw new ValidationError(`Truncated frame at offset ${i}`, { offset: i });
+      }
+      frames.push(bytes.subarray(i, i + size));
+      i += size;
+    }
+    return frames;
+  }
+
+  // Payload → named arguments (same byte order as the builders above)
+  static decodeArgs(cmd, p) {
+    const need = (n) => {
+      if (p.length < n) throw new ValidationError(`payload is ${p.length} bytes, expected ${n}`, { cmd });
+    };
+    const le = (o) => p[o] | (p[o + 1] << 8);
+    const be = (o) => (p[o] << 8) | p[o + 1];
+    const C = this.CMD;
+
+    switch (cmd) {
+      case C.RAW_LINE:
+      case C.RAW_LINES:
+        return { bytes: p.length };
+      case C.RAW_LINE_RLE: {
+        let width = 0;
+        for (let o = 0; o + 1 < p.length; o += 2) width += p[o];
+        return { runs: p.length >> 1, bytes: width };
+      }
+      case C.FILL_LINE: need(3); return { pattern: p[0], count: le(1) };
+      case C.TEXT: {
+        need(6);
+        need(6 + p[5]);
+        const str = new TextDecoder().decode(p.subarray(6, 6 + p[5]));
+        return { x: le(0), y: le(2), font: p[4], str };
+      }
+      case C.RECT: need(9); return { x: le(0), y: le(2), w: le(4), h: le(6), fill: p[8] };
+      case C.SPRITE_DEF: need(3); return { id: p[0], w: p[1], h: p[2], bytes: p.length - 3 };
+      case C.SPRITE_DRAW: need(5); return { id: p[0], x: le(1), y: le(3) };
+      case C.FEED: need(2); return { lines: le(0) };
+      case C.SET_SPEED: need(2); return { pps: le(0) };
+      case C.SET_HEAT: need(2); return { us: le(0) };
+      case C.SET_MODE:
+      case C.SET_FEED_MODE:
+        need(1); return { mode: p[0] };
+      case C.SYNC: need(4); return { seq: (le(0) | (le(2) << 16)) >>> 0 };
+      case C.STOP:
+      case C.POLL_INPUT:
+      case C.WAIT_BUTTON:
+      case C.PROGRAM_START:
+      case C.PROGRAM_END:
+        return {};
+      case C.LABEL: need(2); return { id: be(0) };
+      case C.JUMP: need(2); return { labelId: be(0) };
+      case C.JUMP_IF_BTN: need(3); return { buttonMask: p[0], labelId: be(1) };
+      case C.RANDOM_JUMP: {
+        need(1);
+        need(1 + p[0] * 2);
+        return { labelIds: Array.from({ length: p[0] }, (_, k) => be(1 + k * 2)) };
+      }
+      case C.SET_VAR: need(3); return { varId: p[0], value: be(1) };
+      case C.JUMP_IF_VAR: need(6); return { varId: p[0], op: p[1], value: be(2), labelId: be(4) };
+      case C.JUMP_IF_FADER: need(5); return { op: p[0], threshold: le(1), labelId: be(3) };
+      case C.WAIT_FADER: need(3); return { op: p[0], threshold: le(1) };
+      default:
+        throw new ValidationError('unknown command', { cmd });
+    }
+  }
 }
 
 // =====================================================
-// Printer - Web Serial Connection
+// Paper - Scanlines as the printer prints a PGP stream
 // =====================================================
-class Printer {
-  constructor() {
-    this._port = null;
+// Printing commands (PGP.decode() entries) painted on paper, one
+// Uint8Array(BPL) per line. TEXT, RECT and SPRITE_DRAW draw at the current
+// line + y and advance by their height, like Section.getStaticHeight().
+// Game.preview(), the studio preview and its emulator all print through it.
+class Paper {
+  constructor(opts = {}) {
+    // missingGlyph(ch, w, h) - packed rows (MSB first) for a character the
+    // font has no glyph for, or null to draw the cell outline
+    this.missingGlyph = opts.missingGlyph || null;
+    this.lines = [];
+    this.cursor = 0;
+    this.sprites = new Map();
+  }
+
+  get height() {
+    return this.lines.length;
+  }
+
+  row(y) {
+    while (this.lines.length <= y) this.lines.push(new Uint8Array(BPL));
+    return this.lines[y];
+  }
+
+  // OR a scanline at the cursor and move on
+  emit(data) {
+    const row = this.row(this.cursor);
+    for (let i = 0; i < Math.min(BPL, data.length); i++) row[i] |= data[i];
+    this.cursor++;
+  }
+
+  advance(lines) {
+    if (lines > 0) this.row(this.cursor + lines - 1);
+    this.cursor += lines;
+  }
+
+  set(x, y) {
+    if (x < 0 || x >= WIDTH || y < 0) return;
+    this.row(y)[x >> 3] |= 0x80 >> (x & 7);
+  }
+
+  fill(x, y, w, h) {
+    for (let dy = 0; dy < h; dy++) {
+      for (let dx = 0; dx < w; dx++) this.set(x + dx, y + dy);
+    }
+  }
+
+  // Paint one decoded command. Returns false for commands that do not
+  // print (settings, flow control, input).
+  paint(c) {
+    const a = c.args;
+    const C = PGP.CMD;
+    switch (c.cmd) {
+      case C.RAW_LINE:
+        this.emit(c.payload);
+        return true;
+      case C.RAW_LINES:
+        // Whole BPL-byte rows back to back
+        for (let o = 0; o + BPL <= c.payload.length; o += BPL) this.emit(c.payload.subarray(o, o + BPL));
+        return true;
+      case C.RAW_LINE_RLE:
+        this.emit(PGP.rleDecode(c.payload));
+        return true;
+      case C.FILL_LINE:
+        for (let i = 0; i < a.count; i++) this.emit(new Uint8Array(BPL).fill(a.pattern));
+        return true;
+      case C.FEED:
+        this.advance(a.lines);
+        return true;
+      case C.TEXT:
+        this.text(a);
+        return true;
+      case C.RECT:
+        this.rect(a);
+        return true;
+      case C.SPRITE_DEF:
+        this.sprites.set(a.id, { w: a.w, h: a.h, data: c.payload.slice(3) });
+        return true;
+      case C.SPRITE_DRAW:
+        this.sprite(a);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  text({ x, y, font, str }) {
+    const { baseFont, scale } = decodeFontByte(font);
+    drawBitmapText((px, py, w, h) => this.fill(px, py, w, h),
+      str, x, this.cursor + y, baseFont, scale,
+      (ch, px, py, w, h) => this._missingGlyph(ch, px, py, w, h));
+    this.advance(getFontHeight(baseFont, scale));
+  }
+
+  // Filled, or a 1px outline inside the box
+  rect({ x, y, w, h, fill }) {
+    this._box(x, this.cursor + y, w, h, fill);
+    this.advance(h);
+  }
+
+  sprite({ id, x, y }) {
+    const spr = this.sprites.get(id);
+    if (!spr) throw new ValidationError(`SPRITE_DRAW of undefined sprite ${id}`, { id });
+    this._blit(spr.data, spr.w, spr.h, x, this.cursor + y);
+    this.advance(spr.h);
+  }
+
+  _box(x, top, w, h, fill) {
+    for (let dy = 0; dy < h; dy++) {
+      for (let dx = 0; dx < w; dx++) {
+        if (fill || dy === 0 || dy === h - 1 || dx === 0 || dx === w - 1) this.set(x + dx, top + dy);
+      }
+    }
+  }
+
+  _blit(data, w, h, x, top) {
+    const bpr = Math.ceil(w / 8);
+    for (let dy = 0; dy < h; dy++) {
+      for (let dx = 0; dx < w; dx++) {
+        if ((data[dy * bpr + (dx >> 3)] >> (7 - (dx & 7))) & 1) this.set(x + dx, top + dy);
+      }
+    }
+  }
+
+  _missingGlyph(ch, x, y, w, h) {
+    const glyph = this.missingGlyph ? this.missingGlyph(ch, w, h) : null;
+    if (glyph) this._blit(glyph, w, h, x, y);
+    else this._box(x, y, w, h, false);
+  }
+}
+
+// =====================================================
+// Transports - byte pipes to a printer
+// =====================================================
+// A transport has: open(), close(), write(Uint8Array) (all async),
+// onData(fn) for incoming bytes, an `isOpen` getter and a `name`.
+// Links that can drop by themselves also have onClose(fn), called with a
+// ConnectionError when that happens (not on close()).
+
+class WebSerialTransport {
+  constructor(opts = {}) {
+    this.name = 'Web Serial';
+    this.baudRate = opts.baudRate || 921600;
+    this.vendorId = opts.vendorId ?? PICO_VID;
+    this._port = opts.port || null;  // An already chosen SerialPort
     this._writer = null;
     this._readerRunning = false;
-    this._onReceive = null;
+    this._onData = null;
   }
 
-  get connected() { return !!this._writer; }
+  get isOpen() { return !!this._writer; }
 
-  onReceive(fn) { this._onReceive = fn; }
+  onData(fn) { this._onData = fn; }
 
-  async connect(baudRate = 921600) {
-    if (!('serial' in navigator)) {
+  async open() {
+    if (typeof navigator === 'undefined' || !('serial' in navigator)) {
       throw new ConnectionError('Web Serial API not supported in this browser');
     }
-    try {
+    if (!this._port) {
       const ports = await navigator.serial.getPorts();
-      const pico = ports.find(p => p.getInfo().usbVendorId === PICO_VID);
+      const pico = ports.find(p => p.getInfo().usbVendorId === this.vendorId);
       this._port = pico || await navigator.serial.requestPort({
-        filters: [{ usbVendorId: PICO_VID }],
+        filters: [{ usbVendorId: this.vendorId }],
       });
-      await this._port.open({ baudRate });
-      this._writer = this._port.writable.getWriter();
-      this._startReader();
-    } catch (e) {
-      if (e instanceof ConnectionError) throw e;
-      throw new ConnectionError(`Failed to connect: ${e.message}`, { originalError: e });
     }
+    await this._port.open({ baudRate: this.baudRate });
+    this._writer = this._port.writable.getWriter();
+    this._startReader();
   }
 
-  async disconnect() {
+  async close() {
     this._readerRunning = false;
     if (this._writer) { this._writer.releaseLock(); this._writer = null; }
     if (this._port) {
@@ -410,44 +1465,440 @@ class Printer {
     }
   }
 
+  async write(data) {
+    await this._writer.write(data);
+  }
+
+  async _startReader() {
+    if (!this._port?.readable) return;
+    this._readerRunning = true;
+    const reader = this._port.readable.getReader();
+    try {
+      while (this._readerRunning) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        if (this._onData) this._onData(value);
+      }
+    } catch (_) {
+    } finally {
+      try { reader.releaseLock(); } catch (_) {}
+    }
+  }
+}
+
+// Binary WebSocket to a serial bridge (e.g. a host next to the printer)
+class WebSocketTransport {
+  constructor(opts = {}) {
+    if (!opts.url) throw new ValidationError('WebSocketTransport needs a url');
+    this.name = 'WebSocket';
+    this.url = opts.url;
+    this._WebSocket = opts.WebSocket || globalThis.WebSocket;
+    this._ws = null;
+    this._onData = null;
+    this._onClose = null;
+  }
+
+  get isOpen() { return !!this._ws && this._ws.readyState === 1; }
+
+  onData(fn) { this._onData = fn; }
+
+  onClose(fn) { this._onClose = fn; }
+
+  open() {
+    if (!this._WebSocket) {
+      return Promise.reject(new ConnectionError('WebSocket is not available here'));
+    }
+    return new Promise((resolve, reject) => {
+      const ws = new this._WebSocket(this.url);
+      ws.binaryType = 'arraybuffer';
+      ws.onopen = () => { this._ws = ws; resolve(); };
+      ws.onerror = () => reject(new ConnectionError(`WebSocket error: ${this.url}`));
+      ws.onclose = (e) => {
+        // Only a drop of the open socket; close() has already let go of it
+        if (this._ws !== ws) return;
+        this._ws = null;
+        const reason = e?.reason ? ` (${e.reason})` : '';
+        if (this._onClose) this._onClose(new ConnectionError(`WebSocket closed by the bridge: ${this.url}${reason}`, { code: e?.code }));
+      };
+      ws.onmessage = (e) => {
+        if (this._onData && e.data instanceof ArrayBuffer) this._onData(new Uint8Array(e.data));
+      };
+    });
+  }
+
+  async close() {
+    if (this._ws) { this._ws.close(); this._ws = null; }
+  }
+
+  async write(data) {
+    if (!this.isOpen) throw new ConnectionError(`WebSocket not open: ${this.url}`);
+    this._ws.send(data);
+  }
+}
+
+// Node.js serial port through the `serialport` package. Pass its
+// SerialPort class in, or it is imported on open().
+class NodeSerialTransport {
+  constructor(opts = {}) {
+    if (!opts.path) throw new ValidationError('NodeSerialTransport needs a port path');
+    this.name = 'Node serial';
+    this.path = opts.path;
+    this.baudRate = opts.baudRate || 921600;
+    this._SerialPort = opts.SerialPort || null;
+    this._port = null;
+    this._onData = null;
+  }
+
+  get isOpen() { return !!this._port && this._port.isOpen; }
+
+  onData(fn) { this._onData = fn; }
+
+  async open() {
+    if (!this._SerialPort) {
+      const pkg = 'serialport';
+      try {
+        ({ SerialPort: this._SerialPort } = await import(/* @vite-ignore */ pkg));
+      } catch (e) {
+        throw new ConnectionError('The serialport package is not installed', { originalError: e });
+      }
+    }
+    const port = new this._SerialPort({ path: this.path, baudRate: this.baudRate, autoOpen: false });
+    await new Promise((resolve, reject) => port.open(err => (err ? reject(err) : resolve())));
+    port.on('data', (buf) => { if (this._onData) this._onData(new Uint8Array(buf)); });
+    this._port = port;
+  }
+
+  async close() {
+    if (!this._port) return;
+    const port = this._port;
+    this._port = null;
+    await new Promise(resolve => port.close(() => resolve()));
+  }
+
+  async write(data) {
+    await new Promise((resolve, reject) => {
+      this._port.write(data, err => (err ? reject(err) : this._port.drain(resolve)));
+    });
+  }
+}
+
+// In-memory loopback: keeps everything written (bytes()) and lets tests
+// or an emulator answer through receive(). With `credits` set it also
+// answers flow control like the device (READY / ACK / NAK).
+class LoopbackTransport {
+  constructor(opts = {}) {
+    this.name = 'Loopback';
+    this.chunks = [];
+    this._onWrite = opts.onWrite || null;
+    this._open = false;
+    this._onData = null;
+    this._credits = opts.credits ?? null;
+    this._rx = new Uint8Array(0);
+    this._seq = 0;
+    this._dropping = false;
+  }
+
+  get isOpen() { return this._open; }
+
+  onData(fn) { this._onData = fn; }
+
+  async open() { this._open = true; }
+
+  async close() { this._open = false; }
+
+  async write(data) {
+    const chunk = data.slice();
+    this.chunks.push(chunk);
+    if (this._onWrite) await this._onWrite(chunk, this);
+    if (this._credits !== null) this._answer(chunk);
+  }
+
+  _answer(chunk) {
+    this._rx = _concatFrames([this._rx, chunk]);
+    while (this._rx.length >= 5) {
+      const size = 5 + (this._rx[2] | (this._rx[3] << 8));
+      if (this._rx.length < size) break;
+      const frame = this._rx.subarray(0, size);
+      this._rx = this._rx.slice(size);
+
+      const reply = (line) => setTimeout(() => this.receive(new TextEncoder().encode(line + '\n')), 0);
+      if (frame[1] === PGP.CMD.SYNC) {
+        this._seq = PGP.decodeArgs(PGP.CMD.SYNC, frame.subarray(4, size - 1)).seq;
+        this._dropping = false;
+        reply(`READY ${this._credits}`);
+      } else if (this._dropping) {
+        continue;
+      } else if (PGP.crc8(frame.subarray(1, size - 1)) !== frame[size - 1]) {
+        this._dropping = true;
+        reply(`NAK ${this._seq}`);
+      } else {
+        reply(`ACK ${this._seq++}`);
+      }
+    }
+  }
+
+  // Everything written so far, as one stream
+  bytes() { return _concatFrames(this.chunks); }
+
+  clear() { this.chunks = []; }
+
+  // Deliver bytes as if the printer had sent them
+  receive(data) {
+    if (this._onData) this._onData(data instanceof Uint8Array ? data : new Uint8Array(data));
+  }
+}
+
+// =====================================================
+// Printer - Connection over a transport
+// =====================================================
+class Printer {
+  // transport: any of the above; Web Serial when left out
+  constructor(transport = null) {
+    this.transport = transport;
+    this._onReceive = null;
+    this._decoder = new TextDecoder();
+    this._line = '';
+    this._tokens = [];
+    this._tokenWaiter = null;
+    this._listeners = new Map();
+    this._closeError = null;
+    this.input = { buttons: 0, fader: null, sync: null };
+  }
+
+  get connected() { return !!this.transport && this.transport.isOpen; }
+
+  onReceive(fn) { this._onReceive = fn; }
+
+  // ----- Input events -----
+  // The device reports input as text lines (on change, and in answer to
+  // POLL_INPUT):
+  //   BTN <mask>     buttons held now (BTN bits)
+  //   FADER <value>  fader position 0-4095
+  //   SYNC <seq>     a SYNC frame was reached
+  // Events: 'buttondown' / 'buttonup' { mask, buttons }, 'fader' { value,
+  // previous }, 'sync' { seq }, and '*' for all of them.
+  // 'disconnect' { error } is sent when the transport drops by itself.
+  on(type, fn) {
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(fn);
+    return () => this.off(type, fn);
+  }
+
+  off(type, fn) {
+    this._listeners.get(type)?.delete(fn);
+  }
+
+  _emit(event) {
+    for (const key of [event.type, '*']) {
+      for (const fn of this._listeners.get(key) || []) fn(event);
+    }
+  }
+
+  async pollInput() {
+    await this.send(PGP.pollInput());
+  }
+
+  // connect(baudRate) opens Web Serial as before; connect(transport)
+  // switches to that transport
+  async connect(baudRateOrTransport = 921600) {
+    if (typeof baudRateOrTransport === 'object' && baudRateOrTransport !== null) {
+      this.transport = baudRateOrTransport;
+    } else if (!this.transport) {
+      this.transport = new WebSerialTransport({ baudRate: baudRateOrTransport });
+    }
+    this.transport.onData((bytes) => {
+      const text = this._decoder.decode(bytes, { stream: true });
+      this._scanLines(text);
+      if (this._onReceive) this._onReceive(text);
+    });
+    this._closeError = null;
+    if (this.transport.onClose) {
+      this.transport.onClose((error) => {
+        this._closeError = error;
+        // A transfer waiting for an ACK fails now instead of timing out
+        if (this._tokenWaiter) this._tokenWaiter();
+        this._emit({ type: 'disconnect', error });
+      });
+    }
+    try {
+      await this.transport.open();
+    } catch (e) {
+      if (e instanceof ConnectionError) throw e;
+      throw new ConnectionError(`Failed to connect: ${e.message}`, { originalError: e, transport: this.transport.name });
+    }
+  }
+
+  async disconnect() {
+    if (this.transport) await this.transport.close();
+  }
+
   async send(data) {
-    if (!this._writer) throw new ConnectionError('Not connected to printer');
-    await this._writer.write(data instanceof Uint8Array ? data : new Uint8Array(data));
+    if (!this.connected) throw new ConnectionError('Not connected to printer');
+    await this.transport.write(data instanceof Uint8Array ? data : new Uint8Array(data));
   }
 
-  async sendChunked(data, onProgress) {
-    if (!this._writer) throw new ConnectionError('Not connected to printer');
+  // Up to 4 KB per write, cut at frame boundaries so that a pause or a
+  // cancel (gate) never leaves half a frame on the device
+  async sendChunked(data, onProgress, gate = null) {
+    if (!this.connected) throw new ConnectionError('Not connected to printer');
     console.log('[Printer] Sending', data.length, 'bytes, first 20:',
       Array.from(data.slice(0, 20)).map(b => b.toString(16).padStart(2, '0')).join(' '));
     const CHUNK = 4096;
-    for (let i = 0; i < data.length; i += CHUNK) {
-      const end = Math.min(i + CHUNK, data.length);
+    const frames = PGP.splitFrames(data);
+    let i = 0;
+    let offset = 0;
+    while (i < frames.length) {
+      if (gate) await gate();
+      const start = offset;
+      do { offset += frames[i++].length; } while (i < frames.length && offset - start + frames[i].length <= CHUNK);
       try {
-        await this._writer.write(data.slice(i, end));
+        await this.transport.write(data.slice(start, offset));
       } catch (e) {
-        console.error('[Printer] Write error at offset', i, ':', e);
+        console.error('[Printer] Write error at offset', start, ':', e);
         throw e;
       }
-      if (onProgress) onProgress(Math.min(end / data.length, 1));
+      if (onProgress) onProgress(offset / data.length, { acked: i, frames: frames.length, retransmits: 0 });
     }
     console.log('[Printer] Send complete');
   }
 
-  async _startReader() {
-    if (!this._port?.readable) return;
-    this._readerRunning = true;
-    const reader = this._port.readable.getReader();
-    const decoder = new TextDecoder();
-    try {
-      while (this._readerRunning) {
-        const { value, done } = await reader.read();
-        if (done) break;
-        if (this._onReceive) this._onReceive(decoder.decode(value, { stream: true }));
+  // ----- Flow control -----
+  // Host → device: SYNC(seq) starts (or restarts) a transfer at frame
+  // number `seq`; the frames that follow are numbered seq, seq+1, ...
+  // Device → host, one per line:
+  //   READY <credits>  answer to SYNC: room for <credits> frames
+  //   ACK <seq>        frames up to <seq> are done (one credit back each)
+  //   NAK <seq>        frame <seq> failed its CRC; the device drops it and
+  //                    everything after it until the next SYNC
+  // Missing acks time out; both cases go back to the first unacked frame.
+  //
+  // opts: onProgress(fraction, { acked, frames, retransmits }),
+  //       window (max frames in flight), readyTimeout / ackTimeout (ms),
+  //       retries (per frame), fallback (plain sendChunked when the
+  //       device never answers the first SYNC, i.e. older firmware),
+  //       gate (awaited before every frame: wait to pause, throw to cancel)
+  async sendFlowControlled(data, opts = {}) {
+    if (!this.connected) throw new ConnectionError('Not connected to printer');
+    const {
+      onProgress = null, window = 64, readyTimeout = 1000, ackTimeout = 2000,
+      retries = 5, fallback = true, gate = null,
+    } = opts;
+    const frames = PGP.splitFrames(data instanceof Uint8Array ? data : new Uint8Array(data));
+    this._tokens = [];
+
+    let credits = await this._sync(0, readyTimeout);
+    if (credits === null) {
+      if (!fallback) throw new ConnectionError('Printer did not answer SYNC (no flow control)', { stage: 'ready' });
+      console.warn('[Printer] No READY from device, sending without flow control');
+      return this.sendChunked(data, onProgress, gate);
+    }
+
+    let base = 0;       // first frame not acknowledged
+    let next = 0;       // next frame to send
+    let failures = 0;   // consecutive failures at `base`
+    let retransmits = 0;
+    const report = () => {
+      if (onProgress) onProgress(base / frames.length, { acked: base, frames: frames.length, retransmits });
+    };
+
+    const restart = async (reason) => {
+      if (++failures > retries) {
+        throw new ConnectionError(`Frame ${base} failed after ${retries} retries (${reason})`, { frame: base, reason });
+      }
+      retransmits += next - base;
+      next = base;
+      credits = await this._sync(base, readyTimeout);
+      if (credits === null) credits = 0;  // Retried by the next timeout
+    };
+
+    while (base < frames.length) {
+      while (next < frames.length && next - base < Math.min(window, credits)) {
+        if (gate) await gate();
+        await this.transport.write(frames[next++]);
+      }
+
+      const token = await this._nextToken(ackTimeout);
+      if (!this.connected) throw this._closeError || new ConnectionError('Not connected to printer');
+      if (!token) {
+        await restart('timeout');
+      } else if (token.type === 'ACK' && token.seq >= base) {
+        base = Math.min(token.seq + 1, next);
+        failures = 0;
+        report();
+      } else if (token.type === 'NAK' && token.seq >= base && token.seq < next) {
+        base = token.seq;
+        await restart('CRC');
+      } else if (token.type === 'READY') {
+        credits = token.seq;
+      }
+    }
+    report();
+  }
+
+  // Send SYNC(seq) and wait for READY; returns the credits or null
+  async _sync(seq, timeout) {
+    this._tokens = [];
+    await this.transport.write(PGP.sync(seq));
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const token = await this._nextToken(Math.max(0, deadline - Date.now()));
+      if (!this.connected) throw this._closeError || new ConnectionError('Not connected to printer');
+      if (!token) return null;
+      if (token.type === 'READY') return token.seq;
+    }
+  }
+
+  // Device lines: flow-control tokens and input reports; anything else
+  // (logs) only goes to onReceive
+  _scanLines(text) {
+    this._line += text;
+    const lines = this._line.split(/\r?\n/);
+    this._line = lines.pop();
+    for (const line of lines) {
+      const m = /^(READY|ACK|NAK|BTN|FADER|SYNC) (\d+|0x[0-9a-fA-F]+)$/.exec(line.trim());
+      if (!m) continue;
+      const value = Number(m[2]);
+      switch (m[1]) {
+        case 'BTN': this._buttons(value & BTN.ANY); break;
+        case 'FADER': this._fader(value); break;
+        case 'SYNC':
+          this.input.sync = value;
+          this._emit({ type: 'sync', seq: value });
+          break;
+        default:
+          this._tokens.push({ type: m[1], seq: value });
       }
-    } catch (_) {
-    } finally {
-      try { reader.releaseLock(); } catch (_) {}
     }
+    if (this._tokens.length > 0 && this._tokenWaiter) this._tokenWaiter();
+  }
+
+  _buttons(buttons) {
+    const before = this.input.buttons;
+    this.input.buttons = buttons;
+    const down = buttons & ~before;
+    const up = before & ~buttons;
+    if (down) this._emit({ type: 'buttondown', mask: down, buttons });
+    if (up) this._emit({ type: 'buttonup', mask: up, buttons });
+  }
+
+  _fader(value) {
+    const previous = this.input.fader;
+    if (value > FADER_MAX || value === previous) return;
+    this.input.fader = value;
+    this._emit({ type: 'fader', value, previous });
+  }
+
+  // Next device token, or null after `timeout` ms
+  _nextToken(timeout) {
+    if (this._tokens.length > 0) return Promise.resolve(this._tokens.shift());
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => { this._tokenWaiter = null; resolve(null); }, timeout);
+      this._tokenWaiter = () => {
+        clearTimeout(timer);
+        this._tokenWaiter = null;
+        resolve(this._tokens.shift());
+      };
+    });
   }
 }
 
@@ -485,12 +1936,25 @@ class Section {
       baseFont = 1;
       scale = 1;
     }
-    this.blocks.push({ type: 'text', x, str, baseFont, scale, sizeMm });
+    // One TEXT per line: wrapped at '\n' and at opts.width (default: the
+    // paper edge), aligned by opts.align, opts.lineSpacing dots apart.
+    // Every line keeps the y offset, since TEXT advances by its height only.
+    const y = opts.y || 0;
+    const layout = layoutText(str, {
+      baseFont, scale, sizeMm,
+      width: opts.width ?? Math.max(1, WIDTH - x),
+      align: opts.align,
+      lineSpacing: opts.lineSpacing || 0,
+    });
+    layout.lines.forEach((line, i) => {
+      if (i > 0 && opts.lineSpacing) this.blocks.push({ type: 'feed', lines: opts.lineSpacing });
+      this.blocks.push({ type: 'text', x: x + line.x, y, str: line.str, baseFont, scale, sizeMm });
+    });
     return this;
   }
 
-  rect(x, w, h, fill = 1) {
-    this.blocks.push({ type: 'rect', x, w, h, fill });
+  rect(x, w, h, fill = 1, opts = {}) {
+    this.blocks.push({ type: 'rect', x, y: opts.y || 0, w, h, fill });
     return this;
   }
 
@@ -514,6 +1978,20 @@ class Section {
     return this;
   }
 
+  // QR code at x, printed as raw lines. opts: ec ('L' | 'M' | 'Q' | 'H'),
+  // module (dots per module). Leave 4 blank modules around it to scan.
+  qr(x, str, opts = {}) {
+    this.blocks.push({ type: 'image', rows: qrRows(str, { x, ec: opts.ec, module: opts.module }) });
+    return this;
+  }
+
+  // 1D barcode at x, printed as raw lines. opts: symbology ('code128' |
+  // 'ean13' | 'code39'), bar (dots per module), height, caption
+  barcode(x, str, opts = {}) {
+    this.blocks.push({ type: 'image', rows: barcodeRows(str, { ...opts, x }) });
+    return this;
+  }
+
   waitButton() {
     this.blocks.push({ type: 'waitButton' });
     return this;
@@ -526,6 +2004,7 @@ class Section {
   }
 
   // ----- Branching commands -----
+  // Labels and jump targets: a number, a string label name, or a section ID
   label(id) {
     this.blocks.push({ type: 'label', id });
     return this;
@@ -553,6 +2032,7 @@ class Section {
     return this;
   }
 
+  // varId: a name from game.defineVar() or a raw firmware ID (0-255)
   setVar(varId, value) {
     this.blocks.push({ type: 'setVar', varId, value });
     return this;
@@ -579,6 +2059,11 @@ class Section {
     return this;
   }
 
+  stop() {
+    this.blocks.push({ type: 'stop' });
+    return this;
+  }
+
   onLine(fn) { this._onLine = fn; return this; }
   onEnter(fn) { this._onEnter = fn; return this; }
   onExit(fn) { this._onExit = fn; return this; }
@@ -588,7 +2073,11 @@ class Section {
     let h = 0;
     for (const b of this.blocks) {
       switch (b.type) {
-        case 'text': h += getFontHeight(b.baseFont, b.scale); break;
+        case 'text': {
+          const f = fontForText(b.str, b.baseFont, b.scale, b.sizeMm);
+          h += getFontHeight(f.baseFont, f.scale);
+          break;
+        }
         case 'rect': h += b.h; break;
         case 'fill': h += b.count; break;
         case 'feed': h += b.lines; break;
@@ -656,12 +2145,14 @@ class Game {
     this.title = opts.title || 'Untitled';
     this.defaultFeedMode = opts.feedMode || 'auto';
     this.defaultSpeed = opts.speed || 10000;
-    this.fontFamily = opts.fontFamily || 'monospace';  // Custom font support
     this.sections = new Map();
     this._flow = [];
     this.vars = new Map();
+    this.variables = new Map();  // Named variables (defineVar)
+    this._varIds = new Map();
+    this._labels = { labels: new Map(), sectionLabels: new Map() };
     this.sprites = new Map();  // Sprite definitions
-    this.printer = new Printer();
+    this.printer = new Printer(opts.transport || null);
     this._running = false;
     this._onLog = null;
   }
@@ -669,10 +2160,53 @@ class Game {
   // Define a sprite from bitmap data
   // data: Uint8Array, row-major MSB-first packed bits
   defineSprite(id, w, h, data) {
+    // SPRITE_DEF sends id, width and height as single bytes
+    if (!Number.isInteger(id) || id < 0 || id > 255) {
+      throw new ValidationError(`Sprite id must be an integer 0-255, got ${id}`, { id });
+    }
+    if (!Number.isInteger(w) || w < 1 || w > 255 || !Number.isInteger(h) || h < 1 || h > 255) {
+      throw new ValidationError(`Sprite ${id} size must be 1-255 × 1-255, got ${w}×${h}`, { id, w, h });
+    }
+    const expected = Math.ceil(w / 8) * h;
+    if (!data || data.length !== expected) {
+      throw new ValidationError(`Sprite ${id} needs ${expected} bytes, got ${data ? data.length : 0}`, { id, expected });
+    }
     this.sprites.set(id, { id, w, h, data: new Uint8Array(data) });
     return this;
   }
 
+  // Define a named variable. Returns the name, to be used in place of a
+  // raw ID: sec.setVar(HP, 3). IDs are allocated when compiling.
+  defineVar(name, opts = {}) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new ValidationError('Variable name must be a non-empty string', { name });
+    }
+    if (this.variables.has(name)) {
+      throw new ValidationError(`Variable '${name}' is already defined`, { name });
+    }
+    const def = {
+      name,
+      initial: opts.initial ?? 0,
+      min: opts.min ?? 0,
+      max: opts.max ?? VAR_VALUE_MAX,
+      description: opts.description || '',
+    };
+    for (const key of ['initial', 'min', 'max']) {
+      const v = def[key];
+      if (!Number.isInteger(v) || v < 0 || v > VAR_VALUE_MAX) {
+        throw new ValidationError(`Variable '${name}': ${key} must be an integer 0-${VAR_VALUE_MAX}`, { name, [key]: v });
+      }
+    }
+    if (def.min > def.max) {
+      throw new ValidationError(`Variable '${name}': min ${def.min} is greater than max ${def.max}`, { name });
+    }
+    if (def.initial < def.min || def.initial > def.max) {
+      throw new ValidationError(`Variable '${name}': initial ${def.initial} is outside ${def.min}-${def.max}`, { name });
+    }
+    this.variables.set(name, def);
+    return name;
+  }
+
   section(id, opts = {}) {
     const s = new Section(id, {
       feedMode: this.defaultFeedMode,
@@ -688,18 +2222,24 @@ class Game {
   onLog(fn) { this._onLog = fn; }
   _log(msg) { if (this._onLog) this._onLog(msg); }
 
-  async connect(baudRate) {
-    await this.printer.connect(baudRate);
+  // A baud rate (Web Serial) or a transport, see Printer.connect()
+  async connect(baudRateOrTransport) {
+    await this.printer.connect(baudRateOrTransport);
     this._log('Connected');
   }
 
   stop() { this._running = false; }
 
   // ----- Preview: render to canvas -----
+  // The compiled stream printed on a Paper, so it shows exactly what
+  // start() sends (each section once, in order: jumps are not followed)
   preview(canvas) {
-    const scanlines = this._generateAllScanlines();
+    const bytes = this.compile();
+    const paper = new Paper();
+    PGP.decode(bytes).commands.forEach(c => paper.paint(c));
+    const scanlines = paper.lines;
     const height = scanlines.length;
-    if (height === 0) return { width: WIDTH, height: 0, lines: 0, bytes: 0 };
+    if (height === 0) return { width: WIDTH, height: 0, lines: 0, bytes: bytes.length };
 
     canvas.width = WIDTH;
     canvas.height = height;
@@ -719,22 +2259,30 @@ class Game {
       }
     }
     ctx.putImageData(img, 0, 0);
-
-    const pgpSize = this.compile().length;
-    return { width: WIDTH, height, lines: height, bytes: pgpSize };
+    return { width: WIDTH, height, lines: height, bytes: bytes.length };
   }
 
   // ----- Compile: generate PGP byte stream -----
   compile() {
+    return this.compileWithSourceMap().bytes;
+  }
+
+  // Compile and record which byte range each section produced:
+  // { bytes, sections: [{ id, start, end }] } (end exclusive)
+  compileWithSourceMap() {
     const frames = [];
+    const sections = [];
+    const byteLength = () => frames.reduce((n, f) => n + f.length, 0);
 
     // Check if any section contains branching commands
     const hasBranching = this._hasBranchingCommands();
 
     // Validate labels before compiling
+    this._labels = this.allocateLabels();
     if (hasBranching) {
       this._validateLabels();
     }
+    this._varIds = this.allocateVars();
 
     // If branching, wrap in PROGRAM_START/END for offline execution
     if (hasBranching) {
@@ -746,33 +2294,24 @@ class Game {
       frames.push(PGP.spriteDef(spr.id, spr.w, spr.h, spr.data));
     }
 
+    // Initial values of named variables
+    if (hasBranching) {
+      for (const [name, def] of this.variables) {
+        frames.push(PGP.setVar(this._varIds.get(name), def.initial));
+      }
+    }
+
     // useBitmapText: false - Native Misaki font (v10.5.0) handles Japanese directly
     // No more Canvas→RAW_LINE conversion needed for Japanese text
     const useBitmapText = false;
 
-    if (hasBranching) {
-      // For branching games: compile ALL sections (flow first, then others)
-      // Native TEXT command with Misaki font for Japanese - minimal buffer usage
-      const compiled = new Set();
-      for (const id of this._flow) {
-        const section = this.sections.get(id);
-        if (!section) continue;
-        frames.push(...this._compileSectionFrames(section, useBitmapText));
-        compiled.add(id);
-      }
-      // Add remaining sections (those with labels that can be jumped to)
-      for (const [id, section] of this.sections) {
-        if (compiled.has(id)) continue;
-        frames.push(...this._compileSectionFrames(section, useBitmapText));
-      }
-    } else {
-      // Non-branching: only compile flow sections
-      // Native TEXT command - Misaki font for Japanese, ASCII fonts for English
-      for (const id of this._flow) {
-        const section = this.sections.get(id);
-        if (!section) continue;
-        frames.push(...this._compileSectionFrames(section, useBitmapText));
-      }
+    // Branching games compile ALL sections (flow first, then the others that
+    // can be jumped to); non-branching games only the flow sections.
+    // Native TEXT command - Misaki font for Japanese, ASCII fonts for English
+    for (const section of this._compileOrder(hasBranching)) {
+      const start = byteLength();
+      frames.push(...this._compileSectionFrames(section, useBitmapText));
+      sections.push({ id: section.id, start, end: byteLength() });
     }
     frames.push(PGP.feed(16));
     frames.push(PGP.stop());
@@ -782,51 +2321,163 @@ class Game {
       frames.push(PGP.programEnd());
     }
 
-    return _concatFrames(frames);
+    return { bytes: _concatFrames(frames), sections };
+  }
+
+  // ----- Allocate numeric IDs to string labels -----
+  // Numeric labels are used as-is. String labels, and section IDs used as
+  // jump targets, get the lowest free IDs in compile order. Sections that
+  // are jumped to by ID start with an implicit label (sectionLabels).
+  allocateLabels() {
+    const reserved = new Set();
+    const named = new Set();
+    const targets = new Set();
+    for (const section of this.sections.values()) {
+      for (const block of section.blocks) {
+        if (block.type === 'label') {
+          if (typeof block.id === 'string') named.add(block.id);
+          else reserved.add(block.id);
+        }
+        for (const ref of _labelRefs(block)) {
+          if (typeof ref === 'string') targets.add(ref);
+        }
+      }
+    }
+
+    const labels = new Map();
+    const sectionLabels = new Map();
+    let next = 1;
+    const assign = (name) => {
+      while (reserved.has(next)) next++;
+      labels.set(name, next++);
+      return labels.get(name);
+    };
+    for (const section of this._compileOrder(true)) {
+      // An explicit label with the same name wins over the section start
+      if (targets.has(section.id) && !named.has(section.id) && !labels.has(section.id)) {
+        sectionLabels.set(section.id, assign(section.id));
+      }
+      for (const block of section.blocks) {
+        if (block.type === 'label' && typeof block.id === 'string' && !labels.has(block.id)) {
+          assign(block.id);
+        }
+      }
+    }
+    return { labels, sectionLabels };
+  }
+
+  // Symbol map for debugging: label and variable names → firmware IDs
+  symbols() {
+    return {
+      labels: Object.fromEntries(this.allocateLabels().labels),
+      variables: Object.fromEntries(this.allocateVars()),
+    };
+  }
+
+  _labelId(ref) {
+    return typeof ref === 'string' ? this._labels.labels.get(ref) : ref;
   }
 
   // ----- Validate labels at compile time -----
   _validateLabels() {
+    const fmt = (ref) => (typeof ref === 'string' ? `'${ref}'` : `${ref}`);
+    const errors = [];
+
     // Step 1: Collect all defined labels
-    const definedLabels = new Set();
+    const definedLabels = new Set(this._labels.sectionLabels.values());
     for (const [sectionId, section] of this.sections) {
       for (const block of section.blocks) {
-        if (block.type === 'label') {
-          definedLabels.add(block.id);
+        if (block.type !== 'label') continue;
+        const id = this._labelId(block.id);
+        if (!Number.isInteger(id) || id < 0 || id > LABEL_MAX) {
+          errors.push(`Section '${sectionId}': label ${fmt(block.id)} must be a name or an integer 0-${LABEL_MAX}`);
+        } else if (definedLabels.has(id)) {
+          errors.push(`Section '${sectionId}': label ${fmt(block.id)} is defined more than once`);
         }
+        definedLabels.add(id);
       }
     }
 
     // Step 2: Validate all label references
-    const errors = [];
     for (const [sectionId, section] of this.sections) {
       for (const block of section.blocks) {
-        if (block.type === 'jump' || block.type === 'jumpIfBtn') {
-          if (!definedLabels.has(block.labelId)) {
-            errors.push(`Section '${sectionId}': jump to undefined label ${block.labelId}`);
+        for (const ref of _labelRefs(block)) {
+          if (!definedLabels.has(this._labelId(ref))) {
+            errors.push(`Section '${sectionId}': ${block.type} to undefined label ${fmt(ref)}`);
           }
         }
-        if (block.type === 'jumpIfVar') {
-          if (!definedLabels.has(block.labelId)) {
-            errors.push(`Section '${sectionId}': jumpIfVar to undefined label ${block.labelId}`);
-          }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new CompileError(
+        `Label validation failed:\n${errors.join('\n')}`,
+        { definedLabels: [...definedLabels], symbols: Object.fromEntries(this._labels.labels), errors }
+      );
+    }
+  }
+
+  // Flow sections first; branching games then add every other section
+  _compileOrder(hasBranching) {
+    const order = this._flow.map(id => this.sections.get(id)).filter(Boolean);
+    if (hasBranching) {
+      for (const section of this.sections.values()) {
+        if (!order.includes(section)) order.push(section);
+      }
+    }
+    return order;
+  }
+
+  // ----- Allocate firmware IDs to named variables -----
+  // Raw numeric IDs used directly in setVar/jumpIfVar are left alone;
+  // names get the lowest free IDs in definition order.
+  allocateVars() {
+    const errors = [];
+    const rawIds = new Set();
+    for (const [sectionId, section] of this.sections) {
+      for (const block of section.blocks) {
+        if (block.type !== 'setVar' && block.type !== 'jumpIfVar') continue;
+        const ref = block.varId;
+        const def = typeof ref === 'string' ? this.variables.get(ref) : null;
+        if (typeof ref === 'string' && !def) {
+          errors.push(`Section '${sectionId}': ${block.type} uses undefined variable '${ref}'`);
+        } else if (typeof ref !== 'string' && !(Number.isInteger(ref) && ref >= 0 && ref < VAR_COUNT)) {
+          errors.push(`Section '${sectionId}': ${block.type} variable ID ${ref} is outside 0-${VAR_COUNT - 1}`);
+        } else if (typeof ref !== 'string') {
+          rawIds.add(ref);
         }
-        if (block.type === 'randomJump') {
-          for (const labelId of block.labelIds) {
-            if (!definedLabels.has(labelId)) {
-              errors.push(`Section '${sectionId}': randomJump to undefined label ${labelId}`);
-            }
-          }
+
+        const v = block.value;
+        if (!Number.isInteger(v) || v < 0 || v > VAR_VALUE_MAX) {
+          errors.push(`Section '${sectionId}': ${block.type} value ${v} is outside 0-${VAR_VALUE_MAX}`);
+        } else if (def && block.type === 'setVar' && (v < def.min || v > def.max)) {
+          errors.push(`Section '${sectionId}': setVar ${def.name} = ${v} is outside its range ${def.min}-${def.max}`);
         }
       }
     }
 
+    const ids = new Map();
+    let next = 0;
+    for (const name of this.variables.keys()) {
+      while (rawIds.has(next)) next++;
+      if (next >= VAR_COUNT) {
+        errors.push(`Too many variables: ${this.variables.size} named + ${rawIds.size} raw IDs, firmware has ${VAR_COUNT}`);
+        break;
+      }
+      ids.set(name, next++);
+    }
+
     if (errors.length > 0) {
       throw new CompileError(
-        `Label validation failed:\n${errors.join('\n')}`,
-        { definedLabels: [...definedLabels], errors }
+        `Variable validation failed:\n${errors.join('\n')}`,
+        { errors }
       );
     }
+    return ids;
+  }
+
+  _varId(ref) {
+    return typeof ref === 'string' ? this._varIds.get(ref) : ref;
   }
 
   // Check if any section contains branching commands
@@ -852,8 +2503,16 @@ class Game {
     try {
       const pgp = this.compile();  // May throw CompileError
       this._log('Sending ' + pgp.length + ' bytes...');
-      await this.printer.sendChunked(pgp, onProgress);
+      // stop() takes effect before the next frame
+      const gate = async () => {
+        if (!this._running) throw new CancelledError();
+      };
+      await this.printer.sendFlowControlled(pgp, { onProgress, gate });
       this._log('Print complete');
+    } catch (e) {
+      if (!(e instanceof CancelledError)) throw e;
+      await this.printer.send(PGP.stop());
+      this._log('Print cancelled');
     } finally {
       this._running = false;
     }
@@ -863,6 +2522,12 @@ class Game {
 
   _compileSectionFrames(section, useBitmapText = false) {
     const frames = [];
+
+    // Implicit label for sections used as jump targets
+    const start = this._labels.sectionLabels.get(section.id);
+    if (start !== undefined) {
+      frames.push(PGP.label(start));
+    }
     const mode = { auto: 0, elastic: 1, precise: 2 }[section.feedMode] ?? 0;
 
     // Skip SET_MODE(0) for auto mode - matches app.js behavior
@@ -886,111 +2551,6 @@ class Game {
     return frames;
   }
 
-  _generateAllScanlines() {
-    const all = [];
-    for (const id of this._flow) {
-      const section = this.sections.get(id);
-      if (!section) continue;
-      if (section._onLine) {
-        all.push(...this._runDynamic(section));
-      } else {
-        all.push(...this._renderStatic(section));
-      }
-    }
-    return all;
-  }
-
-  _renderStatic(section) {
-    const height = section.getStaticHeight(this);
-    if (height === 0) return [];
-
-    const cv = document.createElement('canvas');
-    cv.width = WIDTH;
-    cv.height = height;
-    const ctx = cv.getContext('2d');
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, WIDTH, height);
-    ctx.fillStyle = 'black';
-
-    let y = 0;
-    for (const block of section.blocks) {
-      switch (block.type) {
-        case 'text': {
-          const fh = getFontHeight(block.baseFont, block.scale);
-          const fs = BASE_FONT_PX[block.baseFont] * block.scale;
-          ctx.font = fs + 'px ' + this.fontFamily;
-          ctx.textBaseline = 'top';
-          ctx.fillText(block.str, block.x, y + 1);
-          y += fh;
-          break;
-        }
-        case 'rect':
-          if (block.fill) {
-            ctx.fillRect(block.x, y, block.w, block.h);
-          } else {
-            ctx.strokeStyle = 'black';
-            ctx.lineWidth = 1;
-            ctx.strokeRect(block.x + 0.5, y + 0.5, block.w - 1, block.h - 1);
-          }
-          y += block.h;
-          break;
-        case 'fill':
-          for (let dy = 0; dy < block.count; dy++)
-            for (let x = 0; x < WIDTH; x++)
-              if ((block.pattern >> (7 - (x & 7))) & 1)
-                ctx.fillRect(x, y + dy, 1, 1);
-          y += block.count;
-          break;
-        case 'feed':
-          y += block.lines;
-          break;
-        case 'hline':
-          ctx.fillRect(0, y, WIDTH, block.thickness);
-          y += block.thickness;
-          break;
-        case 'image':
-          for (let dy = 0; dy < block.rows.length; dy++) {
-            const row = block.rows[dy];
-            for (let x = 0; x < WIDTH; x++)
-              if ((row[x >> 3] >> (7 - (x & 7))) & 1)
-                ctx.fillRect(x, y + dy, 1, 1);
-          }
-          y += block.rows.length;
-          break;
-        case 'sprite':
-          // Render sprite from definition
-          if (this.sprites.has(block.id)) {
-            const spr = this.sprites.get(block.id);
-            const bytesPerRow = Math.ceil(spr.w / 8);
-            for (let dy = 0; dy < spr.h; dy++) {
-              for (let dx = 0; dx < spr.w; dx++) {
-                const byteIdx = dy * bytesPerRow + (dx >> 3);
-                const bitIdx = 7 - (dx & 7);
-                if ((spr.data[byteIdx] >> bitIdx) & 1) {
-                  ctx.fillRect(block.x + dx, y + dy, 1, 1);
-                }
-              }
-            }
-            y += spr.h;
-          }
-          break;
-      }
-    }
-
-    const imgData = ctx.getImageData(0, 0, WIDTH, height);
-    const scanlines = [];
-    for (let row = 0; row < height; row++) {
-      const line = new Uint8Array(BPL);
-      for (let x = 0; x < WIDTH; x++) {
-        const i = (row * WIDTH + x) * 4;
-        const gray = imgData.data[i] * 0.299 + imgData.data[i + 1] * 0.587 + imgData.data[i + 2] * 0.114;
-        if (gray < 128) line[x >> 3] |= (1 << (7 - (x & 7)));
-      }
-      scanlines.push(line);
-    }
-    return scanlines;
-  }
-
   _runDynamic(section) {
     const lctx = new LineContext(this, section.maxLines);
     const scanlines = [];
@@ -1019,25 +2579,10 @@ class Game {
         // Use native TEXT command with appropriate font:
         // - ASCII/symbols: use original font (5x7 or 8x16)
         // - CJK (Japanese/Chinese): use MisakiFont8x8 (baseFont=2)
-        const needsJapaneseFont = hasCJK(block.str);
-
-        if (needsJapaneseFont) {
-          // Use Misaki 8x8 Japanese font (baseFont=2)
-          // Recalculate scale for 8px base if size was specified
-          let scale = block.scale;
-          if (block.sizeMm !== null) {
-            const sizePx = block.sizeMm * 8; // 8 dots/mm
-            scale = Math.max(1, Math.min(15, Math.round(sizePx / 8))); // 8px base
-          }
-          const fontByte = encodeFontByte(2, scale);
-          return [PGP.text(block.x, 0, fontByte, block.str)];
-        } else {
-          // Use original ASCII font (5x7 or 8x16)
-          const fontByte = encodeFontByte(block.baseFont, block.scale);
-          return [PGP.text(block.x, 0, fontByte, block.str)];
-        }
+        const f = fontForText(block.str, block.baseFont, block.scale, block.sizeMm);
+        return [PGP.text(block.x, block.y, encodeFontByte(f.baseFont, f.scale), block.str)];
       }
-      case 'rect': return [PGP.rect(block.x, 0, block.w, block.h, block.fill)];
+      case 'rect': return [PGP.rect(block.x, block.y, block.w, block.h, block.fill)];
       case 'fill': return [PGP.fillLine(block.pattern, block.count)];
       case 'feed': return [PGP.feed(block.lines)];
       case 'hline': return [PGP.fillLine(0xFF, block.thickness)];
@@ -1046,15 +2591,16 @@ class Game {
       // Sprite
       case 'sprite': return [PGP.spriteDraw(block.id, block.x, block.y)];
       // Branching
-      case 'label': return [PGP.label(block.id)];
-      case 'jump': return [PGP.jump(block.labelId)];
-      case 'jumpIfBtn': return [PGP.jumpIfBtn(block.buttonMask, block.labelId)];
-      case 'randomJump': return [PGP.randomJump(block.labelIds)];
-      case 'setVar': return [PGP.setVar(block.varId, block.value)];
-      case 'jumpIfVar': return [PGP.jumpIfVar(block.varId, block.op, block.value, block.labelId)];
-      case 'jumpIfFader': return [PGP.jumpIfFader(block.op, block.threshold, block.labelId)];
+      case 'label': return [PGP.label(this._labelId(block.id))];
+      case 'jump': return [PGP.jump(this._labelId(block.labelId))];
+      case 'jumpIfBtn': return [PGP.jumpIfBtn(block.buttonMask, this._labelId(block.labelId))];
+      case 'randomJump': return [PGP.randomJump(block.labelIds.map(id => this._labelId(id)))];
+      case 'setVar': return [PGP.setVar(this._varId(block.varId), block.value)];
+      case 'jumpIfVar': return [PGP.jumpIfVar(this._varId(block.varId), block.op, block.value, this._labelId(block.labelId))];
+      case 'jumpIfFader': return [PGP.jumpIfFader(block.op, block.threshold, this._labelId(block.labelId))];
       case 'waitFader': return [PGP.waitFader(block.op, block.threshold)];
       case 'setFeedMode': return [PGP.setFeedMode(block.mode)];
+      case 'stop': return [PGP.stop()];
       default: return [];
     }
   }
@@ -1081,6 +2627,91 @@ function floydSteinberg(grayscale, width, height) {
   return px;
 }
 
+function atkinson(grayscale, width, height) {
+  const px = new Float32Array(grayscale);
+  // Spreads 6/8 of the error: highlights and shadows stay clean
+  const spread = [[1, 0], [2, 0], [-1, 1], [0, 1], [1, 1], [0, 2]];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const old = px[i];
+      const val = old < 128 ? 0 : 255;
+      px[i] = val;
+      const err = (old - val) / 8;
+      for (const [dx, dy] of spread) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny < height) px[ny * width + nx] += err;
+      }
+    }
+  }
+  return px;
+}
+
+// 8x8 Bayer matrix (0-63)
+const BAYER_8 = [
+   0, 32,  8, 40,  2, 34, 10, 42,
+  48, 16, 56, 24, 50, 18, 58, 26,
+  12, 44,  4, 36, 14, 46,  6, 38,
+  60, 28, 52, 20, 62, 30, 54, 22,
+   3, 35, 11, 43,  1, 33,  9, 41,
+  51, 19, 59, 27, 49, 17, 57, 25,
+  15, 47,  7, 39, 13, 45,  5, 37,
+  63, 31, 55, 23, 61, 29, 53, 21,
+];
+
+function bayer(grayscale, width, height) {
+  const px = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const level = (BAYER_8[(y & 7) * 8 + (x & 7)] + 0.5) * 4;
+      px[i] = grayscale[i] < level ? 0 : 255;
+    }
+  }
+  return px;
+}
+
+function threshold(grayscale, width, height, level = 128) {
+  const px = new Float32Array(width * height);
+  for (let i = 0; i < width * height; i++) px[i] = grayscale[i] < level ? 0 : 255;
+  return px;
+}
+
+const DITHER = {
+  'floyd-steinberg': floydSteinberg,
+  atkinson,
+  bayer,
+  threshold,
+};
+
+/**
+ * Dither a grayscale image with one of DITHER's methods
+ */
+function ditherImage(grayscale, width, height, method = 'floyd-steinberg') {
+  const fn = DITHER[method];
+  if (!fn) throw new ValidationError(`Unknown dither method '${method}'`, { method });
+  return fn(grayscale, width, height);
+}
+
+/**
+ * Brightness / contrast (-100..100) and gamma (> 0, 1 = unchanged) on
+ * a grayscale image, in place
+ */
+function adjustTone(grayscale, { brightness = 0, contrast = 0, gamma = 1 } = {}) {
+  const c = (100 + contrast) / 100;
+  const lut = new Float32Array(256);
+  for (let v = 0; v < 256; v++) {
+    let out = (v - 128) * c * c + 128 + brightness * 2.55;
+    out = Math.min(255, Math.max(0, out));
+    lut[v] = 255 * Math.pow(out / 255, 1 / gamma);
+  }
+  for (let i = 0; i < grayscale.length; i++) {
+    grayscale[i] = lut[Math.min(255, Math.max(0, Math.round(grayscale[i])))];
+  }
+  return grayscale;
+}
+
 function imageToGrayscale(imageData, width, height) {
   const gray = new Float32Array(width * height);
   for (let i = 0; i < width * height; i++) {
@@ -1106,6 +2737,21 @@ function packToRows(dithered, width, height) {
 // =====================================================
 // Helpers
 // =====================================================
+// Label references (jump targets) of a block
+function _labelRefs(block) {
+  switch (block.type) {
+    case 'jump':
+    case 'jumpIfBtn':
+    case 'jumpIfVar':
+    case 'jumpIfFader':
+      return [block.labelId];
+    case 'randomJump':
+      return block.labelIds;
+    default:
+      return [];
+  }
+}
+
 function _concatFrames(frames) {
   const total = frames.reduce((s, f) => s + f.length, 0);
   const out = new Uint8Array(total);
@@ -1119,13 +2765,26 @@ function _concatFrames(frames) {
 // =====================================================
 export {
   // Core classes
-  PGP, Printer, Section, LineContext, Game,
+  PGP, Printer, Section, LineContext, Game, Paper,
+  // Transports
+  WebSerialTransport, WebSocketTransport, NodeSerialTransport, LoopbackTransport,
   // Error classes
-  SDKError, CompileError, ConnectionError, ValidationError,
+  SDKError, CompileError, ConnectionError, ValidationError, CancelledError,
   // Image utilities
-  floydSteinberg, imageToGrayscale, packToRows,
+  floydSteinberg, atkinson, bayer, threshold, DITHER, ditherImage, adjustTone,
+  imageToGrayscale, packToRows,
   // Constants
-  WIDTH, BPL, FONT_HEIGHTS, FONT_CHAR_W,
+  WIDTH, BPL, FONT_HEIGHTS, FONT_CHAR_W, BASE_FONT_PX,
+  // Font helpers
+  encodeFontByte, decodeFontByte, getFontHeight, getFontCharW, sizeToFontScale, hasCJK,
+  fontForText, fontForSize, measureText, getGlyph, registerGlyphs, drawBitmapText,
+  layoutText, TEXT_ALIGN,
+  // QR codes
+  encodeQR, qrRows, QR_EC, QR_MODULE_MAX,
+  // Barcodes
+  encodeBarcode, eanCheckDigit, barcodeSize, drawBarcode, barcodeRows, BARCODE_SYMBOLOGIES, BARCODE_BAR_MAX,
   // Input constants
-  BTN, FEED_MODE,
+  BTN, FEED_MODE, FADER_MAX,
+  // Variable limits
+  VAR_COUNT, VAR_VALUE_MAX,
 };
@@ -0,0 +1,270 @@
+/**
+ * SpriteEditor - Pixel editor for the project's sprites (model.sprites)
+ *
+ * Each finished stroke, fill or line is reported through onChange(sprites)
+ * so the caller can make it one undo step.
+ */
+
+import { SDKError } from './sdk.js';
+import {
+  SPRITE_SIZE_MAX, freeSpriteId, createSprite, spriteBitmap, bitmapToSprite,
+  resizeSprite, mirrorSprite, floodFill, importSpriteImage
+} from './sprites.js';
+import { drawPixelLine } from './raster.js';
+
+const TOOLS = [
+  { value: 'pencil', label: '✎ Pencil' },
+  { value: 'fill', label: '▨ Fill' },
+  { value: 'line', label: '╱ Line' },
+];
+
+// Largest side of the zoomed grid, in screen pixels
+const GRID_PX = 384;
+
+export class SpriteEditor {
+  constructor(options) {
+    this.container = typeof options.container === 'string'
+      ? document.getElementById(options.container)
+      : options.container;
+    // onChange(sprites) - the full sprite list after an edit
+    this.onChange = options.onChange || (() => {});
+    // pickImage() - data URL of a picked image, or null (PNG import)
+    this.pickImage = options.pickImage || (() => Promise.resolve(null));
+    this.model = null;
+    this.selectedId = null;
+    this.tool = 'pencil';
+    this.bitmap = null;
+    this.stroke = null;
+  }
+
+  render(model) {
+    this.model = model;
+    const sprites = [...model.sprites.values()].sort((a, b) => a.id - b.id);
+    if (!model.sprites.has(this.selectedId)) {
+      this.selectedId = sprites.length ? sprites[0].id : null;
+    }
+
+    const el = this.container;
+    el.innerHTML = '';
+    el.appendChild(this.renderToolbar(sprites));
+
+    const sprite = model.sprites.get(this.selectedId);
+    if (!sprite) {
+      const hint = document.createElement('p');
+      hint.className = 'hint';
+      hint.textContent = 'No sprites yet. Create one or import a PNG.';
+      el.appendChild(hint);
+      return;
+    }
+
+    el.appendChild(this.renderSizeRow(sprite));
+    this.bitmap = spriteBitmap(sprite);
+    this.zoom = Math.max(2, Math.min(24, Math.floor(GRID_PX / Math.max(sprite.width, sprite.height))));
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'sprite-grid';
+    this.canvas.width = sprite.width * this.zoom;
+    this.canvas.height = sprite.height * this.zoom;
+    this.bindPointer(this.canvas);
+    el.appendChild(this.canvas);
+    this.draw();
+  }
+
+  renderToolbar(sprites) {
+    const bar = document.createElement('div');
+    bar.className = 'emu-toolbar';
+
+    const select = document.createElement('select');
+    sprites.forEach(s => {
+      const option = document.createElement('option');
+      option.value = s.id;
+      option.textContent = `#${s.id}  ${s.width}×${s.height}  (${this.usage(s.id)} used)`;
+      option.selected = s.id === this.selectedId;
+      select.appendChild(option);
+    });
+    select.disabled = sprites.length === 0;
+    select.addEventListener('change', () => {
+      this.selectedId = parseInt(select.value, 10);
+      this.render(this.model);
+    });
+    bar.appendChild(select);
+
+    const id = freeSpriteId(this.model.sprites);
+    bar.appendChild(this.button('+ New', id === null, () => {
+      this.selectedId = id;
+      this.commit(createSprite(id, 16, 16));
+    }));
+    bar.appendChild(this.button('Import PNG…', id === null, () => this.importImage(id)));
+    bar.appendChild(this.button('Delete', this.selectedId === null, () => {
+      const used = this.usage(this.selectedId);
+      if (used && !confirm(`Sprite #${this.selectedId} is placed ${used} time(s). Delete it anyway?`)) return;
+      const sprites = [...this.model.sprites.values()].filter(s => s.id !== this.selectedId);
+      this.selectedId = null;
+      this.onChange(sprites);
+    }));
+
+    const tools = document.createElement('span');
+    tools.className = 'sprite-tools';
+    TOOLS.forEach(t => {
+      const btn = this.button(t.label, this.selectedId === null, () => {
+        this.tool = t.value;
+        this.render(this.model);
+      });
+      btn.classList.toggle('active', this.tool === t.value);
+      tools.appendChild(btn);
+    });
+    bar.appendChild(tools);
+
+    const sprite = this.model.sprites.get(this.selectedId);
+    bar.appendChild(this.button('⇆', !sprite, () => this.commit(mirrorSprite(sprite, 'h')), 'Mirror left-right'));
+    bar.appendChild(this.button('⇅', !sprite, () => this.commit(mirrorSprite(sprite, 'v')), 'Mirror top-bottom'));
+    return bar;
+  }
+
+  renderSizeRow(sprite) {
+    const row = document.createElement('div');
+    row.className = 'emu-toolbar';
+    const size = {};
+    ['width', 'height'].forEach(key => {
+      const label = document.createElement('label');
+      label.textContent = key;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 1;
+      input.max = SPRITE_SIZE_MAX;
+      input.value = sprite[key];
+      input.addEventListener('change', () => {
+        const width = parseInt(size.width.value, 10);
+        const height = parseInt(size.height.value, 10);
+        try {
+          this.commit(resizeSprite(sprite, width, height));
+        } catch (err) {
+          if (!(err instanceof SDKError)) throw err;
+          alert(err.message);
+          input.value = sprite[key];
+        }
+      });
+      size[key] = input;
+      label.appendChild(input);
+      row.appendChild(label);
+    });
+
+    const hint = document.createElement('span');
+    hint.className = 'emu-status';
+    hint.textContent = `${Math.ceil(sprite.width / 8) * sprite.height} bytes · click inverts, drag paints`;
+    row.appendChild(hint);
+    return row;
+  }
+
+  bindPointer(canvas) {
+    const cell = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return [
+        Math.floor((e.clientX - rect.left) / this.zoom),
+        Math.floor((e.clientY - rect.top) / this.zoom),
+      ];
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+      const [x, y] = cell(e);
+      // The first pixel decides whether this stroke paints or erases
+      const on = !this.bitmap.get(x, y);
+      canvas.setPointerCapture(e.pointerId);
+      if (this.tool === 'fill') {
+        floodFill(this.bitmap, x, y, on);
+        this.commitBitmap();
+        return;
+      }
+      this.stroke = { on, x, y, base: new Uint8Array(this.bitmap.data) };
+      this.bitmap.set(x, y, on);
+      this.draw();
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!this.stroke) return;
+      const [x, y] = cell(e);
+      const s = this.stroke;
+      if (this.tool === 'line') {
+        this.bitmap.data.set(s.base);
+        drawPixelLine(this.bitmap, s.x, s.y, x, y, s.on);
+      } else {
+        drawPixelLine(this.bitmap, s.x, s.y, x, y, s.on);
+        s.x = x;
+        s.y = y;
+      }
+      this.draw();
+    });
+
+    const finish = () => {
+      if (!this.stroke) return;
+      this.stroke = null;
+      this.commitBitmap();
+    };
+    canvas.addEventListener('pointerup', finish);
+    canvas.addEventListener('pointercancel', finish);
+  }
+
+  draw() {
+    const ctx = this.canvas.getContext('2d');
+    const z = this.zoom;
+    ctx.fillStyle = '#f5f5f0';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.fillStyle = 'black';
+    for (let y = 0; y < this.bitmap.height; y++) {
+      for (let x = 0; x < this.bitmap.width; x++) {
+        if (this.bitmap.get(x, y)) ctx.fillRect(x * z, y * z, z, z);
+      }
+    }
+    if (z < 6) return;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+    ctx.beginPath();
+    for (let x = 1; x < this.bitmap.width; x++) {
+      ctx.moveTo(x * z + 0.5, 0);
+      ctx.lineTo(x * z + 0.5, this.canvas.height);
+    }
+    for (let y = 1; y < this.bitmap.height; y++) {
+      ctx.moveTo(0, y * z + 0.5);
+      ctx.lineTo(this.canvas.width, y * z + 0.5);
+    }
+    ctx.stroke();
+  }
+
+  async importImage(id) {
+    const src = await this.pickImage();
+    if (!src) return;
+    try {
+      const sprite = await importSpriteImage(id, src);
+      this.selectedId = id;
+      this.commit(sprite);
+    } catch (err) {
+      console.error('Sprite import error:', err);
+      alert('Sprite import failed: ' + err.message);
+    }
+  }
+
+  commitBitmap() {
+    this.commit(bitmapToSprite(this.selectedId, this.bitmap));
+  }
+
+  // Replace (or add) one sprite and report the whole list
+  commit(sprite) {
+    const sprites = [...this.model.sprites.values()].filter(s => s.id !== sprite.id);
+    sprites.push(sprite);
+    sprites.sort((a, b) => a.id - b.id);
+    this.onChange(sprites);
+  }
+
+  // Sprite objects placed with this ID
+  usage(id) {
+    return this.model.sections.reduce(
+      (n, section) => n + section.objects.filter(o => o.type === 'sprite' && o.spriteId === id).length, 0);
+  }
+
+  button(text, disabled, onClick, title = '') {
+    const btn = document.createElement('button');
+    btn.textContent = text;
+    btn.disabled = disabled;
+    if (title) btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Sprites - Packed 1-bit sprite bitmaps (model.sprites) and pixel tools
+ *
+ * Sprite data is row-major, MSB-first, ceil(width / 8) bytes per row: the
+ * layout of PGP.spriteDef and of raster.Bitmap.
+ */
+
+import { ValidationError } from './sdk.js';
+import { Bitmap } from './raster.js';
+import { loadImage, renderImageRows } from './image-import.js';
+
+// PGP.spriteDef carries id, width and height as single bytes
+export const SPRITE_ID_MAX = 255;
+export const SPRITE_SIZE_MAX = 255;
+
+export function checkSpriteSize(width, height) {
+  [['width', width], ['height', height]].forEach(([name, v]) => {
+    if (!Number.isInteger(v) || v < 1 || v > SPRITE_SIZE_MAX) {
+      throw new ValidationError(`Sprite ${name} must be an integer 1-${SPRITE_SIZE_MAX}`, { [name]: v });
+    }
+  });
+}
+
+/**
+ * Lowest sprite ID not in use (null when all 256 are taken)
+ */
+export function freeSpriteId(sprites) {
+  for (let id = 0; id <= SPRITE_ID_MAX; id++) {
+    if (!sprites.has(id)) return id;
+  }
+  return null;
+}
+
+export function createSprite(id, width, height) {
+  checkSpriteSize(width, height);
+  return { id, width, height, data: new Uint8Array(Math.ceil(width / 8) * height) };
+}
+
+/**
+ * Editable copy of a sprite's pixels
+ */
+export function spriteBitmap(sprite) {
+  const bitmap = new Bitmap(sprite.width, sprite.height);
+  if (sprite.data) bitmap.data.set(sprite.data.subarray(0, bitmap.data.length));
+  return bitmap;
+}
+
+export function bitmapToSprite(id, bitmap) {
+  return { id, width: bitmap.width, height: bitmap.height, data: new Uint8Array(bitmap.data) };
+}
+
+/**
+ * New size, keeping the top-left pixels
+ */
+export function resizeSprite(sprite, width, height) {
+  checkSpriteSize(width, height);
+  const src = spriteBitmap(sprite);
+  const out = new Bitmap(width, height);
+  out.blit(src.data, src.width, src.height, 0, 0);
+  return bitmapToSprite(sprite.id, out);
+}
+
+/**
+ * Flip left-right ('h') or top-bottom ('v')
+ */
+export function mirrorSprite(sprite, axis) {
+  const src = spriteBitmap(sprite);
+  const out = new Bitmap(src.width, src.height);
+  for (let y = 0; y < src.height; y++) {
+    for (let x = 0; x < src.width; x++) {
+      if (!src.get(x, y)) continue;
+      if (axis === 'h') out.set(src.width - 1 - x, y);
+      else out.set(x, src.height - 1 - y);
+    }
+  }
+  return bitmapToSprite(sprite.id, out);
+}
+
+/**
+ * Set the 4-connected region around (x, y) to `on`
+ */
+export function floodFill(bitmap, x, y, on) {
+  if (x < 0 || y < 0 || x >= bitmap.width || y >= bitmap.height) return;
+  const from = bitmap.get(x, y);
+  if (from === on) return;
+  const stack = [[x, y]];
+  while (stack.length) {
+    const [px, py] = stack.pop();
+    if (px < 0 || py < 0 || px >= bitmap.width || py >= bitmap.height) continue;
+    if (bitmap.get(px, py) !== from) continue;
+    bitmap.set(px, py, on);
+    stack.push([px + 1, py], [px - 1, py], [px, py + 1], [px, py - 1]);
+  }
+}
+
+/**
+ * Threshold a picture into a sprite, scaled down to fit 255×255
+ */
+export async function importSpriteImage(id, src) {
+  const img = await loadImage(src);
+  const scale = Math.min(1, SPRITE_SIZE_MAX / img.naturalWidth, SPRITE_SIZE_MAX / img.naturalHeight);
+  const width = Math.max(1, Math.round(img.naturalWidth * scale));
+  const height = Math.max(1, Math.round(img.naturalHeight * scale));
+  const rows = renderImageRows(img, { width, height, dither: 'threshold' });
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = new Uint8Array(bytesPerRow * height);
+  rows.forEach((row, y) => data.set(row.subarray(0, bytesPerRow), y * bytesPerRow));
+  return { id, width, height, data };
+}
+
+/**
+ * Sprite pixels to a canvas: ink opaque black, paper transparent
+ */
+export function spriteToCanvas(sprite) {
+  const bitmap = spriteBitmap(sprite);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d');
+  const img = ctx.createImageData(bitmap.width, bitmap.height);
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      if (bitmap.get(x, y)) img.data[(y * bitmap.width + x) * 4 + 3] = 255;
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
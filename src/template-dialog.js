@@ -0,0 +1,85 @@
+/**
+ * TemplateDialog - "New from template": one card per starter project
+ *
+ * Renders into a <dialog>; picking a card calls onPick(template) and closes.
+ */
+
+import { TEMPLATES, templateInputs } from './templates/index.js';
+
+export class TemplateDialog {
+  constructor(options) {
+    this.dialog = typeof options.dialog === 'string'
+      ? document.getElementById(options.dialog)
+      : options.dialog;
+    this.templates = options.templates || TEMPLATES;
+    // onPick(template) - the template the user chose
+    this.onPick = options.onPick || (() => {});
+  }
+
+  open() {
+    this.render();
+    this.dialog.showModal();
+  }
+
+  close() {
+    this.dialog.close();
+  }
+
+  render() {
+    const el = this.dialog;
+    el.innerHTML = '';
+
+    const head = document.createElement('h3');
+    head.textContent = 'New from template';
+    el.appendChild(head);
+
+    const grid = document.createElement('div');
+    grid.className = 'template-grid';
+    this.templates.forEach(t => grid.appendChild(this.renderCard(t)));
+    el.appendChild(grid);
+
+    const footer = document.createElement('div');
+    footer.className = 'template-footer';
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => this.close());
+    footer.appendChild(cancel);
+    el.appendChild(footer);
+  }
+
+  renderCard(template) {
+    const card = document.createElement('button');
+    card.className = 'template-card';
+
+    const pattern = document.createElement('span');
+    pattern.className = 'template-pattern';
+    pattern.textContent = template.pattern || 'EMPTY';
+    card.appendChild(pattern);
+
+    const name = document.createElement('strong');
+    name.textContent = template.name;
+    card.appendChild(name);
+
+    const desc = document.createElement('span');
+    desc.className = 'template-desc';
+    desc.textContent = template.description;
+    card.appendChild(desc);
+
+    const { sections, variables } = template.project;
+    const inputs = templateInputs(template);
+    const meta = document.createElement('span');
+    meta.className = 'template-meta';
+    meta.textContent = [
+      `${sections.length} section${sections.length === 1 ? '' : 's'}`,
+      variables.length ? `${variables.length} var${variables.length === 1 ? '' : 's'}` : null,
+      inputs.length ? inputs.join(' ') : null,
+    ].filter(Boolean).join(' · ');
+    card.appendChild(meta);
+
+    card.addEventListener('click', () => {
+      this.close();
+      this.onPick(template);
+    });
+    return card;
+  }
+}
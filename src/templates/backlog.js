@@ -0,0 +1,91 @@
+/**
+ * BACKLOG - The strip is handed on; each player reads the last one's log
+ */
+
+export const BACKLOG = {
+  id: 'backlog',
+  pattern: 'BACKLOG',
+  name: 'Relay log',
+  description: 'Pass the paper to the next player, who inherits or overwrites the last run. A inherits, B overwrites, X revives the fallen.',
+  project: {
+    formatVersion: 4,
+    title: 'Relay Dungeon',
+    variables: [
+      { name: 'fallen', initial: 0, min: 0, max: 1, description: '1 while the hero lies dead' }
+    ],
+    sprites: [],
+    sections: [
+      {
+        name: 'inherit',
+        feedMode: 'auto',
+        edges: [
+          { type: 'button', mask: 0x01, target: 'follow' },
+          { type: 'button', mask: 0x02, target: 'overwrite' },
+          { type: 'button', mask: 0x04, target: 'revive' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_1', type: 'text', x: 16, y: 8, text: 'Read the log above: it is the last player\'s run.', fontSize: 24, width: 544 },
+          { id: 'obj_2', type: 'text', x: 16, y: 88, text: 'A: inherit    B: overwrite    X: revive', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'follow',
+        feedMode: 'auto',
+        edges: [{ type: 'goto', target: 'trap' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_3', type: 'text', x: 16, y: 8, text: 'You walk the path they chose.', fontSize: 24, width: 544 }
+        ]
+      },
+      {
+        name: 'overwrite',
+        feedMode: 'auto',
+        edges: [{ type: 'goto', target: 'trap' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_4', type: 'text', x: 16, y: 8, text: 'You cross out their choice and take the other path.', fontSize: 24, width: 544 }
+        ]
+      },
+      {
+        name: 'revive',
+        feedMode: 'auto',
+        edges: [{ type: 'goto', target: 'trap' }],
+        assignments: [{ var: 'fallen', value: 0 }],
+        objects: [
+          { id: 'obj_5', type: 'text', x: 16, y: 8, text: 'You drag the fallen hero back to their feet.', fontSize: 24, width: 544 }
+        ]
+      },
+      {
+        name: 'trap',
+        feedMode: 'auto',
+        edges: [{
+          type: 'random',
+          targets: [{ target: 'survive', weight: 1 }, { target: 'death', weight: 1 }]
+        }],
+        assignments: [],
+        objects: [
+          { id: 'obj_6', type: 'text', x: 16, y: 8, text: '[A trap springs. Your room here.]', fontSize: 24, width: 544 }
+        ]
+      },
+      {
+        name: 'death',
+        feedMode: 'auto',
+        edges: [{ type: 'end' }],
+        assignments: [{ var: 'fallen', value: 1 }],
+        objects: [
+          { id: 'obj_7', type: 'text', x: 16, y: 8, text: 'You fall. Tear off the paper and pass it on.', fontSize: 24, width: 544 }
+        ]
+      },
+      {
+        name: 'survive',
+        feedMode: 'auto',
+        edges: [{ type: 'end' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_8', type: 'text', x: 16, y: 8, text: 'You made it through. Pass the paper on.', fontSize: 24, width: 544 }
+        ]
+      }
+    ]
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * FEEDER - A game master feeds pages; the player reads at their own pace
+ */
+
+export const FEEDER = {
+  id: 'feeder',
+  pattern: 'FEEDER',
+  name: 'Game master',
+  description: 'The player device for a GM-led session. The fader paces the reading, A asks for the next page, B for a reprint.',
+  project: {
+    formatVersion: 4,
+    title: 'Table Talk',
+    variables: [],
+    sprites: [],
+    sections: [
+      {
+        name: 'waiting',
+        feedMode: 'auto',
+        edges: [
+          { type: 'button', mask: 0x01, target: 'page' },
+          { type: 'button', mask: 0x04, target: 'farewell' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_1', type: 'text', x: 0, y: 8, text: 'TABLE TALK', fontSize: 32, width: 576, align: 'center' },
+          { id: 'obj_2', type: 'text', x: 16, y: 64, text: 'A: ready for the next page    X: leave the table', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'page',
+        feedMode: 'elastic',
+        edges: [
+          { type: 'button', mask: 0x01, target: 'waiting' },
+          { type: 'button', mask: 0x02, target: 'page' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_3', type: 'text', x: 16, y: 8, text: "[The game master's page prints here.]", fontSize: 24, width: 544 },
+          { id: 'obj_4', type: 'rect', x: 16, y: 88, width: 544, height: 2, fill: true },
+          { id: 'obj_5', type: 'text', x: 16, y: 104, text: 'Fader: reading speed    A: next page    B: once more', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'farewell',
+        feedMode: 'auto',
+        edges: [{ type: 'end' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_6', type: 'text', x: 0, y: 8, text: 'Thanks for playing.', fontSize: 24, width: 576, align: 'center' }
+        ]
+      }
+    ]
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * GENERATOR - The printout is the game: cards to cut out and play with
+ */
+
+export const GENERATOR = {
+  id: 'generator',
+  pattern: 'GENERATOR',
+  name: 'Card generator',
+  description: 'Prints cards with cut lines for a tabletop game. L/R pick the card type, the fader sets how often rares appear, A prints.',
+  project: {
+    formatVersion: 4,
+    title: 'Card Forge',
+    variables: [
+      { name: 'card_type', initial: 0, min: 0, max: 1, description: '0 monster, 1 item' }
+    ],
+    sprites: [],
+    sections: [
+      {
+        name: 'setup',
+        feedMode: 'auto',
+        edges: [
+          { type: 'button', mask: 0x10, target: 'monster' },
+          { type: 'button', mask: 0x20, target: 'item' },
+          { type: 'button', mask: 0x01, target: 'generate' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_1', type: 'text', x: 0, y: 8, text: 'CARD FORGE', fontSize: 32, width: 576, align: 'center' },
+          { id: 'obj_2', type: 'text', x: 16, y: 64, text: 'L: monster cards    R: item cards    A: print', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'monster',
+        feedMode: 'auto',
+        edges: [{ type: 'goto', target: 'generate' }],
+        assignments: [{ var: 'card_type', value: 0 }],
+        objects: []
+      },
+      {
+        name: 'item',
+        feedMode: 'auto',
+        edges: [{ type: 'goto', target: 'generate' }],
+        assignments: [{ var: 'card_type', value: 1 }],
+        objects: []
+      },
+      {
+        name: 'generate',
+        feedMode: 'auto',
+        edges: [
+          { type: 'fader', op: 'GE', threshold: 3072, target: 'rare' },
+          { type: 'goto', target: 'print' }
+        ],
+        assignments: [],
+        objects: []
+      },
+      {
+        name: 'print',
+        feedMode: 'auto',
+        edges: [
+          { type: 'button', mask: 0x01, target: 'generate' },
+          { type: 'button', mask: 0x02, target: 'setup' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_3', type: 'rect', x: 88, y: 16, width: 400, height: 240, fill: false },
+          { id: 'obj_4', type: 'text', x: 112, y: 40, text: '[Card name]', fontSize: 32, width: 352 },
+          { id: 'obj_5', type: 'text', x: 112, y: 104, text: '[Effect text]', fontSize: 16, width: 352 },
+          { id: 'obj_6', type: 'line', x: 0, y: 288, points: [0, 0, 576, 0], strokeWidth: 1 },
+          { id: 'obj_7', type: 'text', x: 16, y: 304, text: 'A: another card    B: change type', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'rare',
+        feedMode: 'auto',
+        edges: [
+          { type: 'button', mask: 0x01, target: 'generate' },
+          { type: 'button', mask: 0x02, target: 'setup' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_8', type: 'rect', x: 88, y: 16, width: 400, height: 240, fill: false },
+          { id: 'obj_9', type: 'rect', x: 88, y: 16, width: 400, height: 16, fill: true, pattern: 'checker50' },
+          { id: 'obj_10', type: 'text', x: 112, y: 48, text: '[Rare card name]', fontSize: 32, width: 352 },
+          { id: 'obj_11', type: 'text', x: 112, y: 104, text: '[Effect text]', fontSize: 16, width: 352 },
+          { id: 'obj_12', type: 'line', x: 0, y: 288, points: [0, 0, 576, 0], strokeWidth: 1 },
+          { id: 'obj_13', type: 'text', x: 16, y: 304, text: 'A: another card    B: change type', fontSize: 16, width: 544 }
+        ]
+      }
+    ]
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * Templates - Starter projects for the game patterns (docs/GAME_PATTERNS.md)
+ *
+ * A template is { id, pattern, name, description, project }, where
+ * `project` is a .exs document (see docs/PROJECT_FORMAT.md). It carries its
+ * own formatVersion and is loaded exactly like an opened file: migrated to
+ * the current format, validated, then read into the SceneModel. A project
+ * saved from Studio can be pasted in as-is.
+ *
+ * To add a template, put it in its own module here and list it in TEMPLATES.
+ */
+
+import { loadProject } from '../project-file.js';
+import { maskToNames } from '../flow.js';
+import { REVEAL } from './reveal.js';
+import { LOOP } from './loop.js';
+import { FEEDER } from './feeder.js';
+import { SYNC } from './sync.js';
+import { BACKLOG } from './backlog.js';
+import { GENERATOR } from './generator.js';
+import { VERSUS } from './versus.js';
+
+export const BLANK = {
+  id: 'blank',
+  pattern: null,
+  name: 'Empty project',
+  description: 'One empty section.',
+  project: {
+    formatVersion: 4,
+    title: 'Untitled Game',
+    variables: [],
+    sprites: [],
+    sections: [
+      { name: 'main', feedMode: 'auto', edges: [], assignments: [], objects: [] }
+    ]
+  }
+};
+
+// In the order the New dialog lists them
+export const TEMPLATES = [BLANK, REVEAL, LOOP, FEEDER, SYNC, BACKLOG, GENERATOR, VERSUS];
+
+/**
+ * Load a template into an existing SceneModel (a fresh copy each time).
+ * Throws ValidationError when the template's project is not valid.
+ */
+export function loadTemplate(model, template) {
+  return loadProject(model, JSON.stringify(template.project));
+}
+
+/**
+ * Buttons and fader the template's branches react to, e.g. ['A', 'B', 'fader']
+ */
+export function templateInputs(template) {
+  const inputs = new Set();
+  template.project.sections.forEach(section => (section.edges || []).forEach(edge => {
+    if (edge.type === 'button') maskToNames(edge.mask).forEach(b => inputs.add(b));
+    if (edge.type === 'fader') inputs.add('fader');
+  }));
+  return ['ANY', 'A', 'B', 'X', 'Y', 'L', 'R', 'fader'].filter(i => inputs.has(i));
+}
@@ -0,0 +1,75 @@
+/**
+ * LOOP - Time loop: rewind the paper and choose again with the past in view
+ */
+
+export const LOOP = {
+  id: 'loop',
+  pattern: 'LOOP',
+  name: 'Time loop',
+  description: 'Wind back to a checkpoint and retry with what you learned. A moves on, B rewinds, the fader picks how far back.',
+  project: {
+    formatVersion: 4,
+    title: 'Groundhog Morning',
+    variables: [
+      { name: 'has_key', initial: 0, min: 0, max: 1, description: '1 once the key is picked up' }
+    ],
+    sprites: [],
+    sections: [
+      {
+        name: 'start',
+        feedMode: 'precise',
+        edges: [{ type: 'button', mask: 0x01, target: 'checkpoint' }],
+        assignments: [{ var: 'has_key', value: 0 }],
+        objects: [
+          { id: 'obj_1', type: 'text', x: 16, y: 8, text: 'Day 1, 07:00. The alarm rings. Again.', fontSize: 24, width: 544 },
+          { id: 'obj_2', type: 'text', x: 16, y: 88, text: 'A: get up', fontSize: 16 }
+        ]
+      },
+      {
+        name: 'checkpoint',
+        feedMode: 'precise',
+        edges: [
+          { type: 'var', var: 'has_key', op: 'EQ', value: 1, target: 'open' },
+          { type: 'button', mask: 0x01, target: 'key' },
+          { type: 'button', mask: 0x02, target: 'rewind' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_3', type: 'text', x: 16, y: 8, text: 'A locked door. Something glints under the mat.', fontSize: 24, width: 544 },
+          { id: 'obj_4', type: 'text', x: 16, y: 88, text: 'A: look under the mat    B: rewind', fontSize: 16 }
+        ]
+      },
+      {
+        name: 'key',
+        feedMode: 'precise',
+        edges: [{ type: 'goto', target: 'checkpoint' }],
+        assignments: [{ var: 'has_key', value: 1 }],
+        objects: [
+          { id: 'obj_5', type: 'text', x: 16, y: 8, text: 'A key. You pocket it.', fontSize: 24, width: 544 }
+        ]
+      },
+      {
+        name: 'rewind',
+        feedMode: 'precise',
+        edges: [
+          { type: 'fader', op: 'GE', threshold: 2048, target: 'start' },
+          { type: 'goto', target: 'checkpoint' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_6', type: 'text', x: 16, y: 8, text: 'Winding back...', fontSize: 24, width: 544 },
+          { id: 'obj_7', type: 'text', x: 16, y: 48, text: 'Fader up: back to the morning. Down: back to the door.', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'open',
+        feedMode: 'precise',
+        edges: [{ type: 'end' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_8', type: 'text', x: 16, y: 8, text: 'The door opens. The loop is broken.', fontSize: 24, width: 544 }
+        ]
+      }
+    ]
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * REVEAL - One-way branching story: choose, print, choose, print
+ */
+
+export const REVEAL = {
+  id: 'reveal',
+  pattern: 'REVEAL',
+  name: 'Branching story',
+  description: 'Choices printed one after another; the strip is the record of the adventure. A/B pick the path.',
+  project: {
+    formatVersion: 4,
+    title: 'Forest Path',
+    variables: [],
+    sprites: [],
+    sections: [
+      {
+        name: 'intro',
+        feedMode: 'auto',
+        edges: [
+          { type: 'button', mask: 0x01, target: 'scene1' },
+          { type: 'button', mask: 0x02, target: 'scene2' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_1', type: 'text', x: 0, y: 8, text: 'THE FOREST PATH', fontSize: 32, width: 576, align: 'center' },
+          { id: 'obj_2', type: 'text', x: 16, y: 64, text: 'You stand where the road ends and the trees begin.', fontSize: 24, width: 544 },
+          { id: 'obj_3', type: 'text', x: 16, y: 144, text: 'A: go east    B: go west', fontSize: 16 }
+        ]
+      },
+      {
+        name: 'scene1',
+        feedMode: 'auto',
+        edges: [{ type: 'button', mask: 0x01, target: 'end' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_4', type: 'text', x: 16, y: 8, text: 'East: a stream crosses the path. [Your scene here]', fontSize: 24, width: 544 },
+          { id: 'obj_5', type: 'text', x: 16, y: 88, text: 'A: next', fontSize: 16 }
+        ]
+      },
+      {
+        name: 'scene2',
+        feedMode: 'auto',
+        edges: [{ type: 'button', mask: 0x01, target: 'end' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_6', type: 'text', x: 16, y: 8, text: 'West: an old hut, door ajar. [Your scene here]', fontSize: 24, width: 544 },
+          { id: 'obj_7', type: 'text', x: 16, y: 88, text: 'A: next', fontSize: 16 }
+        ]
+      },
+      {
+        name: 'end',
+        feedMode: 'auto',
+        edges: [{ type: 'end' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_8', type: 'text', x: 0, y: 16, text: 'THE END', fontSize: 32, width: 576, align: 'center' }
+        ]
+      }
+    ]
+  }
+};
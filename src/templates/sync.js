@@ -0,0 +1,102 @@
+/**
+ * SYNC - Players act at the same time without seeing each other's choice
+ */
+
+export const SYNC = {
+  id: 'sync',
+  pattern: 'SYNC',
+  name: 'Simultaneous turns',
+  description: 'One player device of a synced session. A/B choose, X/Y use a skill, L/R reprint the choices; the outcome is a placeholder coin flip.',
+  project: {
+    formatVersion: 4,
+    title: 'Dragon Raid',
+    variables: [
+      { name: 'choice', initial: 0, min: 0, max: 3, description: '1 strike, 2 guard, 3 skill' }
+    ],
+    sprites: [],
+    sections: [
+      {
+        name: 'lobby',
+        feedMode: 'auto',
+        edges: [{ type: 'button', mask: 0x01, target: 'round' }],
+        assignments: [{ var: 'choice', value: 0 }],
+        objects: [
+          { id: 'obj_1', type: 'text', x: 0, y: 8, text: 'DRAGON RAID', fontSize: 32, width: 576, align: 'center' },
+          { id: 'obj_2', type: 'text', x: 16, y: 64, text: 'Waiting for every player. A: ready', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'round',
+        feedMode: 'auto',
+        edges: [
+          { type: 'button', mask: 0x01, target: 'strike' },
+          { type: 'button', mask: 0x02, target: 'guard' },
+          { type: 'button', mask: 0x0C, target: 'skill' },
+          { type: 'button', mask: 0x30, target: 'round' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_3', type: 'text', x: 16, y: 8, text: 'The dragon rears up. Choose before the others see.', fontSize: 24, width: 544 },
+          { id: 'obj_4', type: 'text', x: 16, y: 88, text: 'A: strike  B: guard  X/Y: skill  L/R: reprint', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'strike',
+        feedMode: 'auto',
+        edges: [{ type: 'goto', target: 'sync' }],
+        assignments: [{ var: 'choice', value: 1 }],
+        objects: [
+          { id: 'obj_5', type: 'text', x: 16, y: 8, text: 'You strike.', fontSize: 24 }
+        ]
+      },
+      {
+        name: 'guard',
+        feedMode: 'auto',
+        edges: [{ type: 'goto', target: 'sync' }],
+        assignments: [{ var: 'choice', value: 2 }],
+        objects: [
+          { id: 'obj_6', type: 'text', x: 16, y: 8, text: 'You raise your shield.', fontSize: 24 }
+        ]
+      },
+      {
+        name: 'skill',
+        feedMode: 'auto',
+        edges: [{ type: 'goto', target: 'sync' }],
+        assignments: [{ var: 'choice', value: 3 }],
+        objects: [
+          { id: 'obj_7', type: 'text', x: 16, y: 8, text: 'You call on your skill.', fontSize: 24 }
+        ]
+      },
+      {
+        name: 'sync',
+        feedMode: 'auto',
+        edges: [{
+          type: 'random',
+          targets: [{ target: 'win', weight: 1 }, { target: 'lose', weight: 1 }]
+        }],
+        assignments: [],
+        objects: [
+          { id: 'obj_8', type: 'text', x: 16, y: 8, text: "[Sync point: everyone's choices combine here.]", fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'win',
+        feedMode: 'auto',
+        edges: [{ type: 'end' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_9', type: 'text', x: 0, y: 8, text: 'The dragon falls!', fontSize: 32, width: 576, align: 'center' }
+        ]
+      },
+      {
+        name: 'lose',
+        feedMode: 'auto',
+        edges: [{ type: 'end' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_10', type: 'text', x: 0, y: 8, text: 'The party retreats.', fontSize: 32, width: 576, align: 'center' }
+        ]
+      }
+    ]
+  }
+};
@@ -0,0 +1,97 @@
+/**
+ * VERSUS - Two players take turns printing ink; most ink on the strip wins
+ */
+
+export const VERSUS = {
+  id: 'versus',
+  pattern: 'VERSUS',
+  name: 'Ink territory',
+  description: 'Two players alternate on one device. The fader aims left or right, A prints the ink, X ends the match.',
+  project: {
+    formatVersion: 4,
+    title: 'Ink Territory',
+    variables: [
+      { name: 'turn', initial: 1, min: 1, max: 2, description: 'Player whose turn it is' }
+    ],
+    sprites: [],
+    sections: [
+      {
+        name: 'start',
+        feedMode: 'precise',
+        edges: [{ type: 'button', mask: 0x01, target: 'p1' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_1', type: 'text', x: 0, y: 8, text: 'INK TERRITORY', fontSize: 32, width: 576, align: 'center' },
+          { id: 'obj_2', type: 'text', x: 16, y: 64, text: 'Take turns printing ink. Most ink on the strip wins. A: start', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'p1',
+        feedMode: 'precise',
+        edges: [
+          { type: 'button', mask: 0x01, target: 'aim' },
+          { type: 'button', mask: 0x04, target: 'judge' }
+        ],
+        assignments: [{ var: 'turn', value: 1 }],
+        objects: [
+          { id: 'obj_3', type: 'text', x: 16, y: 8, text: 'Player 1: set the fader, A: print, X: end match', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'p2',
+        feedMode: 'precise',
+        edges: [
+          { type: 'button', mask: 0x01, target: 'aim' },
+          { type: 'button', mask: 0x04, target: 'judge' }
+        ],
+        assignments: [{ var: 'turn', value: 2 }],
+        objects: [
+          { id: 'obj_4', type: 'text', x: 16, y: 8, text: 'Player 2: set the fader, A: print, X: end match', fontSize: 16, width: 544 }
+        ]
+      },
+      {
+        name: 'aim',
+        feedMode: 'precise',
+        edges: [
+          { type: 'fader', op: 'LT', threshold: 2048, target: 'ink_left' },
+          { type: 'goto', target: 'ink_right' }
+        ],
+        assignments: [],
+        objects: []
+      },
+      {
+        name: 'ink_left',
+        feedMode: 'precise',
+        edges: [
+          { type: 'var', var: 'turn', op: 'EQ', value: 1, target: 'p2' },
+          { type: 'goto', target: 'p1' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_5', type: 'rect', x: 0, y: 0, width: 288, height: 48, fill: true, pattern: 'checker50' }
+        ]
+      },
+      {
+        name: 'ink_right',
+        feedMode: 'precise',
+        edges: [
+          { type: 'var', var: 'turn', op: 'EQ', value: 1, target: 'p2' },
+          { type: 'goto', target: 'p1' }
+        ],
+        assignments: [],
+        objects: [
+          { id: 'obj_6', type: 'rect', x: 288, y: 0, width: 288, height: 48, fill: true, pattern: 'checker50' }
+        ]
+      },
+      {
+        name: 'judge',
+        feedMode: 'precise',
+        edges: [{ type: 'end' }],
+        assignments: [],
+        objects: [
+          { id: 'obj_7', type: 'text', x: 0, y: 8, text: 'Count the ink. Most ink wins!', fontSize: 24, width: 576, align: 'center' }
+        ]
+      }
+    ]
+  }
+};
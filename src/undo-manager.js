@@ -0,0 +1,291 @@
+/**
+ * UndoManager - Command-based undo/redo history for SceneModel edits
+ *
+ * Every edit is an action with execute(model) / undo(model). Actions that
+ * share a coalesceKey and arrive within `coalesceMs` of each other are merged
+ * into one history entry, so dragging a number spinner is a single undo step.
+ *
+ * Actions find their objects and sections in `model` by id / name each time:
+ * ReplaceSceneAction rebuilds every instance, so references kept from an
+ * earlier edit would point at objects no longer in the scene.
+ */
+
+export class UndoManager {
+  constructor(model, options = {}) {
+    this.model = model;
+    this.limit = options.limit || 100;
+    this.coalesceMs = options.coalesceMs ?? 500;
+    this.onChange = options.onChange || (() => {});
+    this.undoStack = [];
+    this.redoStack = [];
+    this._lastTime = 0;
+  }
+
+  get canUndo() { return this.undoStack.length > 0; }
+  get canRedo() { return this.redoStack.length > 0; }
+
+  execute(action) {
+    action.execute(this.model);
+
+    const now = Date.now();
+    const top = this.undoStack[this.undoStack.length - 1];
+    if (top && action.coalesceKey && top.coalesceKey === action.coalesceKey &&
+        now - this._lastTime < this.coalesceMs) {
+      top.merge(action);
+    } else {
+      this.undoStack.push(action);
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+    }
+    this._lastTime = now;
+    this.redoStack = [];
+    this.onChange(action, 'execute');
+  }
+
+  undo() {
+    const action = this.undoStack.pop();
+    if (!action) return null;
+    action.undo(this.model);
+    this.redoStack.push(action);
+    this._lastTime = 0;
+    this.onChange(action, 'undo');
+    return action;
+  }
+
+  redo() {
+    const action = this.redoStack.pop();
+    if (!action) return null;
+    action.execute(this.model);
+    this.undoStack.push(action);
+    this._lastTime = 0;
+    this.onChange(action, 'redo');
+    return action;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._lastTime = 0;
+    this.onChange(null, 'clear');
+  }
+}
+
+// =====================================================
+// Object Actions
+// =====================================================
+export class AddObjectAction {
+  constructor(sectionName, object, index) {
+    this.label = `Add ${object.type}`;
+    this.sectionName = sectionName;
+    this.object = object;
+    this.index = index;
+  }
+
+  execute(model) {
+    model.addObject(this.sectionName, this.object, this.index);
+  }
+
+  undo(model) {
+    // Keep the live instance: it may have been rebuilt since it was added
+    const removed = model.removeObject(this.sectionName, this.object.id);
+    if (removed) this.object = removed.obj;
+  }
+}
+
+export class RemoveObjectAction {
+  constructor(sectionName, object) {
+    this.label = `Delete ${object.type}`;
+    this.sectionName = sectionName;
+    this.object = object;
+    this.index = -1;
+  }
+
+  execute(model) {
+    const removed = model.removeObject(this.sectionName, this.object.id);
+    if (removed) {
+      this.object = removed.obj;
+      this.index = removed.index;
+    }
+  }
+
+  undo(model) {
+    model.addObject(this.sectionName, this.object, this.index);
+  }
+}
+
+/**
+ * Property change on one object (move, transform or property panel edit)
+ */
+export class UpdateObjectAction {
+  constructor(sectionName, object, changes) {
+    this.label = `Edit ${object.type}`;
+    this.sectionName = sectionName;
+    this.objectId = object.id;
+    this.after = { ...changes };
+    this.before = {};
+    Object.keys(changes).forEach(key => {
+      this.before[key] = cloneValue(object[key]);
+    });
+    this.coalesceKey = `update:${object.id}:${Object.keys(changes).sort().join(',')}`;
+  }
+
+  execute(model) {
+    const obj = model.findObject(this.objectId)?.obj;
+    if (!obj) return;
+    Object.entries(this.after).forEach(([key, value]) => {
+      obj[key] = cloneValue(value);
+    });
+  }
+
+  undo(model) {
+    const obj = model.findObject(this.objectId)?.obj;
+    if (!obj) return;
+    Object.entries(this.before).forEach(([key, value]) => {
+      if (value === undefined) delete obj[key];
+      else obj[key] = cloneValue(value);
+    });
+  }
+
+  merge(next) {
+    this.after = { ...this.after, ...next.after };
+  }
+}
+
+// =====================================================
+// Section Actions
+// =====================================================
+export class AddSectionAction {
+  constructor(name, options = {}) {
+    this.label = `Add section ${name}`;
+    this.sectionName = name;
+    this.options = options;
+    this.section = null;
+    this.previousName = null;
+  }
+
+  execute(model) {
+    this.previousName = model.currentSection?.name;
+    if (this.section) {
+      model.insertSection(this.section);
+    } else {
+      model.addSection(this.sectionName, this.options);
+    }
+  }
+
+  undo(model) {
+    this.section = model.getSection(this.sectionName) || this.section;
+    model.removeSection(this.sectionName);
+    const previous = model.getSection(this.previousName);
+    if (previous) model.currentSection = previous;
+  }
+}
+
+export class RemoveSectionAction {
+  constructor(name) {
+    this.label = `Delete section ${name}`;
+    this.sectionName = name;
+    this.section = null;
+    this.index = -1;
+  }
+
+  execute(model) {
+    this.index = model.sections.findIndex(s => s.name === this.sectionName);
+    this.section = model.sections[this.index] || null;
+    model.removeSection(this.sectionName);
+  }
+
+  undo(model) {
+    if (this.section) model.insertSection(this.section, this.index);
+  }
+}
+
+export class UpdateSectionAction {
+  constructor(section, changes) {
+    this.label = `Edit section ${section.name}`;
+    // Renames change the name the section is found by
+    this.nameBefore = section.name;
+    this.nameAfter = changes.name ?? section.name;
+    this.sectionName = section.name;
+    this.after = { ...changes };
+    this.before = {};
+    Object.keys(changes).forEach(key => {
+      this.before[key] = cloneValue(section[key]);
+    });
+    this.coalesceKey = `section:${section.name}:${Object.keys(changes).sort().join(',')}`;
+  }
+
+  execute(model) {
+    const section = model.getSection(this.nameBefore);
+    if (section) Object.assign(section, cloneValue(this.after));
+    this.sectionName = this.nameAfter;
+  }
+
+  undo(model) {
+    const section = model.getSection(this.nameAfter);
+    if (section) Object.assign(section, cloneValue(this.before));
+    this.sectionName = this.nameBefore;
+  }
+
+  merge(next) {
+    this.after = { ...this.after, ...next.after };
+    this.nameAfter = next.nameAfter;
+    this.sectionName = next.sectionName;
+  }
+}
+
+// =====================================================
+// Scene Actions
+// =====================================================
+
+/**
+ * Swap the whole scene for another one (e.g. after a code edit)
+ */
+export class ReplaceSceneAction {
+  constructor(model, nextModel, label = 'Replace scene') {
+    this.label = label;
+    this.before = snapshotScene(model);
+    this.after = snapshotScene(nextModel);
+    this.sectionName = this.after.current;
+    this.coalesceKey = `scene:${label}`;
+  }
+
+  execute(model) {
+    restoreScene(model, this.after);
+  }
+
+  undo(model) {
+    restoreScene(model, this.before);
+  }
+
+  merge(next) {
+    this.after = next.after;
+    this.sectionName = next.sectionName;
+  }
+}
+
+function snapshotScene(model) {
+  return {
+    json: cloneValue(model.toJSON()),
+    idCounter: model._idCounter,
+    current: model.currentSection?.name
+  };
+}
+
+function restoreScene(model, snapshot) {
+  model.fromJSON(cloneValue(snapshot.json));
+  model._idCounter = Math.max(model._idCounter, snapshot.idCounter);
+  model.currentSection = model.getSection(snapshot.current) || model.sections[0] || null;
+}
+
+// =====================================================
+// Helpers
+// =====================================================
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof Uint8Array) return new Uint8Array(value);
+  if (value && typeof value === 'object') {
+    const out = {};
+    Object.entries(value).forEach(([k, v]) => { out[k] = cloneValue(v); });
+    return out;
+  }
+  return value;
+}
@@ -0,0 +1,130 @@
+/**
+ * VariableEditor - Edit the project's named variables
+ */
+
+import { isValidVarName } from './flow.js';
+import { VAR_COUNT, VAR_VALUE_MAX } from './sdk.js';
+
+export class VariableEditor {
+  constructor(options) {
+    this.container = typeof options.container === 'string'
+      ? document.getElementById(options.container)
+      : options.container;
+    // onChange(variables, renamed) - renamed is { from, to } for a rename
+    this.onChange = options.onChange || (() => {});
+    this.variables = [];
+  }
+
+  render(model) {
+    this.variables = model.variables;
+    const el = this.container;
+    el.innerHTML = '';
+
+    this.variables.forEach((v, i) => el.appendChild(this.renderVariable(v, i)));
+
+    const btnAdd = document.createElement('button');
+    btnAdd.className = 'branch-add';
+    btnAdd.textContent = '+ Add Variable';
+    btnAdd.disabled = this.variables.length >= VAR_COUNT;
+    btnAdd.addEventListener('click', () => {
+      this.onChange([...this.variables, {
+        name: this.uniqueName('var'), initial: 0, min: 0, max: VAR_VALUE_MAX, description: ''
+      }]);
+    });
+    el.appendChild(btnAdd);
+  }
+
+  renderVariable(v, index) {
+    const row = document.createElement('div');
+    row.className = 'var-row';
+
+    const head = document.createElement('div');
+    head.className = 'branch-line';
+    const id = document.createElement('span');
+    id.className = 'var-id';
+    id.textContent = `#${index}`;
+    id.title = 'Firmware variable ID (allocated in this order when compiling)';
+    head.appendChild(id);
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'var-name';
+    name.value = v.name;
+    name.addEventListener('change', () => {
+      const next = name.value.trim();
+      if (next === v.name) return;
+      if (!isValidVarName(next)) {
+        alert(`'${next}' is not a valid variable name (letters, digits, _ and $; not a reserved word)`);
+        name.value = v.name;
+        return;
+      }
+      if (this.variables.some(x => x.name === next)) {
+        alert(`Variable '${next}' already exists`);
+        name.value = v.name;
+        return;
+      }
+      this.update(index, { name: next }, { from: v.name, to: next });
+    });
+    head.appendChild(name);
+
+    const btnRemove = document.createElement('button');
+    btnRemove.className = 'branch-icon';
+    btnRemove.textContent = '×';
+    btnRemove.title = `Delete variable ${v.name}`;
+    btnRemove.addEventListener('click', () => {
+      this.onChange(this.variables.filter((_, i) => i !== index));
+    });
+    head.appendChild(btnRemove);
+    row.appendChild(head);
+
+    const range = document.createElement('div');
+    range.className = 'branch-line';
+    ['initial', 'min', 'max'].forEach(key => {
+      range.append(key === 'initial' ? 'init' : key);
+      range.appendChild(this.numberInput(v[key], value => this.updateRange(index, key, value)));
+    });
+    row.appendChild(range);
+
+    const desc = document.createElement('input');
+    desc.type = 'text';
+    desc.className = 'var-desc';
+    desc.placeholder = 'Description';
+    desc.value = v.description || '';
+    desc.addEventListener('change', () => this.update(index, { description: desc.value }));
+    row.appendChild(desc);
+
+    return row;
+  }
+
+  // Keep min <= initial <= max whichever one is edited
+  updateRange(index, key, value) {
+    const v = { ...this.variables[index], [key]: value };
+    if (key === 'min' && v.max < v.min) v.max = v.min;
+    if (key === 'max' && v.min > v.max) v.min = v.max;
+    v.initial = Math.max(v.min, Math.min(v.max, v.initial));
+    this.update(index, v);
+  }
+
+  update(index, changes, renamed = null) {
+    const variables = this.variables.map((v, i) => (i === index ? { ...v, ...changes } : v));
+    this.onChange(variables, renamed);
+  }
+
+  uniqueName(base) {
+    let n = this.variables.length;
+    while (this.variables.some(v => v.name === `${base}${n}`)) n++;
+    return `${base}${n}`;
+  }
+
+  numberInput(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.max = VAR_VALUE_MAX;
+    input.value = value;
+    input.addEventListener('change', () => {
+      onChange(Math.max(0, Math.min(VAR_VALUE_MAX, Math.round(parseFloat(input.value) || 0))));
+    });
+    return input;
+  }
+}
@@ -3,6 +3,12 @@
  */
 
 import Konva from 'konva';
+import { rowsToCanvas } from './image-import.js';
+import { spriteToCanvas } from './sprites.js';
+import { SDKError, QR_MODULE_MAX, BARCODE_BAR_MAX } from './sdk.js';
+import {
+  textBitmap, qrBitmap, qrModule, barcodeBitmap, barcodeOptions, tableBitmap, tableLayout, fillTile
+} from './raster.js';
 
 export class VisualEditor {
   constructor(options) {
@@ -10,6 +16,12 @@ export class VisualEditor {
     this.model = options.model;
     this.onSelect = options.onSelect || (() => {});
     this.onChange = options.onChange || (() => {});
+    // Edits are reported as (obj, changes) so the caller can route them
+    // through the undo history; default applies them in place.
+    this.onModify = options.onModify || ((obj, changes) => {
+      Object.assign(obj, changes);
+      this.onChange();
+    });
 
     this.stage = new Konva.Stage({
       container: this.container,
@@ -49,11 +61,15 @@ export class VisualEditor {
 
     // Object ID to Konva node mapping
     this.nodes = new Map();
+    this.section = null;
+    // Point handles of the selected line
+    this.handles = null;
+    this.handleObjId = null;
 
     // Click on stage to deselect
     this.stage.on('click tap', (e) => {
       if (e.target === this.stage || e.target === bg) {
-        this.transformer.nodes([]);
+        this.showSelection(null);
         this.onSelect(null);
       }
     });
@@ -66,7 +82,12 @@ export class VisualEditor {
     // Clear existing objects
     this.nodes.forEach(node => node.destroy());
     this.nodes.clear();
-    this.transformer.nodes([]);
+    this.showSelection(null);
+    this.section = section;
+    if (!section) {
+      this.layer.draw();
+      return;
+    }
 
     // Add objects from section
     section.objects.forEach(obj => this.addObject(obj, false));
@@ -78,15 +99,12 @@ export class VisualEditor {
 
     switch (obj.type) {
       case 'text':
-        node = new Konva.Text({
+        node = new Konva.Image({
           x: obj.x,
           y: obj.y,
-          text: obj.text,
-          fontSize: obj.fontSize || 24,
-          fontFamily: 'Arial',
-          fill: 'black',
           draggable: true
         });
+        this.setTextImage(node, obj);
         break;
 
       case 'rect':
@@ -95,11 +113,11 @@ export class VisualEditor {
           y: obj.y,
           width: obj.width,
           height: obj.height,
-          fill: obj.fill ? 'black' : undefined,
           stroke: 'black',
           strokeWidth: obj.fill ? 0 : 2,
           draggable: true
         });
+        this.setShapeFill(node, obj, obj.fill);
         break;
 
       case 'circle':
@@ -107,49 +125,72 @@ export class VisualEditor {
           x: obj.x,
           y: obj.y,
           radius: obj.radius,
-          fill: obj.fill ? 'black' : undefined,
           stroke: 'black',
           strokeWidth: obj.fill ? 0 : 2,
           draggable: true
         });
+        this.setShapeFill(node, obj, obj.fill);
         break;
 
       case 'line':
         node = new Konva.Line({
-          points: obj.points,
+          x: obj.x || 0,
+          y: obj.y || 0,
           stroke: 'black',
-          strokeWidth: obj.strokeWidth || 2,
+          lineJoin: 'round',
+          hitStrokeWidth: 10,
           draggable: true
         });
+        this.setLineShape(node, obj);
+        // Double-click inserts a point on the nearest segment
+        node.on('dblclick dbltap', () => this.insertPoint(obj.id, node));
+        node.on('dragmove', () => {
+          if (this.handleObjId === obj.id) this.showPointHandles(obj);
+        });
         break;
 
       case 'image':
-        // Placeholder rectangle for image
-        node = new Konva.Rect({
+        // The dithered rows, exactly as they print
+        node = new Konva.Image({
           x: obj.x,
           y: obj.y,
           width: obj.width,
           height: obj.height,
-          fill: '#ccc',
-          stroke: 'black',
+          image: rowsToCanvas(obj.rawLines, obj.width, obj.height),
+          stroke: obj.rawLines ? undefined : 'black',
           strokeWidth: 1,
           draggable: true
         });
-        // TODO: Load actual image
         break;
 
       case 'sprite':
-        // Placeholder for sprite
-        node = new Konva.Rect({
+        node = new Konva.Image({
           x: obj.x,
           y: obj.y,
-          width: obj.width || 32,
-          height: obj.height || 32,
-          fill: '#888',
-          stroke: 'black',
-          strokeWidth: 1,
           draggable: true
         });
+        this.setSpriteImage(node, obj);
+        break;
+
+      case 'table':
+        node = new Konva.Image({
+          x: obj.x,
+          y: obj.y,
+          draggable: true
+        });
+        this.setTableImage(node, obj);
+        // Double-click edits the cell under the pointer
+        node.on('dblclick dbltap', () => this.editCell(obj.id, node));
+        break;
+
+      case 'qr':
+      case 'barcode':
+        node = new Konva.Image({
+          x: obj.x,
+          y: obj.y,
+          draggable: true
+        });
+        this.setSymbolImage(node, obj);
         break;
 
       default:
@@ -168,41 +209,82 @@ export class VisualEditor {
 
     // Selection on click
     node.on('click tap', () => {
-      this.transformer.nodes([node]);
+      this.showSelection(obj);
       this.onSelect(obj);
     });
 
+    // Halftone tiles stay put on the paper while the shape moves
+    node.on('dragmove', () => {
+      if (node.fillPriority() === 'pattern') node.fillPatternOffset(node.position());
+    });
+
     // Sync position on drag
     node.on('dragend', () => {
-      obj.x = node.x();
-      obj.y = node.y();
-      this.onChange();
+      if (obj.type === 'qr' || obj.type === 'barcode') {
+        // Bars and modules snap to whole dots
+        node.position({ x: Math.round(node.x()), y: Math.round(node.y()) });
+      }
+      this.onModify(obj, { x: node.x(), y: node.y() });
     });
 
     // Sync transform on transform end
     node.on('transformend', () => {
-      obj.x = node.x();
-      obj.y = node.y();
-      obj.rotation = node.rotation();
+      const changes = {
+        x: node.x(),
+        y: node.y(),
+        rotation: node.rotation()
+      };
 
       // Update size for resizable objects
-      if (obj.type === 'rect' || obj.type === 'image' || obj.type === 'sprite') {
-        obj.width = Math.round(node.width() * node.scaleX());
-        obj.height = Math.round(node.height() * node.scaleY());
+      if (obj.type === 'rect' || obj.type === 'image') {
+        changes.width = Math.round(node.width() * node.scaleX());
+        changes.height = Math.round(node.height() * node.scaleY());
         node.scaleX(1);
         node.scaleY(1);
       } else if (obj.type === 'circle') {
-        obj.radius = Math.round(node.radius() * node.scaleX());
+        changes.radius = Math.round(node.radius() * node.scaleX());
+        node.scaleX(1);
+        node.scaleY(1);
+      } else if (obj.type === 'sprite') {
+        // Sprites print at their defined size; only move/rotate
+        node.scaleX(1);
+        node.scaleY(1);
+      } else if (obj.type === 'qr') {
+        // Resizing picks a whole number of dots per module
+        const m = qrModule(obj);
+        changes.module = Math.min(QR_MODULE_MAX, Math.max(1, Math.round(m * node.scaleX())));
+        changes.x = Math.round(node.x());
+        changes.y = Math.round(node.y());
+        node.scaleX(1);
+        node.scaleY(1);
+      } else if (obj.type === 'barcode') {
+        // Width picks whole dots per bar module; height stretches the bars
+        const { bar, height } = barcodeOptions(obj);
+        changes.bar = Math.min(BARCODE_BAR_MAX, Math.max(1, Math.round(bar * node.scaleX())));
+        changes.height = Math.max(1, Math.round(height * node.scaleY()));
+        changes.x = Math.round(node.x());
+        changes.y = Math.round(node.y());
+        node.scaleX(1);
+        node.scaleY(1);
+      } else if (obj.type === 'table') {
+        // Width scales the columns, height the font
+        changes.columns = obj.columns.map(w => Math.max(1, Math.round(w * node.scaleX())));
+        changes.fontSize = Math.max(1, Math.round((obj.fontSize || 16) * node.scaleY()));
         node.scaleX(1);
         node.scaleY(1);
       } else if (obj.type === 'text') {
-        obj.fontSize = Math.round((obj.fontSize || 24) * node.scaleX());
-        node.fontSize(obj.fontSize);
+        // A text box resizes its width; the height scales the font
+        if (obj.width) {
+          changes.width = Math.max(1, Math.round(node.width() * node.scaleX()));
+          changes.fontSize = Math.max(1, Math.round((obj.fontSize || 24) * node.scaleY()));
+        } else {
+          changes.fontSize = Math.max(1, Math.round((obj.fontSize || 24) * node.scaleX()));
+        }
         node.scaleX(1);
         node.scaleY(1);
       }
 
-      this.onChange();
+      this.onModify(obj, changes);
     });
 
     if (triggerChange) {
@@ -217,40 +299,267 @@ export class VisualEditor {
     const node = this.nodes.get(obj.id);
     if (!node) return;
 
-    node.x(obj.x);
-    node.y(obj.y);
+    node.x(obj.x || 0);
+    node.y(obj.y || 0);
     node.rotation(obj.rotation || 0);
 
     switch (obj.type) {
       case 'text':
-        node.text(obj.text);
-        node.fontSize(obj.fontSize);
+        this.setTextImage(node, obj);
         break;
       case 'rect':
         node.width(obj.width);
         node.height(obj.height);
-        node.fill(obj.fill ? 'black' : undefined);
+        this.setShapeFill(node, obj, obj.fill);
         node.strokeWidth(obj.fill ? 0 : 2);
         break;
       case 'circle':
         node.radius(obj.radius);
-        node.fill(obj.fill ? 'black' : undefined);
+        this.setShapeFill(node, obj, obj.fill);
         node.strokeWidth(obj.fill ? 0 : 2);
         break;
       case 'line':
-        node.strokeWidth(obj.strokeWidth);
+        this.setLineShape(node, obj);
+        if (this.handleObjId === obj.id) this.showPointHandles(obj);
         break;
+      case 'sprite':
+        this.setSpriteImage(node, obj);
+        break;
+      case 'table':
+        this.setTableImage(node, obj);
+        break;
+      case 'qr':
+      case 'barcode':
+        this.setSymbolImage(node, obj);
+        break;
+      case 'image':
+        this.previewImage(obj.id, obj.rawLines, obj.width, obj.height);
+        node.stroke(obj.rawLines ? undefined : 'black');
+        break;
+    }
+
+    this.layer.draw();
+  }
+
+  // Text as printed: firmware bitmap font, cell-exact size
+  setTextImage(node, obj) {
+    const bitmap = textBitmap(obj);
+    node.image(rowsToCanvas(bitmap.rows(), bitmap.width, bitmap.height));
+    node.width(bitmap.width);
+    node.height(bitmap.height);
+  }
+
+  // Sprite pixels at their defined size; a grey box for an undefined ID
+  setSpriteImage(node, obj) {
+    const sprite = this.model.sprites.get(obj.spriteId);
+    if (sprite) {
+      node.image(spriteToCanvas(sprite));
+      node.width(sprite.width);
+      node.height(sprite.height);
+      node.stroke(undefined);
+    } else {
+      node.image(rowsToCanvas(null, obj.width || 32, obj.height || 32));
+      node.width(obj.width || 32);
+      node.height(obj.height || 32);
+      node.stroke('black');
+      node.strokeWidth(1);
+    }
+  }
+
+  // Table as printed: rules and cell text in the firmware font
+  setTableImage(node, obj) {
+    const bitmap = tableBitmap(obj);
+    node.image(rowsToCanvas(bitmap.rows(), bitmap.width, bitmap.height));
+    node.width(bitmap.width);
+    node.height(bitmap.height);
+  }
+
+  /**
+   * Edit one table cell in a textarea over the canvas. Enter (or leaving
+   * the field) commits, Shift+Enter adds a line, Escape cancels.
+   */
+  editCell(objId, node) {
+    const obj = this.section && this.section.objects.find(o => o.id === objId);
+    const pos = node.getRelativePointerPosition();
+    if (!obj || !pos) return;
+    const layout = tableLayout(obj);
+    const r = layout.rows.findIndex(row => pos.y >= row.y && pos.y < row.y + row.height);
+    const c = layout.cols.findIndex(col => pos.x >= col.x && pos.x < col.x + col.width);
+    if (r < 0 || c < 0) return;
+
+    const box = this.stage.container().getBoundingClientRect();
+    const at = node.getAbsoluteTransform().point({ x: layout.cols[c].x, y: layout.rows[r].y });
+    const input = document.createElement('textarea');
+    input.className = 'cell-editor';
+    input.value = (obj.cells[r] || [])[c] ?? '';
+    Object.assign(input.style, {
+      left: `${box.left + at.x}px`,
+      top: `${box.top + at.y}px`,
+      width: `${layout.cols[c].width}px`,
+      height: `${layout.rows[r].height}px`,
+    });
+    document.body.appendChild(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      input.remove();
+      if (!save || input.value === ((obj.cells[r] || [])[c] ?? '')) return;
+      const cells = obj.cells.map(row => [...row]);
+      while (cells[r].length <= c) cells[r].push('');
+      cells[r][c] = input.value;
+      this.onModify(obj, { cells });
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); finish(true); }
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  // QR code or barcode as printed; a grey box when the data cannot be
+  // encoded
+  setSymbolImage(node, obj) {
+    try {
+      const bitmap = obj.type === 'qr' ? qrBitmap(obj) : barcodeBitmap(obj);
+      node.image(rowsToCanvas(bitmap.rows(), bitmap.width, bitmap.height));
+      node.width(bitmap.width);
+      node.height(bitmap.height);
+      node.stroke(undefined);
+    } catch (err) {
+      if (!(err instanceof SDKError)) throw err;
+      node.image(rowsToCanvas(null, 64, 64));
+      node.width(64);
+      node.height(64);
+      node.stroke('#c0392b');
+      node.strokeWidth(1);
     }
+  }
+
+  /**
+   * Show image rows without touching the model (live tone adjustment)
+   */
+  previewImage(objId, rows, width, height) {
+    const node = this.nodes.get(objId);
+    if (!node) return;
+    node.width(width);
+    node.height(height);
+    node.image(rowsToCanvas(rows, width, height));
+    this.layer.batchDraw();
+  }
 
+  selectObject(objId) {
+    const obj = objId && this.section ? this.section.objects.find(o => o.id === objId) : null;
+    this.showSelection(obj || null);
     this.layer.draw();
   }
 
+  // Lines are edited through their points, everything else through the
+  // transformer
+  showSelection(obj) {
+    const node = obj ? this.nodes.get(obj.id) : null;
+    this.transformer.nodes(node && obj.type !== 'line' ? [node] : []);
+    this.showPointHandles(node && obj.type === 'line' ? obj : null);
+  }
+
+  // Polyline, or a polygon (closed) that is filled or outlined
+  setLineShape(node, obj) {
+    const filled = !!(obj.closed && obj.fill);
+    node.points(obj.points);
+    node.closed(!!obj.closed);
+    this.setShapeFill(node, obj, filled);
+    node.strokeWidth(filled ? 0 : obj.strokeWidth || 2);
+  }
+
+  // Solid black, or the halftone tile anchored to the paper as it prints
+  setShapeFill(node, obj, filled) {
+    const tile = filled ? fillTile(obj) : null;
+    if (!tile) {
+      node.fillPriority('color');
+      node.fillPatternImage(null);
+      node.fill(filled ? 'black' : undefined);
+      return;
+    }
+    node.fill(undefined);
+    node.fillPatternImage(rowsToCanvas(tile.map(b => [b]), 8, 8));
+    node.fillPatternRepeat('repeat');
+    node.fillPatternOffset(node.position());
+    node.fillPriority('pattern');
+  }
+
+  /**
+   * A draggable handle per point of a line; double-click one to remove
+   * the point (a line keeps 2, a polygon 3)
+   */
+  showPointHandles(obj) {
+    if (this.handles) this.handles.destroy();
+    this.handles = null;
+    this.handleObjId = obj ? obj.id : null;
+    const node = obj ? this.nodes.get(obj.id) : null;
+    if (!node) return;
+
+    this.handles = new Konva.Group();
+    const points = [...obj.points];
+    const toLayer = node.getTransform().copy();
+    const toNode = node.getTransform().copy().invert();
+    for (let i = 0; i + 1 < points.length; i += 2) {
+      const handle = new Konva.Circle({
+        ...toLayer.point({ x: points[i], y: points[i + 1] }),
+        radius: 5,
+        fill: 'white',
+        stroke: '#4a9eff',
+        strokeWidth: 2,
+        draggable: true
+      });
+      handle.on('dragmove', () => {
+        const p = toNode.point(handle.position());
+        points[i] = Math.round(p.x);
+        points[i + 1] = Math.round(p.y);
+        node.points(points);
+      });
+      handle.on('dragend', () => this.onModify(obj, { points: [...points] }));
+      handle.on('dblclick dbltap', () => {
+        if (points.length <= (obj.closed ? 6 : 4)) return;
+        const next = [...obj.points];
+        next.splice(i, 2);
+        this.onModify(obj, { points: next });
+      });
+      this.handles.add(handle);
+    }
+    this.layer.add(this.handles);
+    this.layer.batchDraw();
+  }
+
+  insertPoint(objId, node) {
+    const obj = this.section && this.section.objects.find(o => o.id === objId);
+    if (!obj) return;
+    const p = node.getTransform().copy().invert().point(this.stage.getPointerPosition());
+    const pts = obj.points;
+    const count = pts.length / 2;
+    let best = 0;
+    let bestDist = Infinity;
+    for (let i = 0; i < (obj.closed ? count : count - 1); i++) {
+      const j = (i + 1) % count;
+      const d = segmentDistance(p, pts[i * 2], pts[i * 2 + 1], pts[j * 2], pts[j * 2 + 1]);
+      if (d < bestDist) {
+        bestDist = d;
+        best = i;
+      }
+    }
+    const next = [...pts];
+    next.splice((best + 1) * 2, 0, Math.round(p.x), Math.round(p.y));
+    this.onModify(obj, { points: next });
+  }
+
   removeObject(objId) {
     const node = this.nodes.get(objId);
     if (node) {
       node.destroy();
       this.nodes.delete(objId);
-      this.transformer.nodes([]);
+      this.showSelection(null);
       this.layer.draw();
     }
   }
@@ -259,3 +568,11 @@ export class VisualEditor {
     return this.stage;
   }
 }
+
+function segmentDistance(p, x1, y1, x2, y2) {
+  const vx = x2 - x1;
+  const vy = y2 - y1;
+  const len2 = vx * vx + vy * vy;
+  const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - x1) * vx + (p.y - y1) * vy) / len2));
+  return Math.hypot(p.x - (x1 + t * vx), p.y - (y1 + t * vy));
+}
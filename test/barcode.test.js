@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeBarcode, eanCheckDigit, barcodeSize, ValidationError } from '../src/sdk.js';
+
+const bars = (symbology, str) => encodeBarcode(symbology, str).modules.join('');
+
+test('EAN-13 check digits of known barcodes', () => {
+  assert.equal(eanCheckDigit('590123412345'), 7);
+  assert.equal(eanCheckDigit('400638133393'), 1);
+  assert.equal(eanCheckDigit('978030640615'), 7);
+  assert.equal(eanCheckDigit('000000000000'), 0);
+});
+
+test('EAN-13 5901234123457 encodes to its known modules', () => {
+  const expected = '10100010110100111011001100100110111101001110101010110011011011001000010101110010011101000100101';
+
+  assert.equal(bars('ean13', '590123412345'), expected);
+  assert.equal(bars('ean13', '5901234123457'), expected);
+  assert.equal(encodeBarcode('ean13', '590123412345').text, '5901234123457');
+  assert.throws(() => encodeBarcode('ean13', '5901234123458'), /check digit should be 7/);
+  assert.throws(() => encodeBarcode('ean13', '59012341234'), ValidationError);
+});
+
+test('Code 128 uses code set C for even digit strings and B otherwise', () => {
+  assert.equal(bars('code128', '123456'), '11010011100101100111001000101100011100010110100011011101100011101011');
+  assert.equal(
+    bars('code128', 'ExScroller'),
+    '1101001000010001101000111100100101101110100010000101100100100111101000111101011001010000110010100001011001000010010011110101111001001100011101011'
+  );
+  assert.throws(() => encodeBarcode('code128', 'é'), ValidationError);
+});
+
+test('Code 39 wraps the data in * with narrow gaps', () => {
+  assert.equal(
+    bars('code39', 'CODE 39'),
+    '10001011101110101110111010001010111010111010001010101110001011101110101110001010100011101011101011101110001010101011100010111010100010111011101'
+  );
+  assert.throws(() => encodeBarcode('code39', 'a*b'), ValidationError);
+});
+
+test('size scales with the bar width and adds the caption', () => {
+  const plain = barcodeSize('5901234123457', { symbology: 'ean13', bar: 2, height: 40, caption: false });
+  const captioned = barcodeSize('5901234123457', { symbology: 'ean13', bar: 2, height: 40 });
+
+  assert.deepEqual(plain, { width: 190, height: 40 });
+  assert.ok(captioned.height > 40);
+  assert.throws(() => barcodeSize('1', { bar: 9 }), ValidationError);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PGP, BTN, ValidationError } from '../src/sdk.js';
+import { Emulator, EMU_STATUS } from '../src/emulator.js';
+
+function stream(...frames) {
+  const out = new Uint8Array(frames.reduce((n, f) => n + f.length, 0));
+  let o = 0;
+  for (const f of frames) { out.set(f, o); o += f.length; }
+  return out;
+}
+
+// A: 4 black lines, any other button: 10 blank lines; then var 0 = 7
+const choice = stream(
+  PGP.programStart(),
+  PGP.waitButton(),
+  PGP.jumpIfBtn(BTN.A, 2),
+  PGP.feed(10),
+  PGP.jump(3),
+  PGP.label(2),
+  PGP.fillLine(0xFF, 4),
+  PGP.label(3),
+  PGP.setVar(0, 7),
+  PGP.programEnd(),
+);
+
+test('runs headless on scripted input', () => {
+  const emu = new Emulator({ script: [{ button: 'A' }] }).load(choice);
+
+  assert.equal(emu.run(), EMU_STATUS.STOPPED);
+  assert.equal(emu.height, 4);
+  assert.ok(emu.paper.lines.every(row => row.every(b => b === 0xFF)));
+  assert.equal(emu.vars[0], 7);
+});
+
+test('waits for a button, then resumes on press()', () => {
+  const emu = new Emulator().load(choice);
+
+  assert.equal(emu.run(), EMU_STATUS.WAITING_BUTTON);
+  assert.equal(emu.height, 0);
+  assert.equal(emu.press(BTN.B).run(), EMU_STATUS.STOPPED);
+  assert.equal(emu.height, 10);
+  assert.ok(emu.paper.lines.every(row => row.every(b => b === 0)));
+});
+
+test('fader waits and jumps use the scripted fader', () => {
+  const bytes = stream(
+    PGP.programStart(),
+    PGP.waitFader(PGP.OP.GE, 3000),
+    PGP.jumpIfFader(PGP.OP.GE, 4000, 1),
+    PGP.feed(2),
+    PGP.label(1),
+    PGP.programEnd(),
+  );
+  const low = new Emulator({ script: [{ fader: 3500 }] }).load(bytes);
+  const high = new Emulator({ script: [{ fader: 1000 }, { fader: 4095 }] }).load(bytes);
+
+  assert.equal(new Emulator().load(bytes).run(), EMU_STATUS.WAITING_FADER);
+  assert.equal(low.run(), EMU_STATUS.STOPPED);
+  assert.equal(low.height, 2);
+  assert.equal(high.run(), EMU_STATUS.STOPPED);
+  assert.equal(high.height, 0);
+});
+
+test('random jumps follow the random source', () => {
+  const bytes = stream(
+    PGP.programStart(),
+    PGP.randomJump([1, 2]),
+    PGP.label(1),
+    PGP.feed(1),
+    PGP.stop(),
+    PGP.label(2),
+    PGP.feed(5),
+    PGP.programEnd(),
+  );
+  const first = new Emulator({ random: () => 0.2 }).load(bytes);
+  const second = new Emulator({ random: () => 0.7 }).load(bytes);
+
+  first.run();
+  second.run();
+  assert.equal(first.height, 1);
+  assert.equal(second.height, 5);
+});
+
+test('program faults and endless loops end the run instead of throwing', () => {
+  const badJump = new Emulator().load(stream(PGP.programStart(), PGP.jump(9), PGP.programEnd()));
+  const outside = new Emulator().load(stream(PGP.jump(1)));
+  const loop = new Emulator({ maxSteps: 50 }).load(stream(PGP.programStart(), PGP.label(1), PGP.jump(1), PGP.programEnd()));
+
+  assert.equal(badJump.run(), EMU_STATUS.ERROR);
+  assert.match(badJump.error, /undefined label 9/);
+  assert.equal(outside.run(), EMU_STATUS.ERROR);
+  assert.equal(loop.run(), EMU_STATUS.LIMIT);
+});
+
+test('load rejects a corrupt stream', () => {
+  const bytes = PGP.feed(1);
+  bytes[bytes.length - 1] ^= 0xFF;
+  assert.throws(() => new Emulator().load(bytes), ValidationError);
+});
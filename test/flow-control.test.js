@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PGP, Printer, LoopbackTransport, ConnectionError } from '../src/sdk.js';
+
+function stream(frames) {
+  const out = new Uint8Array(frames.reduce((n, f) => n + f.length, 0));
+  let o = 0;
+  for (const f of frames) { out.set(f, o); o += f.length; }
+  return out;
+}
+
+const program = Array.from({ length: 12 }, (_, i) => PGP.feed(i + 1));
+
+async function connect(transport) {
+  const printer = new Printer();
+  await printer.connect(transport);
+  return printer;
+}
+
+// Frames that reached the device in order, SYNCs left out
+function delivered(transport) {
+  return PGP.splitFrames(transport.bytes()).filter(f => f[1] !== PGP.CMD.SYNC);
+}
+
+test('sends every frame once when the device acks them all', async () => {
+  const link = new LoopbackTransport({ credits: 4 });
+  const printer = await connect(link);
+  const progress = [];
+  await printer.sendFlowControlled(stream(program), { onProgress: (f, info) => progress.push(info) });
+
+  assert.deepEqual(delivered(link).map(f => Array.from(f)), program.map(f => Array.from(f)));
+  assert.deepEqual(progress[progress.length - 1], { acked: 12, frames: 12, retransmits: 0 });
+});
+
+test('a NAK resends from the rejected frame', async () => {
+  let corrupt = true;
+  const link = new LoopbackTransport({
+    credits: 4,
+    // Flip the CRC of frame 5 on its first trip
+    onWrite: (chunk) => {
+      if (corrupt && chunk[1] === PGP.CMD.FEED && chunk[4] === 6) {
+        chunk[chunk.length - 1] ^= 0xFF;
+        corrupt = false;
+      }
+    },
+  });
+  const printer = await connect(link);
+  let last = null;
+  await printer.sendFlowControlled(stream(program), { onProgress: (f, info) => { last = info; } });
+
+  const feeds = delivered(link).map(f => f[4]);
+  assert.equal(feeds.filter(n => n === 6).length, 2);
+  assert.equal(last.acked, 12);
+  assert.ok(last.retransmits >= 1);
+  // The device saw every frame, in order, after the resend
+  const resent = feeds.lastIndexOf(6);
+  assert.deepEqual(feeds.slice(resent), [6, 7, 8, 9, 10, 11, 12]);
+});
+
+// A device that answers by hand: READY <credits>, then an ACK per frame.
+// lose(n) loses frame n on the wire: it and what follows are ignored
+// until the next SYNC, so the host only notices by timing out.
+function manualDevice({ credits, lose = () => false }) {
+  let seq = 0;
+  let acked = 0;
+  let losing = false;
+  const stats = { maxInFlight: 0 };
+  const link = new LoopbackTransport({
+    onWrite: (chunk, transport) => {
+      const reply = (line, done) => setTimeout(() => {
+        if (done) done();
+        transport.receive(new TextEncoder().encode(line + '\n'));
+      }, 1);
+      for (const frame of PGP.splitFrames(chunk)) {
+        if (frame[1] === PGP.CMD.SYNC) {
+          seq = acked = PGP.decodeArgs(PGP.CMD.SYNC, frame.subarray(4, frame.length - 1)).seq;
+          losing = false;
+          reply(`READY ${credits}`);
+          continue;
+        }
+        if (losing || lose(seq)) {
+          losing = true;
+          continue;
+        }
+        const n = seq++;
+        stats.maxInFlight = Math.max(stats.maxInFlight, seq - acked);
+        reply(`ACK ${n}`, () => { acked = Math.max(acked, n + 1); });
+      }
+    },
+  });
+  return { link, stats };
+}
+
+test('never has more frames in flight than the device has credits', async () => {
+  const { link, stats } = manualDevice({ credits: 2 });
+  const printer = await connect(link);
+  await printer.sendFlowControlled(stream(program));
+
+  assert.equal(delivered(link).length, 12);
+  assert.ok(stats.maxInFlight <= 2, `in flight: ${stats.maxInFlight}`);
+});
+
+test('a lost frame times out and resends', async () => {
+  let lost = false;
+  const { link } = manualDevice({
+    credits: 4,
+    lose: (n) => {
+      if (n !== 3 || lost) return false;
+      lost = true;
+      return true;
+    },
+  });
+  const printer = await connect(link);
+  let last = null;
+  await printer.sendFlowControlled(stream(program), { ackTimeout: 30, onProgress: (f, info) => { last = info; } });
+
+  assert.equal(last.acked, 12);
+  assert.ok(last.retransmits >= 1);
+  assert.ok(delivered(link).filter(f => f[4] === 4).length >= 2);
+});
+
+test('gives up after the retry limit with ConnectionError', async () => {
+  const { link } = manualDevice({ credits: 4, lose: (n) => n === 0 });
+  const printer = await connect(link);
+
+  await assert.rejects(
+    printer.sendFlowControlled(stream(program), { ackTimeout: 10, retries: 2 }),
+    (err) => err instanceof ConnectionError && /Frame 0 failed after 2 retries/.test(err.message)
+  );
+});
+
+test('falls back to plain sending when the device never answers SYNC', async () => {
+  const link = new LoopbackTransport();
+  const printer = await connect(link);
+  await printer.sendFlowControlled(stream(program), { readyTimeout: 10 });
+
+  assert.deepEqual(delivered(link).map(f => Array.from(f)), program.map(f => Array.from(f)));
+  await assert.rejects(
+    printer.sendFlowControlled(stream(program), { readyTimeout: 10, fallback: false }),
+    ConnectionError
+  );
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, PGP, BTN, CompileError } from '../src/sdk.js';
+import { Emulator, EMU_STATUS } from '../src/emulator.js';
+
+test('string labels get the lowest IDs not taken by numeric labels', () => {
+  const game = new Game();
+  game.section('a').label(1).label('loop').jump('loop');
+  game.section('b').label(2).label('done').jump(1).jump('done');
+
+  const { labels, sectionLabels } = game.allocateLabels();
+  assert.deepEqual(Object.fromEntries(labels), { loop: 3, done: 4 });
+  assert.equal(sectionLabels.size, 0);
+  assert.deepEqual(game.symbols().labels, { loop: 3, done: 4 });
+});
+
+test('jumps to a section ID land on the start of that section', () => {
+  const game = new Game();
+  game.section('menu').waitButton().jumpIfBtn(BTN.A, 'win').jump('lose');
+  game.section('win').feed(3).stop();
+  game.section('lose').feed(7).stop();
+
+  const { labels, sectionLabels } = game.allocateLabels();
+  assert.deepEqual(Object.fromEntries(sectionLabels), { win: 1, lose: 2 });
+  assert.deepEqual(Object.fromEntries(labels), { win: 1, lose: 2 });
+
+  const { bytes, sections } = game.compileWithSourceMap();
+  const first = (id) => PGP.decode(bytes.subarray(sections.find(s => s.id === id).start)).commands[0];
+  assert.deepEqual([first('win').name, first('win').args], ['LABEL', { id: 1 }]);
+  assert.deepEqual([first('lose').name, first('lose').args], ['LABEL', { id: 2 }]);
+
+  const win = new Emulator({ script: [{ button: 'A' }] }).load(bytes);
+  const lose = new Emulator({ script: [{ button: 'B' }] }).load(bytes);
+  assert.equal(win.run(), EMU_STATUS.STOPPED);
+  assert.equal(lose.run(), EMU_STATUS.STOPPED);
+  assert.equal(win.height, 3);
+  assert.equal(lose.height, 7);
+});
+
+test('an explicit label named like a section wins over the section start', () => {
+  const game = new Game();
+  game.section('start').jump('end');
+  game.section('end').feed(1).label('end').stop();
+
+  const { labels, sectionLabels } = game.allocateLabels();
+  assert.equal(sectionLabels.size, 0);
+  assert.equal(labels.get('end'), 1);
+});
+
+test('compile lists every undefined, duplicate and out-of-range label', () => {
+  const game = new Game();
+  game.section('a').label(5).label(5).jump('nowhere').jump(9);
+  game.section('b').label(70000);
+
+  assert.throws(() => game.compile(), (err) => {
+    assert.ok(err instanceof CompileError);
+    assert.deepEqual(err.context.errors, [
+      "Section 'a': label 5 is defined more than once",
+      "Section 'b': label 70000 must be a name or an integer 0-65535",
+      "Section 'a': jump to undefined label 'nowhere'",
+      "Section 'a': jump to undefined label 9",
+    ]);
+    return true;
+  });
+});
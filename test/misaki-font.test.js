@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { MISAKI_GLYPHS } from '../src/fonts/misaki.js';
+
+const script = fileURLToPath(new URL('../scripts/misaki-font.mjs', import.meta.url));
+const fixture = fileURLToPath(new URL('./fixtures/misaki-sample.bdf', import.meta.url));
+
+test('the converter maps JIS codes to characters and places glyphs in the cell', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'misaki-'));
+  try {
+    const out = join(dir, 'misaki.js');
+    execFileSync(process.execPath, [script, fixture, out], { stdio: 'pipe' });
+    const { MISAKI_GLYPHS: glyphs } = await import(pathToFileURL(out).href);
+
+    assert.deepEqual(Object.keys(glyphs), ['あ', 'ア', '日', '０']);
+    // Full 8x8 box
+    assert.deepEqual(glyphs['あ'], [0x10, 0x7C, 0x10, 0x3C, 0x54, 0x98, 0x30, 0x00]);
+    // 6 rows on the baseline: one blank row above
+    assert.deepEqual(glyphs['ア'], [0x00, 0xFE, 0x02, 0x14, 0x10, 0x10, 0x20, 0x00]);
+    // Box starting one column in
+    assert.deepEqual(glyphs['日'], [0x7C, 0x44, 0x44, 0x7C, 0x44, 0x44, 0x7C, 0x00]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Misaki draws in 7x7 of the 8x8 cell: the right column and bottom row
+// are the spacing
+const generated = Object.keys(MISAKI_GLYPHS).length > 0;
+test('the bundled table has kana and kanji in the 7x7 Misaki box', { skip: !generated && 'src/fonts/misaki.js is not generated' }, () => {
+  const kana = 'あいうえおかきくけこをんアイウエオカキクケコヲンー';
+  const kanji = '日本語漢字東京印刷';
+  for (const ch of kana + kanji) {
+    const rows = MISAKI_GLYPHS[ch];
+    assert.ok(rows, `no glyph for ${ch}`);
+    assert.equal(rows.length, 8);
+    assert.ok(rows.some(Boolean), `${ch} is blank`);
+    assert.equal(rows[7], 0, `${ch} uses the bottom row`);
+    assert.ok(rows.every(r => (r & 0x01) === 0), `${ch} uses the right column`);
+  }
+  assert.equal(MISAKI_GLYPHS.A, undefined);
+});
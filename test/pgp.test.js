@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PGP, ValidationError } from '../src/sdk.js';
+
+function stream(...frames) {
+  const out = new Uint8Array(frames.reduce((n, f) => n + f.length, 0));
+  let o = 0;
+  for (const f of frames) { out.set(f, o); o += f.length; }
+  return out;
+}
+
+test('decode(encode(x)) gives back every command and its arguments', () => {
+  const bytes = stream(
+    PGP.programStart(),
+    PGP.setSpeed(1200),
+    PGP.text(16, 4, 0x12, 'Hi あ'),
+    PGP.rect(8, 0, 100, 20, 1),
+    PGP.fillLine(0xAA, 300),
+    PGP.label(0x0102),
+    PGP.jumpIfBtn(0x05, 0x0102),
+    PGP.randomJump([1, 2, 3]),
+    PGP.setVar(3, 500),
+    PGP.jumpIfVar(3, PGP.OP.GE, 10, 2),
+    PGP.jumpIfFader(PGP.OP.LT, 2048, 1),
+    PGP.sync(0x01020304),
+    PGP.feed(40),
+    PGP.programEnd(),
+  );
+  const { commands, errors } = PGP.decode(bytes);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(commands.map(c => c.name), [
+    'PROGRAM_START', 'SET_SPEED', 'TEXT', 'RECT', 'FILL_LINE', 'LABEL', 'JUMP_IF_BTN',
+    'RANDOM_JUMP', 'SET_VAR', 'JUMP_IF_VAR', 'JUMP_IF_FADER', 'SYNC', 'FEED', 'PROGRAM_END',
+  ]);
+  assert.ok(commands.every(c => c.crcOk));
+  assert.deepEqual(commands.map(c => c.args), [
+    {},
+    { pps: 1200 },
+    { x: 16, y: 4, font: 0x12, str: 'Hi あ' },
+    { x: 8, y: 0, w: 100, h: 20, fill: 1 },
+    { pattern: 0xAA, count: 300 },
+    { id: 0x0102 },
+    { buttonMask: 0x05, labelId: 0x0102 },
+    { labelIds: [1, 2, 3] },
+    { varId: 3, value: 500 },
+    { varId: 3, op: PGP.OP.GE, value: 10, labelId: 2 },
+    { op: PGP.OP.LT, threshold: 2048, labelId: 1 },
+    { seq: 0x01020304 },
+    { lines: 40 },
+    {},
+  ]);
+  // Offsets and sizes tile the stream
+  const last = commands[commands.length - 1];
+  assert.equal(last.offset + last.size, bytes.length);
+});
+
+test('decode reports a bad CRC and resynchronises after stray bytes', () => {
+  const bad = PGP.feed(10);
+  bad[bad.length - 1] ^= 0xFF;
+  const bytes = stream(PGP.stop(), new Uint8Array([0x00, 0x11]), bad, PGP.stop());
+  const { commands, errors } = PGP.decode(bytes);
+
+  assert.deepEqual(commands.map(c => [c.name, c.crcOk]), [['STOP', true], ['FEED', false], ['STOP', true]]);
+  assert.deepEqual(errors.map(e => e.offset), [5, 7]);
+  assert.match(errors[0].message, /skipped 2 byte/);
+  assert.match(errors[1].message, /CRC/);
+});
+
+test('decode reports a truncated frame', () => {
+  const bytes = PGP.text(0, 0, 0, 'cut').slice(0, -3);
+  const { commands, errors } = PGP.decode(bytes);
+
+  assert.deepEqual(commands, []);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /Truncated TEXT/);
+});
+
+test('splitFrames cuts at frame boundaries and rejects broken streams', () => {
+  const frames = [PGP.feed(1), PGP.text(0, 0, 0, 'abc'), PGP.stop()];
+  const split = PGP.splitFrames(stream(...frames));
+
+  assert.deepEqual(split.map(f => Array.from(f)), frames.map(f => Array.from(f)));
+  assert.throws(() => PGP.splitFrames(stream(PGP.stop(), new Uint8Array([0x00]))), ValidationError);
+  assert.throws(() => PGP.splitFrames(PGP.feed(1).slice(0, -1)), ValidationError);
+});
+
+test('decodeArgs rejects short payloads and unknown commands', () => {
+  assert.throws(() => PGP.decodeArgs(PGP.CMD.FEED, new Uint8Array([1])), ValidationError);
+  assert.throws(() => PGP.decodeArgs(0x7F, new Uint8Array(0)), ValidationError);
+});
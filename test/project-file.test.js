@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SceneModel } from '../src/model.js';
+import { serializeProject, loadProject } from '../src/project-file.js';
+import { ValidationError } from '../src/sdk.js';
+
+function scene() {
+  const model = new SceneModel();
+  model.addSection('main');
+  model.addObject('main', { type: 'text', x: 10, y: 20, text: 'Hello', fontSize: 24 });
+  model.addObject('main', { type: 'rect', x: 0, y: 60, width: 576, height: 16, fill: true, pattern: 'checker50' });
+  model.addSprite(0, 8, 2, new Uint8Array([0x81, 0x7E]));
+  return model;
+}
+
+test('a saved project loads back unchanged', () => {
+  const model = scene();
+  const loaded = loadProject(new SceneModel(), serializeProject(model));
+  assert.deepEqual(loaded.toJSON(), model.toJSON());
+});
+
+test('a project that would not load back is not written', () => {
+  const model = scene();
+  // What a cleared number field used to store
+  model.sections[0].objects[0].x = NaN;
+  assert.throws(() => serializeProject(model), (err) => (
+    err instanceof ValidationError && err.context.path === 'sections[0].objects[0].x'
+  ));
+});
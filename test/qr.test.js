@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeQR, ValidationError } from '../src/sdk.js';
+
+// 'hello', byte mode, level M: version 1, mask 0 (same as the qrcode
+// package's QRCode.create([{ data: 'hello', mode: 'byte' }]))
+const HELLO_M = [
+  '#######..##...#######',
+  '#.....#.##....#.....#',
+  '#.###.#..#.##.#.###.#',
+  '#.###.#...##..#.###.#',
+  '#.###.#.##..#.#.###.#',
+  '#.....#.....#.#.....#',
+  '#######.#.#.#.#######',
+  '..........###........',
+  '#.#.#.#..#.#....#..#.',
+  '..#.##....#...#....##',
+  '.#.#..#.###.#...#####',
+  '##..#.........#....#.',
+  '.##.#.##..#.#.#.#....',
+  '........####.#.#..###',
+  '#######...##.###..###',
+  '#.....#...####.##....',
+  '#.###.#.#.##.###...##',
+  '#.###.#..#....##..##.',
+  '#.###.#.###.#...#.#.#',
+  '#.....#..#....#.#..#.',
+  '#######.###.#.##...##',
+];
+
+test('encodes a known version 1 symbol module for module', () => {
+  const qr = encodeQR('hello', 'M');
+
+  assert.equal(qr.version, 1);
+  assert.equal(qr.size, 21);
+  assert.deepEqual(qr.modules.map(row => Array.from(row, m => (m ? '#' : '.')).join('')), HELLO_M);
+});
+
+test('picks the smallest version that holds the data', () => {
+  // Version 1 holds 14 bytes at M, 17 at L
+  assert.equal(encodeQR('x'.repeat(14), 'M').version, 1);
+  assert.equal(encodeQR('x'.repeat(15), 'M').version, 2);
+  assert.equal(encodeQR('x'.repeat(17), 'L').version, 1);
+  // Length counts UTF-8 bytes: 5 kana are 15 bytes
+  assert.equal(encodeQR('あいうえお', 'M').version, 2);
+  assert.equal(encodeQR('x'.repeat(2953), 'L').size, 177);
+});
+
+test('rejects unknown levels and data past version 40', () => {
+  assert.throws(() => encodeQR('hello', 'X'), ValidationError);
+  assert.throws(() => encodeQR('x'.repeat(2954), 'L'), ValidationError);
+});
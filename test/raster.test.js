@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBand, drawObject, textBitmap } from '../src/raster.js';
+
+function ink(bitmap) {
+  let dots = 0;
+  for (const byte of bitmap.data) {
+    for (let b = byte; b; b &= b - 1) dots++;
+  }
+  return dots;
+}
+
+function printed(obj) {
+  const band = createBand(800);
+  drawObject(band, obj);
+  return ink(band);
+}
+
+test('rotated text without a width wraps like the upright text', () => {
+  const text = { type: 'text', x: 300, y: 300, text: 'The quick brown fox jumps over the lazy dog', fontSize: 24 };
+  const upright = printed(text);
+
+  assert.ok(upright > 0);
+  assert.equal(ink(textBitmap(text)), upright);
+  for (const rotation of [90, 180, 270]) {
+    assert.equal(printed({ ...text, rotation }), upright, `rotation ${rotation}`);
+  }
+});
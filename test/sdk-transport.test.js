@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Printer, PGP, WebSocketTransport, ConnectionError } from '../src/sdk.js';
+
+// Enough of a browser WebSocket for the transport; drop() is the bridge going away
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.last = this;
+    setTimeout(() => { this.readyState = 1; this.onopen(); }, 0);
+  }
+
+  send(data) { this.sent.push(data); }
+
+  close() { this.readyState = 3; }
+
+  drop() {
+    this.readyState = 3;
+    this.onclose({ code: 1006, reason: '' });
+  }
+}
+
+function transport() {
+  return new WebSocketTransport({ url: 'ws://bridge.test', WebSocket: FakeWebSocket });
+}
+
+test('write after the bridge drops throws ConnectionError', async () => {
+  const link = transport();
+  const closed = [];
+  link.onClose(err => closed.push(err));
+  await link.open();
+  FakeWebSocket.last.drop();
+
+  assert.equal(link.isOpen, false);
+  await assert.rejects(link.write(new Uint8Array([1])), ConnectionError);
+  assert.equal(closed.length, 1);
+  assert.ok(closed[0] instanceof ConnectionError);
+});
+
+test('close() is not reported as a drop', async () => {
+  const link = transport();
+  const closed = [];
+  link.onClose(err => closed.push(err));
+  await link.open();
+  const ws = FakeWebSocket.last;
+  await link.close();
+  ws.drop();
+
+  assert.deepEqual(closed, []);
+});
+
+test('a drop mid-transfer fails the send and emits disconnect', async () => {
+  const printer = new Printer();
+  const events = [];
+  printer.on('disconnect', e => events.push(e));
+  await printer.connect(transport());
+  const ws = FakeWebSocket.last;
+
+  const game = new Uint8Array([...PGP.feed(1), ...PGP.feed(1)]);
+  const sending = printer.sendFlowControlled(game, { readyTimeout: 5000 });
+  setTimeout(() => ws.drop(), 0);
+
+  await assert.rejects(sending, (err) => {
+    assert.ok(err instanceof ConnectionError);
+    assert.match(err.message, /WebSocket closed/);
+    return true;
+  });
+  assert.equal(printer.connected, false);
+  assert.equal(events.length, 1);
+  assert.ok(events[0].error instanceof ConnectionError);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SceneModel } from '../src/model.js';
+import {
+  UndoManager, AddObjectAction, UpdateObjectAction, UpdateSectionAction, AddSectionAction, ReplaceSceneAction
+} from '../src/undo-manager.js';
+
+function scene() {
+  const model = new SceneModel();
+  model.addSection('main');
+  model.addObject('main', { type: 'rect', x: 0, y: 0, width: 10, height: 10, fill: true });
+  return model;
+}
+
+// What a code edit does: a fresh SceneModel swapped in
+function replaced(model, edit) {
+  const next = new SceneModel();
+  next.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+  edit(next);
+  return new ReplaceSceneAction(model, next, 'Edit code');
+}
+
+test('edit, replace scene, undo, undo restores the edit', () => {
+  const model = scene();
+  const history = new UndoManager(model, { coalesceMs: 0 });
+  const rect = model.sections[0].objects[0];
+
+  history.execute(new UpdateObjectAction('main', rect, { x: 50 }));
+  history.execute(replaced(model, next => { next.sections[0].objects[0].y = 20; }));
+  assert.equal(model.sections[0].objects[0].y, 20);
+
+  history.undo();
+  assert.equal(model.sections[0].objects[0].x, 50);
+  assert.equal(model.sections[0].objects[0].y, 0);
+  history.undo();
+  assert.equal(model.sections[0].objects[0].x, 0);
+
+  history.redo();
+  history.redo();
+  assert.deepEqual([model.sections[0].objects[0].x, model.sections[0].objects[0].y], [50, 20]);
+});
+
+test('object edits made after a replace apply to the live object', () => {
+  const model = scene();
+  const history = new UndoManager(model, { coalesceMs: 0 });
+  const stale = model.sections[0].objects[0];
+
+  history.execute(replaced(model, () => {}));
+  history.execute(new UpdateObjectAction('main', stale, { width: 30 }));
+  assert.equal(model.sections[0].objects[0].width, 30);
+  history.undo();
+  assert.equal(model.sections[0].objects[0].width, 10);
+});
+
+test('added objects and sections survive a replace across undo/redo', () => {
+  const model = scene();
+  const history = new UndoManager(model, { coalesceMs: 0 });
+
+  history.execute(new AddSectionAction('next'));
+  history.execute(new AddObjectAction('next', { id: model.nextId(), type: 'text', x: 0, y: 0, text: 'hi' }));
+  history.execute(replaced(model, next => { next.getSection('next').objects[0].text = 'hello'; }));
+  history.undo();
+  history.undo();
+  history.undo();
+  assert.equal(model.getSection('next'), undefined);
+
+  history.redo();
+  history.redo();
+  history.redo();
+  assert.equal(model.getSection('next').objects[0].text, 'hello');
+});
+
+test('section edits and renames follow the section by name', () => {
+  const model = scene();
+  const history = new UndoManager(model, { coalesceMs: 0 });
+
+  history.execute(new UpdateSectionAction(model.sections[0], { name: 'intro', speed: 4000 }));
+  history.execute(replaced(model, () => {}));
+  history.undo();
+  history.undo();
+  assert.equal(model.sections[0].name, 'main');
+  assert.equal(model.sections[0].speed, 8000);
+  history.redo();
+  assert.equal(model.sections[0].name, 'intro');
+  assert.equal(model.sections[0].speed, 4000);
+});